@@ -82,13 +82,16 @@ const toolDeclarations = [
 ];
 
 // STEP 3: The Agent Loop
-async function runAgent(userMessage) {
+// Pass the same chat to keep the conversation going; by default every question starts fresh
+function startChat() {
   const model = genAI.getGenerativeModel({
     model: "gemini-2.5-flash",
     tools: toolDeclarations,
   });
+  return model.startChat();
+}
 
-  const chat = model.startChat();
+async function runAgent(userMessage, chat = startChat()) {
   console.log(`\n${"─".repeat(60)}`);
   console.log(`👤 User: ${userMessage}`);
   console.log(`${"─".repeat(60)}`);
@@ -139,4 +142,13 @@ async function main() {
   await runAgent("If I have 100 items and give away 35, then triple what's left, how many do I have?");
 }
 
-main().catch(console.error);
+// One calculator conversation for the agents CLI: follow-ups can refer to earlier results
+function create() {
+  const chat = startChat();
+  return { run: async (prompt) => ({ success: true, response: await runAgent(prompt, chat) }) };
+}
+
+module.exports = { description: "Calculator with math tools — the basic tool-calling loop", create, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
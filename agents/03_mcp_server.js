@@ -1,6 +1,6 @@
 // MCP SERVER — Exposes Todo + File tools to any AI client
 // npm install @modelcontextprotocol/sdk
-// node examples/03_mcp_server.js
+// node agents/03_mcp_server.js
 //
 // This server communicates over stdin/stdout (stdio transport).
 // Any MCP-compatible client (Claude Desktop, Cursor, your app) can connect to it.
@@ -27,6 +27,9 @@ let todos = [
 ];
 let nextId = 5;
 
+// read_file pages through big files instead of flooding the client's context
+const MAX_READ_CHARS = 20000;
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // Create the MCP Server
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -112,11 +115,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
     },
     {
       name: "read_file",
-      description: "Read the contents of a file from the filesystem",
+      description: `Read the contents of a file from the filesystem. Returns at most ${MAX_READ_CHARS} characters per call; use offset to read further.`,
       inputSchema: {
         type: "object",
         properties: {
           filepath: { type: "string", description: "Path to the file to read" },
+          offset: { type: "number", description: "Character offset to start reading from (default 0)" },
         },
         required: ["filepath"],
       },
@@ -124,6 +128,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => ({
     {
       name: "write_file",
       description: "Write or overwrite content to a file",
+      // Overwrites files: clients should ask a human first (04_mcp_client_agent.js does)
+      annotations: { destructiveHint: true },
       inputSchema: {
         type: "object",
         properties: {
@@ -208,8 +214,25 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case "read_file": {
+        // Large files come back one page at a time, with a note telling the client where to continue
         const content = fs.readFileSync(args.filepath, "utf-8");
-        return { content: [{ type: "text", text: content }] };
+        const offset = args.offset === undefined ? 0 : args.offset;
+        if (!Number.isInteger(offset) || offset < 0) {
+          throw new Error(`offset must be a whole number ≥ 0, got ${JSON.stringify(args.offset)}`);
+        }
+        if (offset > 0 && offset >= content.length) {
+          throw new Error(`offset ${offset} is past the end of ${args.filepath} (${content.length} characters)`);
+        }
+        const end = Math.min(offset + MAX_READ_CHARS, content.length);
+        const page = content.slice(offset, end);
+        if (offset === 0 && end === content.length) return { content: [{ type: "text", text: page }] };
+        const more = end < content.length ? ` — call read_file with offset ${end} for the rest` : " — end of file";
+        return {
+          content: [
+            { type: "text", text: page },
+            { type: "text", text: `[Showing characters ${offset}–${end} of ${content.length}${more}]` },
+          ],
+        };
       }
 
       case "write_file": {
@@ -301,7 +324,13 @@ async function main() {
   console.error(`   Resources: todo://all, todo://stats`);
 }
 
-main().catch((err) => {
-  console.error("MCP Server error:", err);
-  process.exit(1);
-});
+// No create(): this is a server for MCP clients (04_mcp_client_agent.js starts it), not a chat agent
+module.exports = { description: "MCP server exposing todo + file tools over stdio", server, main };
+
+// Only start the server when executed directly (not when required by the agents CLI)
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("MCP Server error:", err);
+    process.exit(1);
+  });
+}
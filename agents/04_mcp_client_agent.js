@@ -1,17 +1,19 @@
 // MCP CLIENT AGENT — Connects to MCP server, auto-discovers tools, uses them
 // npm install @google/generative-ai @modelcontextprotocol/sdk
-// GEMINI_API_KEY=your_key node examples/04_mcp_client_agent.js
+// GEMINI_API_KEY=your_key node agents/04_mcp_client_agent.js
 //
 // This agent:
 // 1. Launches the MCP server as a subprocess
 // 2. Discovers all available tools automatically
 // 3. Converts MCP tool format to Gemini format
 // 4. Runs the agent loop, dispatching calls to the MCP server
+// 5. Asks a human before calling tools the server marks destructive (write_file)
 
 const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
 const { StdioClientTransport } = require("@modelcontextprotocol/sdk/client/stdio.js");
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 const path = require("path");
+const { cliApprover, normalizeDecision } = require("./approval");
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
@@ -41,9 +43,9 @@ function convertSchemaToGemini(schema) {
 }
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-// Main: Connect to MCP server + run agent
+// Connect to MCP server → { mcpClient, model, requireApproval } with the discovered tools
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-async function main() {
+async function connect() {
   // STEP 1: Connect to our MCP server (launches it as a subprocess)
   console.log("🔌 Connecting to MCP server...");
   const mcpClient = new Client({ name: "gemini-mcp-agent", version: "1.0.0" }, {});
@@ -61,6 +63,9 @@ async function main() {
   mcpTools.forEach((t) => console.log(`   - ${t.name}: ${t.description}`));
   console.log();
 
+  // Tools the server marks destructive need a human decision before each call
+  const requireApproval = mcpTools.filter((t) => t.annotations && t.annotations.destructiveHint).map((t) => t.name);
+
   // STEP 3: Convert MCP tool format → Gemini tool format
   const geminiTools = [
     {
@@ -94,56 +99,96 @@ async function main() {
     `,
   });
 
-  // STEP 6: Agent loop — dispatches tool calls to the MCP server
-  async function runAgent(userMessage) {
-    console.log(`${"─".repeat(60)}`);
-    console.log(`👤 User: ${userMessage}`);
-    console.log(`${"─".repeat(60)}`);
+  return { mcpClient, model, requireApproval };
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// STEP 6: Agent loop — dispatches tool calls to the MCP server.
+// Pass the same chat to keep the conversation going.
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+async function runAgent({ mcpClient, model, requireApproval = [], approver = cliApprover() }, userMessage, chat = model.startChat()) {
+  console.log(`${"─".repeat(60)}`);
+  console.log(`👤 User: ${userMessage}`);
+  console.log(`${"─".repeat(60)}`);
 
-    const chat = model.startChat();
-    let response = await chat.sendMessage(userMessage);
+  let response = await chat.sendMessage(userMessage);
 
-    while (true) {
-      const parts = response.response.candidates[0].content.parts;
-      const calls = parts.filter((p) => p.functionCall);
+  while (true) {
+    const parts = response.response.candidates[0].content.parts;
+    const calls = parts.filter((p) => p.functionCall);
 
-      if (!calls.length) {
-        const text = parts.map((p) => p.text || "").join("");
-        console.log(`\n🤖 Agent: ${text}\n`);
-        return text;
-      }
+    if (!calls.length) {
+      const text = parts.map((p) => p.text || "").join("");
+      console.log(`\n🤖 Agent: ${text}\n`);
+      return text;
+    }
 
-      const toolResults = [];
-      for (const p of calls) {
-        const { name, args } = p.functionCall;
-        console.log(`  📡 MCP call → ${name}(${JSON.stringify(args)})`);
-
-        // Execute the tool ON the MCP server (not locally!)
-        const mcpResult = await mcpClient.callTool({ name, arguments: args });
-        const resultText = mcpResult.content.map((c) => c.text).join("\n");
-        console.log(`  ✅ MCP result: ${resultText}`);
-
-        toolResults.push({
-          functionResponse: {
-            name,
-            response: { result: resultText },
-          },
-        });
+    const toolResults = [];
+    for (const p of calls) {
+      let { name, args } = p.functionCall;
+
+      // Destructive tools: approve, deny (the model is told) or edit the arguments first
+      if (requireApproval.includes(name)) {
+        const decision = normalizeDecision(await approver({ name, args }));
+        if (decision.action === "deny") {
+          console.log(`  🚫 ${name} denied${decision.reason ? `: ${decision.reason}` : ""}`);
+          toolResults.push({ functionResponse: { name, response: { error: "The user denied this action", reason: decision.reason || null } } });
+          continue;
+        }
+        if (decision.action === "edit") args = decision.args;
       }
-
-      response = await chat.sendMessage(toolResults);
+      console.log(`  📡 MCP call → ${name}(${JSON.stringify(args)})`);
+
+      // Execute the tool ON the MCP server (not locally!)
+      const mcpResult = await mcpClient.callTool({ name, arguments: args });
+      const resultText = mcpResult.content.map((c) => c.text).join("\n");
+      console.log(`  ✅ MCP result: ${resultText}`);
+
+      toolResults.push({
+        functionResponse: {
+          name,
+          response: { result: resultText },
+        },
+      });
     }
+
+    response = await chat.sendMessage(toolResults);
   }
+}
+
+async function main() {
+  const mcp = await connect();
 
   // Test the agent with real requests
-  await runAgent("Show me all my pending todos");
-  await runAgent("Add a high priority todo: Review the AI agents guide before Friday");
-  await runAgent("Complete todo number 1, then show me all todos again");
-  await runAgent("Write a file called 'my-todos.txt' with a summary of all my todos");
+  await runAgent(mcp, "Show me all my pending todos");
+  await runAgent(mcp, "Add a high priority todo: Review the AI agents guide before Friday");
+  await runAgent(mcp, "Complete todo number 1, then show me all todos again");
+  await runAgent(mcp, "Write a file called 'my-todos.txt' with a summary of all my todos");
 
   // Cleanup
-  await mcpClient.close();
+  await mcp.mcpClient.close();
   console.log("\n👋 Disconnected from MCP server");
 }
 
-main().catch(console.error);
+// One MCP-backed conversation for the agents CLI. Connects on the first prompt; close() stops the server.
+function create() {
+  let mcp = null;
+  let chat = null;
+  return {
+    run: async (prompt) => {
+      if (!mcp) {
+        mcp = await connect();
+        chat = mcp.model.startChat();
+      }
+      return { success: true, response: await runAgent(mcp, prompt, chat) };
+    },
+    close: async () => {
+      if (mcp) await mcp.mcpClient.close();
+    },
+  };
+}
+
+module.exports = { description: "Agent that discovers and calls the 03 MCP server's tools", create, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
@@ -1,13 +1,13 @@
 // RESEARCH AGENT — Searches web, saves notes, reads files
 // npm install @google/generative-ai
-// GEMINI_API_KEY=your_key node examples/05_research_agent.js
+// GEMINI_API_KEY=your_key node agents/05_research_agent.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const fs = require("fs");
 const path = require("path");
 const https = require("https");
+const { BaseAgent } = require("./base-agent");
+const { cassetteFromEnv } = require("./cassette");
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 const NOTES_DIR = "./research_notes";
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -207,12 +207,18 @@ const toolDeclarations = [
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // The Research Agent class
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-class ResearchAgent {
-  constructor() {
-    this.model = genAI.getGenerativeModel({
-      model: "gemini-2.5-flash",
-      tools: toolDeclarations,
-      systemInstruction: `
+class ResearchAgent extends BaseAgent {
+  constructor(options = {}) {
+    // Conversation history persists across run() calls for multi-turn research sessions.
+    // Once it passes ~30k tokens, older exchanges are folded into a summary (the first task stays pinned).
+    super({
+      ...options,
+      name: "ResearchAgent",
+      tools: toolDeclarations[0].functionDeclarations,
+      toolFns: toolMap,
+      maxSteps: 15,
+      contextWindow: options.contextWindow ?? { strategy: "summarize-oldest", maxTokens: 30000, keepFirst: 1 },
+      systemPrompt: `
         You are a professional research assistant. Your job is to:
         1. Search for accurate information on topics using web_search
         2. Synthesize multiple sources into clear, comprehensive summaries
@@ -229,59 +235,17 @@ class ResearchAgent {
         Be concise in tool calls but thorough in final answers.
       `,
     });
-
-    // Keep conversation history for multi-turn research sessions
-    this.chat = this.model.startChat();
-    this.stepCount = 0;
   }
 
-  async run(message) {
+  async run(message, context = null, options = {}) {
     console.log(`\n${"═".repeat(65)}`);
     console.log(`👤 User: ${message}`);
     console.log(`${"═".repeat(65)}`);
 
-    let response = await this.chat.sendMessage(message);
-    this.stepCount = 0;
-
-    while (this.stepCount < 15) {
-      this.stepCount++;
-      const parts = response.response.candidates[0].content.parts;
-      const calls = parts.filter((p) => p.functionCall);
-
-      // No more tool calls — return final answer
-      if (!calls.length) {
-        const text = parts.map((p) => p.text || "").join("");
-        console.log(`\n🤖 Research Agent (${this.stepCount} steps):\n${text}`);
-        return text;
-      }
-
-      // Execute all tool calls
-      const toolResults = [];
-      for (const p of calls) {
-        const { name, args } = p.functionCall;
-        console.log(`  🔍 Step ${this.stepCount}: ${name}(${JSON.stringify(args)})`);
-
-        try {
-          const fn = toolMap[name];
-          if (!fn) throw new Error(`Unknown tool: ${name}`);
-          const result = await Promise.resolve(fn(args));
-          console.log(`  ✅ Done`);
-          toolResults.push({ functionResponse: { name, response: result } });
-        } catch (err) {
-          console.log(`  ❌ Error: ${err.message}`);
-          toolResults.push({ functionResponse: { name, response: { error: err.message } } });
-        }
-      }
-
-      response = await this.chat.sendMessage(toolResults);
-    }
-
-    return "Max steps reached";
-  }
-
-  reset() {
-    this.chat = this.model.startChat();
-    this.stepCount = 0;
+    const result = await super.run(message, context, options);
+    if (!result.success) console.log(`\n❌ Research Agent stopped: ${result.error || result.reason}`);
+    else console.log(`\n🤖 Research Agent (${result.steps} steps):\n${result.response}`);
+    return result;
   }
 }
 
@@ -289,7 +253,9 @@ class ResearchAgent {
 // Run the research agent
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 async function main() {
-  const agent = new ResearchAgent();
+  // CASSETTE=record|replay turns this demo into a reproducible regression run
+  const cassette = cassetteFromEnv("05_research_agent");
+  const agent = new ResearchAgent({ cassette });
 
   // Research and save
   await agent.run(
@@ -306,6 +272,16 @@ async function main() {
   await agent.run(
     "Search for information about Python and save notes as 'python-overview.md', then merge both nodejs and python notes into 'comparison.md'"
   );
+
+  if (cassette) cassette.assertDone();
 }
 
-main().catch(console.error);
+module.exports = {
+  description: "Research assistant: web search, saved notes, multi-turn memory",
+  create: (options = {}) => new ResearchAgent(options),
+  ResearchAgent,
+  main,
+};
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
@@ -1,21 +1,68 @@
 // MULTI-AGENT PIPELINE: Research → Write → Edit
 // npm install @google/generative-ai
 // GEMINI_API_KEY=your_key node 06_multi_agent_pipeline.js
+// TRACE=1 also saves a trace of every agent call to traces/ (view: node agents/trace-view.js)
+// CACHE=memory|sqlite reuses answers for identical prompts (sqlite keeps them across runs)
+// The quality agent scores the article against a rubric; below 8/10 the editor revises it (see critique.js)
 
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { withRetry, RetryBudget } = require("./retry");
+const { withSpan, tracerFromEnv } = require("./tracing");
+const { cacheFromEnv } = require("./cache");
+const { Critic } = require("./critique");
+const { generateStructuredChat, jsonConfig } = require("./structured");
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
-// Helper: Simple LLM call
-async function llmCall(systemPrompt, userMessage, label) {
+// One retry budget for the whole pipeline, so a bad outage fails fast instead of retrying forever
+const retryBudget = new RetryBudget(8);
+const cache = cacheFromEnv();
+
+// Helper: Simple LLM call (retries 429/5xx with backoff, then falls back to a lighter model)
+// Each call is a span named after the agent, nested under the pipeline span.
+// With { schema } the answer is JSON, re-asked with the validation errors until it matches.
+async function llmCall(systemPrompt, userMessage, label, { schema } = {}) {
   console.log(`\n  🤖 ${label}...`);
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash",
-    systemInstruction: systemPrompt,
-  });
-  const result = await model.generateContent(userMessage);
-  const text = result.response.text();
-  console.log(`  ✅ ${label} done (${text.length} chars)`);
-  return text;
+  const generationConfig = schema ? jsonConfig(schema) : undefined;
+
+  return withSpan(label, { "gen_ai.system_prompt": systemPrompt, "gen_ai.prompt": userMessage }, async (span) => {
+    const call = async (contents) => {
+      const live = async () => {
+        let usedModel;
+        const result = await withRetry(
+          (model) => {
+            usedModel = model;
+            return genAI.getGenerativeModel({ model, systemInstruction: systemPrompt, generationConfig }).generateContent({ contents });
+          },
+          {
+            models: ["gemini-2.5-flash", "gemini-2.0-flash"],
+            budget: retryBudget,
+            onRetry: ({ nextModel, delayMs, error }) => {
+              console.log(`  🔁 ${label}: ${error.message} — retrying ${nextModel} in ${delayMs}ms`);
+              span.addEvent("retry", { nextModel, delayMs, error: error.message });
+            },
+          }
+        );
+        return { text: result.response.text(), usage: result.response.usageMetadata || null, model: usedModel };
+      };
+
+      const cacheRequest = { model: "gemini-2.5-flash", systemPrompt, contents, outputSchema: schema };
+      const { text, usage, model, cached } = cache ? await cache.model(cacheRequest, live) : await live();
+      span.setAttributes({
+        "gen_ai.response.model": model,
+        "gen_ai.usage.input_tokens": usage && usage.promptTokenCount,
+        "gen_ai.usage.output_tokens": usage && usage.candidatesTokenCount,
+        "gen_ai.completion": text,
+        "cache.hit": cached,
+      });
+      console.log(`  ✅ ${label} done (${text.length} chars${cached ? ", from cache" : ""})`);
+      return text;
+    };
+
+    if (!schema) return call([{ role: "user", parts: [{ text: userMessage }] }]);
+    return generateStructuredChat(call, userMessage, schema, {
+      onInvalid: ({ attempt, errors }) => console.log(`  ⚠️  ${label}: invalid JSON (attempt ${attempt}): ${errors.map((e) => `${e.path} ${e.message}`).join("; ")}`),
+    });
+  }, { kind: "client" });
 }
 
 // AGENT 1: Researcher
@@ -49,8 +96,8 @@ async function writerAgent(topic, researchNotes, style) {
   );
 }
 
-// AGENT 3: Editor
-async function editorAgent(article) {
+// AGENT 3: Editor — also revises the article with the quality agent's feedback
+async function editorAgent(article, review = null) {
   return await llmCall(
     `You are a senior editor at a top tech publication. Review and improve the article:
      1. Fix any grammatical errors or awkward phrasing
@@ -60,25 +107,31 @@ async function editorAgent(article) {
      5. Add a compelling meta description (1-2 sentences) at the very top as "META: ..."
      
      Return ONLY the improved article. No editorial commentary or explanations.`,
-    `Review and improve:\n\n${article}`,
-    "Editor Agent"
+    review ? `${critic.feedback(review)}\n\nArticle:\n${article}` : `Review and improve:\n\n${article}`,
+    review ? "Editor Agent (revision)" : "Editor Agent"
   );
 }
 
-// QUALITY CHECKER: Extra agent to score the final article
+// QUALITY CHECKER: scores the article against the rubric; the pipeline acts on the score
+const critic = new Critic({
+  rubric: [
+    { name: "relevance", description: "Relevance to the topic" },
+    { name: "clarity", description: "Clarity and readability" },
+    { name: "accuracy", description: "Apparent factual accuracy: specific, no vague or made-up claims" },
+    { name: "engagement", description: "Engagement: strong hook, flow between sections, actionable close" },
+  ],
+  threshold: 8,
+  maxRevisions: 2,
+});
+
 async function qualityAgent(article, originalTopic) {
-  return await llmCall(
-    `You are a content quality auditor. Score the article on:
-     1. Relevance to topic (0-10)
-     2. Clarity and readability (0-10)
-     3. Factual accuracy apparent (0-10)
-     4. Engagement level (0-10)
-     5. Overall quality (0-10)
-     
-     Format: Score each criterion, give total, and 2-3 specific improvement suggestions.`,
-    `Topic: ${originalTopic}\n\nArticle:\n${article}`,
-    "Quality Agent"
+  const raw = await llmCall(
+    critic.systemPrompt(),
+    critic.message(`Article on: ${originalTopic}`, article),
+    "Quality Agent",
+    { schema: critic.schema }
   );
+  return critic.score(raw);
 }
 
 // ORCHESTRATOR: Runs the full pipeline
@@ -99,10 +152,16 @@ async function contentPipeline({ topic, style = "engaging tech blog post for dev
   const draft = await writerAgent(topic, research, style);
 
   console.log("\n🔍 STEP 3/4: Edit");
-  const finalArticle = await editorAgent(draft);
-
-  console.log("\n⭐ STEP 4/4: Quality Check");
-  const qualityReport = await qualityAgent(finalArticle, topic);
+  const edited = await editorAgent(draft);
+
+  // Scored articles below the threshold go back to the editor with the feedback; the best-scored one wins
+  console.log(`\n⭐ STEP 4/4: Quality Check (revise until ${critic.threshold}/10, at most ${critic.maxRevisions} times)`);
+  const { answer: finalArticle, review: qualityReport, revisions } = await critic.refine(edited, {
+    critique: (article) => qualityAgent(article, topic),
+    revise: (article, review) => editorAgent(article, review),
+    onReview: ({ review, revision }) =>
+      console.log(`  🧐 Score: ${review.score}/10${revision ? ` after revision ${revision}` : ""}${review.passed ? " ✅" : ""}`),
+  });
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
 
@@ -112,15 +171,42 @@ async function contentPipeline({ topic, style = "engaging tech blog post for dev
   console.log(finalArticle);
 
   console.log(`\n${"═".repeat(65)}`);
-  console.log("⭐ QUALITY REPORT:");
+  console.log(`⭐ QUALITY REPORT: ${qualityReport.score}/10 after ${revisions} revision(s)${qualityReport.passed ? "" : " — below the bar"}`);
   console.log(`${"═".repeat(65)}\n`);
-  console.log(qualityReport);
+  qualityReport.scores.forEach((s) => console.log(`  ${s.criterion.padEnd(12)} ${String(s.score).padStart(4)}/10  ${s.comment}`));
+  console.log("\n  Suggestions:");
+  qualityReport.suggestions.forEach((s) => console.log(`  - ${s}`));
 
-  return { research, draft, finalArticle, qualityReport };
+  return { research, draft, finalArticle, qualityReport, revisions };
 }
 
 // Run the pipeline
-contentPipeline({
-  topic: "How AI agents are changing software development workflows in 2024",
-  style: "informative but engaging blog post for software developers",
-}).catch(console.error);
+async function main() {
+  const tracer = tracerFromEnv("06_multi_agent_pipeline");
+  const request = {
+    topic: "How AI agents are changing software development workflows in 2024",
+    style: "informative but engaging blog post for software developers",
+  };
+  await withSpan("contentPipeline", request, () => contentPipeline(request), { tracer });
+
+  if (tracer) tracer.save();
+  if (cache) {
+    const { hits, misses, tokensSaved } = cache.stats();
+    console.log(`\n💾 Cache: ${hits} hit(s), ${misses} miss(es), ~${tokensSaved} tokens saved`);
+  }
+}
+
+// For the agents CLI: the prompt is the article topic; each run is a fresh pipeline
+function create() {
+  return {
+    run: async (topic) => {
+      const { finalArticle, qualityReport, revisions } = await contentPipeline({ topic });
+      return { success: true, response: finalArticle, qualityReport, revisions };
+    },
+  };
+}
+
+module.exports = { description: "Research → write → edit pipeline with a quality reviewer (prompt: a topic)", create, contentPipeline, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
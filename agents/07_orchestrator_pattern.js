@@ -1,14 +1,19 @@
 // ORCHESTRATOR PATTERN — One coordinator + multiple specialist agents running in parallel
 // npm install @google/generative-ai
-// GEMINI_API_KEY=your_key node examples/07_orchestrator_pattern.js
+// GEMINI_API_KEY=your_key node agents/07_orchestrator_pattern.js
 
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { BaseAgent, CurrencyAgent, UnitConverterAgent } = require("./base-agent");
+const { agentAsTool } = require("./agent-tool");
+const { UsageTracker, formatUsage } = require("./usage");
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // WORKER AGENTS (each is a specialized mini-agent)
 // These are simple — just a system prompt makes them experts
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+const workerUsage = new UsageTracker();
+
 async function callWorker(workerName, task, systemPrompt) {
   const start = Date.now();
   const model = genAI.getGenerativeModel({
@@ -16,6 +21,7 @@ async function callWorker(workerName, task, systemPrompt) {
     systemInstruction: systemPrompt,
   });
   const result = await model.generateContent(task);
+  workerUsage.record({ model: "gemini-2.5-flash", usage: result.response.usageMetadata, agent: workerName });
   const elapsed = ((Date.now() - start) / 1000).toFixed(1);
   console.log(`  ✅ ${workerName} done in ${elapsed}s`);
   return result.response.text();
@@ -103,38 +109,65 @@ const workers = {
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // ORCHESTRATOR AGENT
-// Has ONE tool: call_worker — to delegate to specialist agents
+// call_worker delegates to the prompt-only workers above;
+// currency_agent and unit_agent are full BaseAgents with their own tools
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-class Orchestrator {
-  constructor() {
-    this.model = genAI.getGenerativeModel({
-      model: "gemini-2.5-flash",
+class Orchestrator extends BaseAgent {
+  constructor(options = {}) {
+    // Sub-agents call the model the same way as the orchestrator: same provider (or script),
+    // cassette, response cache and trace
+    const { provider, cassette, cache, tracer } = options;
+    const shared = { provider, cassette, cache, tracer, verbose: false };
+
+    super({
+      ...options,
+      name: "Orchestrator",
+      maxSteps: 5,
+      // Run ALL worker calls in PARALLEL for speed — BaseAgent handles the fan-out
+      toolConcurrency: "parallel",
+      subAgents: [
+        agentAsTool(new CurrencyAgent(shared), {
+          name: "currency_agent",
+          description: "Convert money between currencies (USD, PKR, EUR, GBP, AED, SAR). Give amounts and currencies.",
+        }),
+        agentAsTool(new UnitConverterAgent(shared), {
+          name: "unit_agent",
+          description: "Convert distances, weights, temperatures and volumes between units. Give values and units.",
+        }),
+      ],
       tools: [
         {
-          functionDeclarations: [
-            {
-              name: "call_worker",
-              description: "Delegate a specific subtask to a specialized worker agent. Call multiple workers simultaneously for parallel execution.",
-              parameters: {
-                type: "OBJECT",
-                properties: {
-                  worker: {
-                    type: "STRING",
-                    enum: ["code_agent", "analysis_agent", "writing_agent", "math_agent", "security_agent", "ux_agent"],
-                    description: "Which specialized agent to use for this subtask",
-                  },
-                  task: {
-                    type: "STRING",
-                    description: "Detailed description of the specific task for this worker. Be specific and comprehensive.",
-                  },
-                },
-                required: ["worker", "task"],
+          name: "call_worker",
+          description: "Delegate a specific subtask to a specialized worker agent. Call multiple workers simultaneously for parallel execution.",
+          parameters: {
+            type: "OBJECT",
+            properties: {
+              worker: {
+                type: "STRING",
+                enum: ["code_agent", "analysis_agent", "writing_agent", "math_agent", "security_agent", "ux_agent"],
+                description: "Which specialized agent to use for this subtask",
+              },
+              task: {
+                type: "STRING",
+                description: "Detailed description of the specific task for this worker. Be specific and comprehensive.",
               },
             },
-          ],
+            required: ["worker", "task"],
+          },
         },
       ],
-      systemInstruction: `
+      toolFns: {
+        call_worker: async ({ worker, task }) => {
+          console.log(`  🤖 → ${worker}: "${task.substring(0, 55)}..."`);
+          const workerFn = workers[worker];
+          if (!workerFn) return { worker, error: `Unknown worker: ${worker}` };
+
+          const result = await workerFn(task);
+          this.allWorkerResults.push({ worker, task, result });
+          return { worker, result };
+        },
+      },
+      systemPrompt: `
         You are an expert orchestrator AI that breaks down complex tasks and delegates to specialists.
         
         Available specialists:
@@ -145,6 +178,10 @@ class Orchestrator {
         - security_agent: Security reviews, vulnerability analysis, best practices
         - ux_agent: User experience design, accessibility, interface improvements
         
+        Tool-using agents (call them directly, not through call_worker):
+        - currency_agent: Exact currency conversions
+        - unit_agent: Exact unit conversions
+        
         Strategy:
         1. Analyze the user request carefully
         2. Break it into distinct subtasks
@@ -156,60 +193,28 @@ class Orchestrator {
         Call multiple workers simultaneously to save time.
       `,
     });
+
+    this.allWorkerResults = [];
   }
 
-  async run(userRequest) {
+  async run(userRequest, context = null, options = {}) {
     console.log(`\n${"═".repeat(65)}`);
     console.log(`🎯 ORCHESTRATOR: "${userRequest.trim().substring(0, 80)}..."`);
     console.log(`${"═".repeat(65)}`);
 
-    const chat = this.model.startChat();
-    let response = await chat.sendMessage(userRequest);
-    let iteration = 0;
-    const allWorkerResults = [];
-
-    while (iteration++ < 5) {
-      const parts = response.response.candidates[0].content.parts;
-      const calls = parts.filter((p) => p.functionCall);
-
-      if (!calls.length) {
-        const finalAnswer = parts.map((p) => p.text || "").join("");
-        console.log(`\n${"═".repeat(65)}`);
-        console.log(`🏆 ORCHESTRATED RESULT:\n`);
-        console.log(finalAnswer);
-        return finalAnswer;
-      }
-
-      // Run ALL worker calls in PARALLEL for speed
-      console.log(`\n📋 Dispatching ${calls.length} specialist(s) in parallel...`);
-      const startTime = Date.now();
-
-      const workerPromises = calls.map(async (p) => {
-        const { worker, task } = p.functionCall.args;
-        console.log(`  🤖 → ${worker}: "${task.substring(0, 55)}..."`);
-
-        const workerFn = workers[worker];
-        if (!workerFn) {
-          return { name: "call_worker", response: { worker, error: `Unknown worker: ${worker}` } };
-        }
-
-        const result = await workerFn(task);
-        allWorkerResults.push({ worker, task, result });
-        return { name: "call_worker", response: { worker, result } };
-      });
-
-      const results = await Promise.all(workerPromises);
-      const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-      console.log(`  ⏱️  All workers completed in ${elapsed}s (parallel)`);
-
-      const toolResults = results.map((r) => ({
-        functionResponse: { name: r.name, response: r.response },
-      }));
-
-      response = await chat.sendMessage(toolResults);
+    // Worker results are per request; the conversation carries on until reset() (e.g. /reset in `agents chat 07`)
+    this.allWorkerResults = [];
+
+    const result = await super.run(userRequest, context, options);
+    if (!result.success) {
+      console.log(`\n❌ Orchestration stopped: ${result.error || result.reason}`);
+      return result;
     }
 
-    return "Orchestration complete";
+    console.log(`\n${"═".repeat(65)}`);
+    console.log(`🏆 ORCHESTRATED RESULT:\n`);
+    console.log(result.response);
+    return result;
   }
 }
 
@@ -230,7 +235,8 @@ async function main() {
 
   console.log("\n\n");
 
-  // Example 2: Product design request
+  // Example 2: Product design request (unrelated, so a new conversation)
+  orchestrator.reset();
   await orchestrator.run(`
     I want to build a mobile app for tracking daily water intake. Please:
     1. Analyze what features users actually need and prioritize them
@@ -238,6 +244,33 @@ async function main() {
     3. Write marketing copy for the app store description
     4. Calculate: if a user drinks 8 glasses of 250ml each, what percentage of the recommended 2.7L daily intake is that?
   `);
+
+  console.log("\n\n");
+
+  // Example 3: Delegates to tool-using sub-agents as well as workers
+  orchestrator.reset();
+  await orchestrator.run(`
+    I'm flying from Lahore to London next week with 150,000 PKR and a 23 kg suitcase. Please:
+    1. Tell me how much my money is in GBP
+    2. Convert my suitcase weight to lbs
+    3. Write a short packing checklist for a rainy week in London (it's around 50 fahrenheit — what's that in celsius?)
+  `);
+
+  // What did all of that cost? Orchestrator usage includes its sub-agents' calls
+  const stats = orchestrator.getStats();
+  console.log(`\n${formatUsage(stats.usage.total, "ORCHESTRATOR USAGE")}`);
+  for (const [name, sub] of Object.entries(stats.subAgents)) {
+    console.log(`  ↳ ${name}: ${sub.totalCalls} tool call(s)`);
+  }
+  console.log(`\n${formatUsage(workerUsage.total(), "WORKER USAGE")}`);
 }
 
-main().catch(console.error);
+module.exports = {
+  description: "Orchestrator fanning a request out to specialist workers and tool-using sub-agents",
+  create: (options = {}) => new Orchestrator(options),
+  Orchestrator,
+  main,
+};
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
@@ -1,9 +1,9 @@
 // EMAIL AGENT — Reads, summarizes, drafts and sends emails
 // npm install @google/generative-ai
-// GEMINI_API_KEY=your_key node examples/08_email_agent.js
+// GEMINI_API_KEY=your_key node agents/08_email_agent.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { BaseAgent } = require("./base-agent");
+const { cliApprover } = require("./approval");
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // Simulated email inbox (in production: use nodemailer + IMAP/Gmail API)
@@ -229,11 +229,16 @@ const emailToolDeclarations = [
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // Email Agent
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-async function emailAgent(command) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash",
-    tools: emailToolDeclarations,
-    systemInstruction: `
+function createEmailAgent(options = {}) {
+  return new BaseAgent({
+    ...options,
+    name: "EmailAgent",
+    tools: emailToolDeclarations[0].functionDeclarations,
+    toolFns: emailTools,
+    // Sending email can't be undone — ask a human first (y / n / edit in the terminal)
+    requireApproval: ["send_email"],
+    approver: cliApprover(),
+    systemPrompt: `
       You are a professional executive email assistant. You help manage a busy inbox.
       
       Your capabilities:
@@ -254,33 +259,17 @@ async function emailAgent(command) {
       - Never invent information — use placeholder text like "[PROJECT_STATUS]" if details are unknown
     `,
   });
+}
 
-  const chat = model.startChat();
+async function emailAgent(command) {
+  const agent = createEmailAgent();
 
   console.log(`\n${"─".repeat(60)}`);
   console.log(`📧 Command: ${command}`);
   console.log(`${"─".repeat(60)}`);
 
-  let resp = await chat.sendMessage(command);
-
-  while (true) {
-    const parts = resp.response.candidates[0].content.parts;
-    const calls = parts.filter((p) => p.functionCall);
-
-    if (!calls.length) {
-      console.log(`\n🤖 Email Assistant:\n${parts.map((p) => p.text || "").join("")}`);
-      return;
-    }
-
-    const results = calls.map((p) => {
-      const { name, args } = p.functionCall;
-      console.log(`  📬 ${name}(${JSON.stringify(args)})`);
-      const result = emailTools[name](args);
-      return { functionResponse: { name, response: result } };
-    });
-
-    resp = await chat.sendMessage(results);
-  }
+  const result = await agent.run(command);
+  console.log(`\n🤖 Email Assistant:\n${result.success ? result.response : result.error}`);
 }
 
 async function main() {
@@ -299,4 +288,7 @@ async function main() {
   await emailAgent("Search for any emails about the performance review and tell me what action I need to take");
 }
 
-main().catch(console.error);
+module.exports = { description: "Inbox assistant: summarize, search, draft and send (sending needs approval)", create: createEmailAgent, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
@@ -1,10 +1,10 @@
 // SQL AGENT — Ask questions in plain English, get SQL answers
 // npm install @google/generative-ai better-sqlite3
-// GEMINI_API_KEY=your_key node examples/09_sql_agent.js
+// GEMINI_API_KEY=your_key node agents/09_sql_agent.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const Database = require("better-sqlite3");
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { BaseAgent } = require("./base-agent");
+const { cassetteFromEnv } = require("./cassette");
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // Set up a real SQLite database with sample business data
@@ -81,8 +81,6 @@ db.exec(`
     (12, 4, 5, 3, 105.00, '2024-02-25', 'North');
 `);
 
-console.log("✅ Database created with employees, products, and sales data\n");
-
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // SQL TOOL IMPLEMENTATIONS
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -105,13 +103,13 @@ const sqlTools = {
         return { error: "Only SELECT queries are allowed for data safety" };
       }
 
+      // Big result sets are sampled by the agent's resultLimits; the model can page through the rest
       const rows = db.prepare(sql).all();
       return {
         sql,
         explanation: explanation || "",
         rowCount: rows.length,
-        rows: rows.slice(0, 50), // Limit to 50 rows
-        truncated: rows.length > 50,
+        rows,
       };
     } catch (err) {
       return { error: err.message, sql, hint: "Check table names and column names with get_schema" };
@@ -174,11 +172,14 @@ const sqlToolDeclarations = [
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // SQL Agent
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-async function sqlAgent(question) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash",
-    tools: sqlToolDeclarations,
-    systemInstruction: `
+function createSqlAgent(options = {}) {
+  return new BaseAgent({
+    ...options,
+    name: "SQLAgent",
+    tools: sqlToolDeclarations[0].functionDeclarations,
+    toolFns: sqlTools,
+    resultLimits: { tools: { run_query: { maxChars: 6000, strategy: "sample-rows" } } },
+    systemPrompt: `
       You are an expert SQL analyst. When users ask business questions:
       
       1. ALWAYS start by calling get_schema to understand the database structure
@@ -200,51 +201,48 @@ async function sqlAgent(question) {
       3. Detailed explanation of the findings
     `,
   });
+}
 
-  const chat = model.startChat();
+async function sqlAgent(question, { cassette = null } = {}) {
+  const agent = createSqlAgent({ cassette });
 
   console.log(`\n${"═".repeat(65)}`);
   console.log(`❓ Question: ${question}`);
   console.log(`${"═".repeat(65)}`);
 
-  let resp = await chat.sendMessage(question);
-
-  while (true) {
-    const parts = resp.response.candidates[0].content.parts;
-    const calls = parts.filter((p) => p.functionCall);
-
-    if (!calls.length) {
-      console.log(`\n📊 Answer:\n${parts.map((p) => p.text || "").join("")}`);
-      return;
-    }
-
-    const results = calls.map((p) => {
-      const { name, args } = p.functionCall;
-      console.log(`  🗃️  ${name}(${args.sql ? `"${args.sql.substring(0, 60)}..."` : JSON.stringify(args)})`);
-      const result = sqlTools[name](args);
-      return { functionResponse: { name, response: result } };
-    });
-
-    resp = await chat.sendMessage(results);
-  }
+  const result = await agent.run(question);
+  console.log(`\n📊 Answer:\n${result.success ? result.response : result.error}`);
 }
 
 async function main() {
-  await sqlAgent("Who are the top 3 highest paid employees, and what departments are they in?");
+  console.log("✅ Database created with employees, products, and sales data\n");
+
+  // CASSETTE=record|replay turns this demo into a reproducible regression run
+  const cassette = cassetteFromEnv("09_sql_agent");
+
+  await sqlAgent("Who are the top 3 highest paid employees, and what departments are they in?", { cassette });
 
-  await sqlAgent("What is the total revenue and number of sales per employee? Rank them best to worst.");
+  await sqlAgent("What is the total revenue and number of sales per employee? Rank them best to worst.", { cassette });
 
   await sqlAgent(
-    "Compare sales performance by region in February 2024 — total revenue and number of deals per region"
+    "Compare sales performance by region in February 2024 — total revenue and number of deals per region",
+    { cassette }
   );
 
   await sqlAgent(
-    "What's the profit margin by product? (revenue - cost*quantity). Which product is most profitable?"
+    "What's the profit margin by product? (revenue - cost*quantity). Which product is most profitable?",
+    { cassette }
   );
 
   await sqlAgent(
-    "Show me all Engineering employees, their salaries, and calculate the average salary for the Engineering department"
+    "Show me all Engineering employees, their salaries, and calculate the average salary for the Engineering department",
+    { cassette }
   );
+
+  if (cassette) cassette.assertDone();
 }
 
-main().catch(console.error);
+module.exports = { description: "Plain-English questions answered with SQL over a sample company database", create: createSqlAgent, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
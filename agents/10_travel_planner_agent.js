@@ -2,8 +2,8 @@
 // A single agent with 3 skills that plans your entire trip
 // GEMINI_API_KEY=your_key node 10_travel_planner_agent.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { BaseAgent } = require("./base-agent");
+const { Skill } = require("./skills");
 
 // ── Fake data (replace with real APIs: OpenWeather, Skyscanner, Booking.com) ──
 const weatherData = {
@@ -27,9 +27,11 @@ const hotels = {
 };
 
 // ── SKILL 1: Weather ──────────────────────────────────────────────────────────
-const weatherSkill = {
+const weatherSkill = new Skill({
+  name: "Weather",
+  capabilities: ["read-only"],
   instructions: "Check weather and best travel seasons for destinations.",
-  tools: {
+  implementations: {
     get_weather: ({ city }) => {
       const w = weatherData[city.toLowerCase()];
       return w || { error: `No weather data for ${city}` };
@@ -44,12 +46,14 @@ const weatherSkill = {
       required: ["city"],
     },
   }],
-};
+});
 
 // ── SKILL 2: Flights ──────────────────────────────────────────────────────────
-const flightSkill = {
+const flightSkill = new Skill({
+  name: "Flights",
+  capabilities: ["read-only"],
   instructions: "Search flights between cities and find best prices.",
-  tools: {
+  implementations: {
     search_flights: ({ from, to }) => {
       const key = `${from.toLowerCase()}-${to.toLowerCase()}`;
       return flights[key] || { error: `No flights found from ${from} to ${to}` };
@@ -67,12 +71,14 @@ const flightSkill = {
       required: ["from", "to"],
     },
   }],
-};
+});
 
 // ── SKILL 3: Hotels ───────────────────────────────────────────────────────────
-const hotelSkill = {
+const hotelSkill = new Skill({
+  name: "Hotels",
+  capabilities: ["read-only"],
   instructions: "Find hotels and accommodations at the destination.",
-  tools: {
+  implementations: {
     search_hotels: ({ city, max_price }) => {
       const cityHotels = hotels[city.toLowerCase()];
       if (!cityHotels) return { error: `No hotels found in ${city}` };
@@ -93,18 +99,14 @@ const hotelSkill = {
       required: ["city"],
     },
   }],
-};
+});
 
 // ── Build agent from skills ───────────────────────────────────────────────────
-const allSkills = [weatherSkill, flightSkill, hotelSkill];
-const toolFns   = Object.assign({}, ...allSkills.map((s) => s.tools));
-const tools     = [{ functionDeclarations: allSkills.flatMap((s) => s.declarations) }];
-
-async function travelAgent(request) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash",
-    tools,
-    systemInstruction: `
+// A fresh trip agent; pass the same one to travelAgent() to keep the conversation going
+function createTravelAgent(options = {}) {
+  return new BaseAgent({
+    name: "TravelPlanner",
+    systemPrompt: `
       You are an expert travel planner. Use your skills to:
       1. Check weather at the destination
       2. Find available flights
@@ -112,31 +114,18 @@ async function travelAgent(request) {
       4. Give a brief day-by-day itinerary suggestion
       Always mention total estimated cost (flight + hotel x nights).
     `,
+    skills: [weatherSkill, flightSkill, hotelSkill],
+    ...options,
   });
+}
 
-  const chat = model.startChat();
+async function travelAgent(request, agent = createTravelAgent()) {
   console.log(`\n✈️  Request: ${request}`);
   console.log("─".repeat(55));
 
-  let resp = await chat.sendMessage(request);
-
-  while (true) {
-    const parts = resp.response.candidates[0].content.parts;
-    const calls = parts.filter((p) => p.functionCall);
-
-    if (!calls.length) {
-      console.log("\n🤖 Travel Planner:\n" + parts.map((p) => p.text || "").join(""));
-      return;
-    }
-
-    const results = calls.map((p) => {
-      const { name, args } = p.functionCall;
-      console.log(`  🔧 ${name}(${JSON.stringify(args)})`);
-      return { functionResponse: { name, response: toolFns[name](args) } };
-    });
-
-    resp = await chat.sendMessage(results);
-  }
+  const result = await agent.run(request);
+  console.log("\n🤖 Travel Planner:\n" + (result.success ? result.response : result.error));
+  return result;
 }
 
 async function main() {
@@ -144,4 +133,45 @@ async function main() {
   await travelAgent("I want to visit Bangkok from Karachi for 3 days. What's the weather like and what will it cost?");
 }
 
-main().catch(console.error);
+// ── Skill tests: scripted conversations, offline — agents test 10 (see skill-harness.js) ──
+// The data above is read-only, so every scenario sees the same trips
+const call = (name, args) => ({ functionCalls: [{ name, args }] });
+
+const skillTests = {
+  setup: ({ provider, verbose }) => ({ agent: createTravelAgent({ provider, verbose }), state: null }),
+  scenarios: [
+    {
+      name: "Reports the weather and best season",
+      skill: "Weather",
+      messages: "What's the weather like in Paris?",
+      script: [call("get_weather", { city: "Paris" }), "Paris is 8°C and cloudy; Apr-Jun is the best time to go."],
+      expect: { calls: [{ name: "get_weather", result: { temp: 8, bestMonth: "Apr-Jun" } }], response: "Apr-Jun" },
+    },
+    {
+      name: "Finds a flight on a known route",
+      skill: "Flights",
+      messages: "Flights from Karachi to Bangkok?",
+      script: [call("search_flights", { from: "Karachi", to: "Bangkok" }), "Thai Air flies it for $310."],
+      expect: { calls: [{ name: "search_flights", result: [{ airline: "Thai Air", price: 310 }] }] },
+    },
+    {
+      name: "Says so when no flight flies the route",
+      skill: "Flights",
+      messages: "Flights from Lahore to Paris?",
+      script: [call("search_flights", { from: "Lahore", to: "Paris" }), "I couldn't find flights from Lahore to Paris."],
+      expect: { calls: [{ name: "search_flights", result: { error: /No flights found/ } }] },
+    },
+    {
+      name: "Keeps hotels within the nightly budget",
+      skill: "Hotels",
+      messages: "Hotels in Dubai under $80 a night?",
+      script: [call("search_hotels", { city: "Dubai", max_price: 80 }), "Nothing in Dubai is under $80; Rove Downtown is $85."],
+      expect: { calls: [{ name: "search_hotels", args: { max_price: 80 }, result: [] }] },
+    },
+  ],
+};
+
+module.exports = { description: "Travel planner: weather, flights and hotels skills", create: createTravelAgent, createTravelAgent, skillTests, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
@@ -3,16 +3,48 @@
 // GEMINI_API_KEY=your_key node 11_news_digest_multi_agent.js
 
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { generateStructuredChat, jsonConfig, StructuredOutputError } = require("./structured");
 const https = require("https");
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
 // ── Helper: call Gemini without tools ────────────────────────────────────────
-async function llm(system, user) {
-  const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash", systemInstruction: system });
-  const r = await model.generateContent(user);
-  return r.response.text();
+// With a `schema`, the answer comes back as validated JSON (re-asked with the errors if it doesn't fit)
+async function llm(system, user, { schema } = {}) {
+  const model = genAI.getGenerativeModel({
+    model: "gemini-2.5-flash",
+    systemInstruction: system,
+    generationConfig: schema ? jsonConfig(schema) : undefined,
+  });
+  if (!schema) {
+    const r = await model.generateContent(user);
+    return r.response.text();
+  }
+
+  return generateStructuredChat(async (contents) => {
+    const r = await model.generateContent({ contents });
+    return r.response.text();
+  }, user, schema);
 }
 
+// Gemini response schemas need fixed keys, so categories come back as a list
+const CATEGORIES_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    categories: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING", description: "Category like AI/ML, Software Dev, Business, Security, Science, Other" },
+          titles: { type: "ARRAY", items: { type: "STRING" } },
+        },
+        required: ["name", "titles"],
+      },
+    },
+  },
+  required: ["categories"],
+};
+
 // ── Helper: fetch real headlines from HackerNews (free, no key needed) ───────
 function fetchHNStories(count = 8) {
   return new Promise((resolve) => {
@@ -59,16 +91,18 @@ async function fetcherAgent(topic) {
 // ── AGENT 2: Categorizer — sorts by topic ────────────────────────────────────
 async function categorizerAgent(stories, topic) {
   console.log("\n🗂️  Agent 2 (Categorizer): Sorting into categories...");
-  const result = await llm(
-    `You are a news editor. Categorize the given headlines into groups like: 
-     AI/ML, Software Dev, Business, Security, Science, Other.
-     Return JSON only: { "AI/ML": [...titles], "Software Dev": [...titles], ... }`,
-    `Categorize these headlines:\n${stories.map((s, i) => `${i + 1}. ${s.title} (score: ${s.score})`).join("\n")}`
-  );
-  console.log("  ✅ Categorized");
   try {
-    return JSON.parse(result.replace(/```json|```/g, "").trim());
-  } catch {
+    const { categories } = await llm(
+      `You are a news editor. Categorize the given headlines into groups like: 
+       AI/ML, Software Dev, Business, Security, Science, Other.`,
+      `Categorize these headlines:\n${stories.map((s, i) => `${i + 1}. ${s.title} (score: ${s.score})`).join("\n")}`,
+      { schema: CATEGORIES_SCHEMA }
+    );
+    console.log("  ✅ Categorized");
+    return Object.fromEntries(categories.map((c) => [c.name, c.titles]));
+  } catch (err) {
+    if (!(err instanceof StructuredOutputError)) throw err;
+    console.log(`  ❌ ${err.message} — using one "Top Stories" group`);
     return { "Top Stories": stories.map((s) => s.title) };
   }
 }
@@ -102,7 +136,24 @@ async function newsDigestPipeline({ topic = "tech", tone = "professional but eng
   console.log("📋 YOUR DAILY DIGEST:\n");
   console.log(digest);
   console.log(`\n⏱️  Done in ${((Date.now() - start) / 1000).toFixed(1)}s`);
+  return { digest, categorized };
 }
 
-newsDigestPipeline({ tone: "casual and witty, like a friend summarizing the news" })
-  .catch(console.error);
+async function main() {
+  await newsDigestPipeline({ tone: "casual and witty, like a friend summarizing the news" });
+}
+
+// For the agents CLI: the prompt is the news topic; each run is a fresh digest
+function create() {
+  return {
+    run: async (topic) => {
+      const { digest, categorized } = await newsDigestPipeline({ topic });
+      return { success: true, response: digest, categorized };
+    },
+  };
+}
+
+module.exports = { description: "Fetch → categorize → brief news pipeline (prompt: a topic)", create, newsDigestPipeline, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
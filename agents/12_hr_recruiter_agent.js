@@ -2,8 +2,8 @@
 // Single agent with 3 skills that handles the full recruitment pipeline
 // GEMINI_API_KEY=your_key node 12_hr_recruiter_agent.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { BaseAgent } = require("./base-agent");
+const { Skill } = require("./skills");
 
 // ── Fake data ────────────────────────────────────────────────────────────────
 const jobListings = [
@@ -28,10 +28,19 @@ const candidates = [
 
 const interviews = [];
 
+// The starting data, restored before every skill test
+const initialCandidates = structuredClone(candidates);
+function resetData() {
+  candidates.splice(0, candidates.length, ...structuredClone(initialCandidates));
+  interviews.length = 0;
+}
+
 // ── SKILL 1: Job Matching ─────────────────────────────────────────────────────
-const matchingSkill = {
+const matchingSkill = new Skill({
+  name: "Job Matching",
+  capabilities: ["read-only"],
   instructions: "Match candidates to open job listings based on their skills and experience.",
-  tools: {
+  implementations: {
     list_jobs: () => jobListings.filter((j) => j.status === "open"),
     match_candidate_to_jobs: ({ candidate_id }) => {
       const c = candidates.find((c) => c.id === candidate_id);
@@ -53,12 +62,15 @@ const matchingSkill = {
         properties: { candidate_id: { type: "STRING", description: "Candidate ID like C001" } },
         required: ["candidate_id"] } },
   ],
-};
+});
 
 // ── SKILL 2: Candidate Screening ─────────────────────────────────────────────
-const screeningSkill = {
+const screeningSkill = new Skill({
+  name: "Candidate Screening",
+  capabilities: ["writes-data"],
+  toolCapabilities: { get_candidate: ["read-only"], list_candidates: ["read-only"] },
   instructions: "Screen candidates and manage their application status.",
-  tools: {
+  implementations: {
     get_candidate: ({ candidate_id }) =>
       candidates.find((c) => c.id === candidate_id) || { error: "Not found" },
     list_candidates: ({ job_id }) => {
@@ -93,12 +105,15 @@ const screeningSkill = {
         },
         required: ["candidate_id", "status"] } },
   ],
-};
+});
 
 // ── SKILL 3: Interview Scheduling ────────────────────────────────────────────
-const schedulingSkill = {
+const schedulingSkill = new Skill({
+  name: "Interview Scheduling",
+  capabilities: ["writes-data"],
+  toolCapabilities: { list_interviews: ["read-only"] },
   instructions: "Schedule and manage interviews between candidates and hiring teams.",
-  tools: {
+  implementations: {
     schedule_interview: ({ candidate_id, job_id, date, time, interviewer }) => {
       const c = candidates.find((c) => c.id === candidate_id);
       const j = jobListings.find((j) => j.id === job_id);
@@ -124,37 +139,30 @@ const schedulingSkill = {
     { name: "list_interviews", description: "List all scheduled interviews",
       parameters: { type: "OBJECT", properties: {} } },
   ],
-};
+});
 
 // ── Build & run the agent ─────────────────────────────────────────────────────
-const allSkills = [matchingSkill, screeningSkill, schedulingSkill];
-const toolFns = Object.assign({}, ...allSkills.map((s) => s.tools));
-const tools = [{ functionDeclarations: allSkills.flatMap((s) => s.declarations) }];
-
-async function hrAgent(request) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash", tools,
-    systemInstruction: `You are a professional HR recruiter assistant with 3 skills:
+// A fresh recruiting agent; pass the same one to hrAgent() to keep the conversation going
+function createHrAgent(options = {}) {
+  return new BaseAgent({
+    name: "HRRecruiter",
+    systemPrompt: `
+      You are a professional HR recruiter assistant with 3 skills:
       Matching, Screening, and Scheduling. Use tools to give data-driven recommendations.
-      Be concise and professional. Always suggest next steps.`,
+      Be concise and professional. Always suggest next steps.
+    `,
+    skills: [matchingSkill, screeningSkill, schedulingSkill],
+    ...options,
   });
+}
 
-  const chat = model.startChat();
+async function hrAgent(request, agent = createHrAgent()) {
   console.log(`\n👔 HR Request: ${request}`);
   console.log("─".repeat(55));
 
-  let resp = await chat.sendMessage(request);
-  while (true) {
-    const parts = resp.response.candidates[0].content.parts;
-    const calls = parts.filter((p) => p.functionCall);
-    if (!calls.length) { console.log("\n🤖 HR Agent:\n" + parts.map((p) => p.text || "").join("")); return; }
-    const results = calls.map((p) => {
-      const { name, args } = p.functionCall;
-      console.log(`  🔧 ${name}(${JSON.stringify(args)})`);
-      return { functionResponse: { name, response: toolFns[name](args) } };
-    });
-    resp = await chat.sendMessage(results);
-  }
+  const result = await agent.run(request);
+  console.log("\n🤖 HR Agent:\n" + (result.success ? result.response : result.error));
+  return result;
 }
 
 async function main() {
@@ -163,4 +171,64 @@ async function main() {
   await hrAgent("What interviews do we have scheduled?");
 }
 
-main().catch(console.error);
+// ── Skill tests: scripted conversations, offline — agents test 12 (see skill-harness.js) ──
+// The model is scripted; the skills' tools run for real against freshly reset data
+const call = (name, args) => ({ functionCalls: [{ name, args }] });
+const candidate = (id) => candidates.find((c) => c.id === id);
+
+const skillTests = {
+  setup: ({ provider, verbose }) => {
+    resetData();
+    return { agent: createHrAgent({ provider, verbose }), state: { candidates, interviews } };
+  },
+  scenarios: [
+    {
+      name: "Ranks the jobs that fit a candidate",
+      skill: "Job Matching",
+      messages: "Which job fits Ali Hassan (C001) best?",
+      script: [call("match_candidate_to_jobs", { candidate_id: "C001" }), "Ali is the best fit for J001, Senior Node.js Developer."],
+      expect: { calls: [{ name: "match_candidate_to_jobs", result: (jobs) => jobs[0].jobId === "J001" }], response: "J001" },
+    },
+    {
+      name: "Shortlists a candidate",
+      skill: "Candidate Screening",
+      messages: "Shortlist Sara Khan, C002.",
+      script: [call("update_candidate_status", { candidate_id: "C002", status: "shortlisted" }), "Sara Khan is shortlisted."],
+      expect: {
+        calls: [{ name: "update_candidate_status", result: { success: true, newStatus: "shortlisted" } }],
+        state: () => candidate("C002").status === "shortlisted" || `C002 is ${candidate("C002").status}`,
+      },
+    },
+    {
+      name: "Schedules an interview and moves the candidate along",
+      skill: "Interview Scheduling",
+      messages: "Book C001 for J001 on 2024-03-15 at 10:00 AM with John Smith.",
+      script: [
+        call("schedule_interview", { candidate_id: "C001", job_id: "J001", date: "2024-03-15", time: "10:00 AM", interviewer: "John Smith" }),
+        "Booked: Ali Hassan, March 15 at 10:00 AM with John Smith.",
+      ],
+      expect: {
+        calls: [{ name: "schedule_interview", result: { success: true, interview: { id: "I001", job: "Senior Node.js Developer" } } }],
+        state: ({ interviews }) => (interviews.length === 1 && candidate("C001").status === "interview") || `${interviews.length} interview(s), C001 is ${candidate("C001").status}`,
+      },
+    },
+    {
+      name: "Won't schedule an unknown candidate",
+      skill: "Interview Scheduling",
+      messages: "Book C999 for J001 tomorrow at 9.",
+      script: [
+        call("schedule_interview", { candidate_id: "C999", job_id: "J001", date: "2024-03-16", time: "9:00 AM", interviewer: "John Smith" }),
+        "I couldn't find candidate C999.",
+      ],
+      expect: {
+        calls: [{ name: "schedule_interview", result: { error: /not found/ } }],
+        state: ({ interviews }) => interviews.length === 0 || `${interviews.length} interview(s) booked`,
+      },
+    },
+  ],
+};
+
+module.exports = { description: "HR recruiter: job matching, candidate screening and interview scheduling", create: createHrAgent, createHrAgent, skillTests, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
@@ -1,15 +1,29 @@
 // CODE REVIEW MULTI-AGENT — 3 parallel agents review code simultaneously
 // Analyzer + Security Auditor + Improvement Suggester → combined report
 // GEMINI_API_KEY=your_key node 13_code_review_multi_agent.js
+// CACHE=sqlite re-reviews unchanged code from ./cache.db instead of calling Gemini again
 
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { cacheFromEnv } = require("./cache");
+const fs = require("fs");
+const path = require("path");
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const cache = cacheFromEnv();
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+// Same system prompt + same input → the cached answer (when CACHE is set)
+async function generate(systemPrompt, prompt) {
+  const live = async () => {
+    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash", systemInstruction: systemPrompt });
+    const result = await model.generateContent(prompt);
+    return { text: result.response.text(), usage: result.response.usageMetadata || null };
+  };
+  const { text } = cache ? await cache.model({ model: "gemini-2.5-flash", systemPrompt, contents: prompt }, live) : await live();
+  return text;
+}
 
-// ── Helper ───────────────────────────────────────────────────────────────────
 async function reviewAgent(role, systemPrompt, code) {
-  const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash", systemInstruction: systemPrompt });
-  const result = await model.generateContent(`Review this code:\n\n\`\`\`javascript\n${code}\n\`\`\``);
-  return result.response.text();
+  return generate(systemPrompt, `Review this code:\n\n\`\`\`javascript\n${code}\n\`\`\``);
 }
 
 // ── Agent 1: Code Quality Analyzer ───────────────────────────────────────────
@@ -51,16 +65,12 @@ function suggestImprovements(code) {
 
 // ── Synthesizer: combines all 3 reviews ──────────────────────────────────────
 async function synthesizeReport(quality, security, improvements, filename) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash",
-    systemInstruction: `You are a lead engineer writing a final code review report.
+  return generate(
+    `You are a lead engineer writing a final code review report.
     Combine three review sections into a concise executive summary.
     Add: overall score /10, top 3 priority actions, approve/request-changes verdict.`,
-  });
-  const result = await model.generateContent(
     `File: ${filename}\n\n${quality}\n\n${security}\n\n${improvements}`
   );
-  return result.response.text();
 }
 
 // ── Main: runs all 3 agents in parallel ──────────────────────────────────────
@@ -91,6 +101,11 @@ async function codeReview(code, filename = "code.js") {
   console.log("🏆 EXECUTIVE SUMMARY:\n");
   console.log(report);
   console.log(`\n⏱️  Completed in ${((Date.now() - start) / 1000).toFixed(1)}s (parallel review)`);
+  if (cache) {
+    const { hits, misses, tokensSaved } = cache.stats();
+    console.log(`💾 Cache: ${hits} hit(s), ${misses} miss(es), ~${tokensSaved} tokens saved`);
+  }
+  return { report, quality, security, improvements };
 }
 
 // ── Sample code to review ─────────────────────────────────────────────────────
@@ -125,4 +140,23 @@ app.post('/login', (req, res) => {
 app.listen(3000);
 `;
 
-codeReview(sampleCode, "auth-server.js").catch(console.error);
+async function main() {
+  await codeReview(sampleCode, "auth-server.js");
+}
+
+// For the agents CLI: the prompt is a file path, or the code itself
+function create() {
+  return {
+    run: async (prompt) => {
+      const isFile = fs.existsSync(prompt) && fs.statSync(prompt).isFile();
+      const code = isFile ? fs.readFileSync(prompt, "utf-8") : prompt;
+      const { report, ...sections } = await codeReview(code, isFile ? path.basename(prompt) : "code.js");
+      return { success: true, response: report, ...sections };
+    },
+  };
+}
+
+module.exports = { description: "3 parallel reviewers (quality, security, improvements) → one report (prompt: code or a file path)", create, codeReview, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
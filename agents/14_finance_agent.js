@@ -2,8 +2,8 @@
 // Tracks your money, analyzes spending, and suggests savings plans
 // GEMINI_API_KEY=your_key node 14_finance_agent.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { BaseAgent } = require("./base-agent");
+const { Skill } = require("./skills");
 
 // ── In-memory ledger (in production: SQLite or MongoDB) ───────────────────────
 const ledger = {
@@ -28,10 +28,20 @@ const ledger = {
 };
 let nextExpenseId = 11;
 
+// The starting ledger, restored before every skill test
+const initialLedger = structuredClone(ledger);
+function resetLedger() {
+  Object.assign(ledger, structuredClone(initialLedger));
+  nextExpenseId = 11;
+}
+
 // ── SKILL 1: Expense Tracking ─────────────────────────────────────────────────
-const expenseSkill = {
+const expenseSkill = new Skill({
+  name: "Expense Tracking",
+  capabilities: ["writes-data"],
+  toolCapabilities: { list_expenses: ["read-only"], get_spending_by_category: ["read-only"] },
   instructions: "Add, view, and categorize expenses. Help users log their spending.",
-  tools: {
+  implementations: {
     add_expense: ({ desc, amount, category, date }) => {
       const expense = { id: nextExpenseId++, desc, amount, category, date: date || new Date().toISOString().split("T")[0] };
       ledger.expenses.push(expense);
@@ -71,12 +81,15 @@ const expenseSkill = {
     { name: "get_spending_by_category", description: "Get total spending grouped by category vs budget",
       parameters: { type: "OBJECT", properties: {} } },
   ],
-};
+});
 
 // ── SKILL 2: Budget Analysis ──────────────────────────────────────────────────
-const budgetSkill = {
+const budgetSkill = new Skill({
+  name: "Budget Analysis",
+  capabilities: ["writes-data"],
+  toolCapabilities: { get_budget_status: ["read-only"] },
   instructions: "Analyze budget vs actual spending, identify overspending, show financial health.",
-  tools: {
+  implementations: {
     get_budget_status: () => {
       const spending = {};
       ledger.expenses.forEach((e) => { spending[e.category] = (spending[e.category] || 0) + e.amount; });
@@ -110,12 +123,15 @@ const budgetSkill = {
         },
         required: ["category", "amount"] } },
   ],
-};
+});
 
 // ── SKILL 3: Savings Goals ────────────────────────────────────────────────────
-const savingsSkill = {
+const savingsSkill = new Skill({
+  name: "Savings Goals",
+  capabilities: ["writes-data"],
+  toolCapabilities: { list_goals: ["read-only"] },
   instructions: "Track savings goals, calculate time to reach targets, suggest saving plans.",
-  tools: {
+  implementations: {
     list_goals: () => ledger.savingsGoals.map((g) => ({
       ...g,
       remaining: g.target - g.saved,
@@ -152,37 +168,30 @@ const savingsSkill = {
         },
         required: ["name", "target"] } },
   ],
-};
+});
 
 // ── Build agent ───────────────────────────────────────────────────────────────
-const allSkills = [expenseSkill, budgetSkill, savingsSkill];
-const toolFns = Object.assign({}, ...allSkills.map((s) => s.tools));
-const tools = [{ functionDeclarations: allSkills.flatMap((s) => s.declarations) }];
-
-async function financeAgent(request) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash", tools,
-    systemInstruction: `You are a personal finance advisor. You help track spending,
+// A fresh finance agent; pass the same one to financeAgent() to keep the conversation going
+function createFinanceAgent(options = {}) {
+  return new BaseAgent({
+    name: "FinanceAdvisor",
+    systemPrompt: `
+      You are a personal finance advisor. You help track spending,
       analyze budgets, and plan savings. Be encouraging but honest about overspending.
-      Always give actionable advice with specific dollar amounts.`,
+      Always give actionable advice with specific dollar amounts.
+    `,
+    skills: [expenseSkill, budgetSkill, savingsSkill],
+    ...options,
   });
+}
 
-  const chat = model.startChat();
+async function financeAgent(request, agent = createFinanceAgent()) {
   console.log(`\n💰 Request: ${request}`);
   console.log("─".repeat(55));
 
-  let resp = await chat.sendMessage(request);
-  while (true) {
-    const parts = resp.response.candidates[0].content.parts;
-    const calls = parts.filter((p) => p.functionCall);
-    if (!calls.length) { console.log("\n🤖 Finance Advisor:\n" + parts.map((p) => p.text || "").join("")); return; }
-    const results = calls.map((p) => {
-      const { name, args } = p.functionCall;
-      console.log(`  🔧 ${name}(${JSON.stringify(args)})`);
-      return { functionResponse: { name, response: toolFns[name](args) } };
-    });
-    resp = await chat.sendMessage(results);
-  }
+  const result = await agent.run(request);
+  console.log("\n🤖 Finance Advisor:\n" + (result.success ? result.response : result.error));
+  return result;
 }
 
 async function main() {
@@ -191,4 +200,72 @@ async function main() {
   await financeAgent("Show my savings goals and tell me how many months to reach each one if I save $200/month extra.");
 }
 
-main().catch(console.error);
+// ── Skill tests: scripted conversations, offline — agents test 14 (see skill-harness.js) ──
+// The model is scripted; the skills' tools run for real against a freshly reset ledger
+const call = (name, args) => ({ functionCalls: [{ name, args }] });
+const food = (categories) => categories.find((c) => c.category === "Food");
+
+const skillTests = {
+  setup: ({ provider, verbose }) => {
+    resetLedger();
+    return { agent: createFinanceAgent({ provider, verbose }), state: ledger };
+  },
+  scenarios: [
+    {
+      name: "Logs an expense and totals its category",
+      skill: "Expense Tracking",
+      messages: "I just spent $55 on groceries. Add it and show my food total.",
+      script: [
+        call("add_expense", { desc: "Groceries", amount: 55, category: "Food" }),
+        call("get_spending_by_category", {}),
+        "Added $55 for groceries. Food is now $315 against a $200 budget.",
+      ],
+      expect: {
+        calls: [
+          { name: "add_expense", result: { success: true, expense: { id: 11, amount: 55 } } },
+          { name: "get_spending_by_category", result: (categories) => food(categories).total === 315 },
+        ],
+        state: (ledger) => ledger.expenses.length === 11 || `${ledger.expenses.length} expenses`,
+      },
+    },
+    {
+      name: "Flags the categories over budget",
+      skill: "Budget Analysis",
+      messages: "Where am I overspending?",
+      script: [call("get_budget_status", {}), "Food is over budget: $260 spent of $200."],
+      expect: {
+        calls: [{ name: "get_budget_status", result: (status) => /Over budget/.test(food(status.categories).status) && status.totalSpent === 471 }],
+        response: "Food",
+      },
+    },
+    {
+      name: "Raises a category's budget",
+      skill: "Budget Analysis",
+      messages: "Set my food budget to $300.",
+      script: [call("set_budget", { category: "Food", amount: 300 }), "Your food budget is now $300 a month."],
+      expect: { calls: [{ name: "set_budget", result: { success: true } }], state: (ledger) => ledger.budget.Food === 300 || `Food budget is ${ledger.budget.Food}` },
+    },
+    {
+      name: "Adds to a savings goal",
+      skill: "Savings Goals",
+      messages: "Put $100 towards the laptop.",
+      script: [call("add_to_goal", { goal_id: 2, amount: 100 }), "Laptop fund: $500 of $1,500 (33%)."],
+      expect: {
+        calls: [{ name: "add_to_goal", result: { newTotal: 500, remaining: 1000, progress: "33%" } }],
+        state: (ledger) => ledger.savingsGoals[1].saved === 500 || `saved ${ledger.savingsGoals[1].saved}`,
+      },
+    },
+    {
+      name: "Reports an unknown goal",
+      skill: "Savings Goals",
+      messages: "Add $50 to goal 9.",
+      script: [call("add_to_goal", { goal_id: 9, amount: 50 }), "I couldn't find goal 9."],
+      expect: { calls: [{ name: "add_to_goal", result: { error: /not found/ } }] },
+    },
+  ],
+};
+
+module.exports = { description: "Personal finance advisor: expenses, budgets and savings goals", create: createFinanceAgent, createFinanceAgent, skillTests, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
@@ -3,31 +3,65 @@
 // GEMINI_API_KEY=your_key node 15_social_media_multi_agent.js
 
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { generateStructuredChat, jsonConfig, StructuredOutputError } = require("./structured");
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
 // ── In-memory content calendar ────────────────────────────────────────────────
 const contentCalendar = [];
 
 // ── Helper ───────────────────────────────────────────────────────────────────
-async function llm(system, prompt) {
-  const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash", systemInstruction: system });
-  const r = await model.generateContent(prompt);
-  return r.response.text();
+// With a `schema`, the answer comes back as validated JSON (re-asked with the errors if it doesn't fit)
+async function llm(system, prompt, { schema } = {}) {
+  const model = genAI.getGenerativeModel({
+    model: "gemini-2.5-flash",
+    systemInstruction: system,
+    generationConfig: schema ? jsonConfig(schema) : undefined,
+  });
+  if (!schema) {
+    const r = await model.generateContent(prompt);
+    return r.response.text();
+  }
+
+  return generateStructuredChat(async (contents) => {
+    const r = await model.generateContent({ contents });
+    return r.response.text();
+  }, prompt, schema);
 }
 
+const IDEAS_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    ideas: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          angle: { type: "STRING" },
+          hook: { type: "STRING" },
+          platform: { type: "STRING", enum: ["twitter", "linkedin", "instagram"] },
+        },
+        required: ["angle", "hook", "platform"],
+      },
+    },
+  },
+  required: ["ideas"],
+};
+
 // ── AGENT 1: Idea Generator ───────────────────────────────────────────────────
 async function ideaAgent(topic, audience, count = 5) {
   console.log(`\n💡 Agent 1 (Idea Generator): Brainstorming ${count} angles for "${topic}"...`);
-  const ideas = await llm(
-    `You are a social media strategist. Generate diverse content angles for a given topic.
-     Return JSON only: { "ideas": [ { "angle": "...", "hook": "...", "platform": "twitter|linkedin|instagram" } ] }`,
-    `Topic: "${topic}" | Target audience: ${audience} | Generate ${count} different angles.`
-  );
   try {
-    const parsed = JSON.parse(ideas.replace(/```json|```/g, "").trim());
-    console.log(`  ✅ Generated ${parsed.ideas.length} ideas`);
-    return parsed.ideas;
-  } catch {
+    const { ideas } = await llm(
+      `You are a social media strategist. Generate diverse content angles for a given topic,
+       each with an opening hook and the best platform for it.`,
+      `Topic: "${topic}" | Target audience: ${audience} | Generate ${count} different angles.`,
+      { schema: IDEAS_SCHEMA }
+    );
+    console.log(`  ✅ Generated ${ideas.length} ideas`);
+    return ideas;
+  } catch (err) {
+    if (!(err instanceof StructuredOutputError)) throw err;
+    console.log(`  ❌ ${err.message} — using a default angle`);
     return [{ angle: topic, hook: `Everything you need to know about ${topic}`, platform: "linkedin" }];
   }
 }
@@ -113,9 +147,29 @@ async function socialMediaPipeline({ topic, audience, brand, postsCount = 3 }) {
 }
 
 // ── Run ───────────────────────────────────────────────────────────────────────
-socialMediaPipeline({
-  topic:      "Why AI agents will replace 30% of developer tasks by 2026",
-  audience:   "software developers and tech founders",
-  brand:      "TechInsights",
-  postsCount: 3,
-}).catch(console.error);
+async function main() {
+  await socialMediaPipeline({
+    topic:      "Why AI agents will replace 30% of developer tasks by 2026",
+    audience:   "software developers and tech founders",
+    brand:      "TechInsights",
+    postsCount: 3,
+  });
+}
+
+// For the agents CLI: the prompt is the topic; the calendar comes back as text and as `calendar`
+function create() {
+  return {
+    run: async (topic) => {
+      const calendar = await socialMediaPipeline({ topic, audience: "software developers and tech founders", brand: "TechInsights" });
+      const response = calendar
+        .map((post) => `[${post.platform}] ${post.scheduledDay} ${post.scheduledTime}\n${post.content}`)
+        .join("\n\n");
+      return { success: true, response, calendar };
+    },
+  };
+}
+
+module.exports = { description: "Ideas → platform posts → content calendar pipeline (prompt: a topic)", create, socialMediaPipeline, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
@@ -2,8 +2,9 @@
 // Real-world e-commerce inventory agent
 // GEMINI_API_KEY=your_key node 16_inventory_agent.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { BaseAgent } = require("./base-agent");
+const { Skill } = require("./skills");
+const { cliApprover, autoApprover } = require("./approval");
 
 // ── Inventory database ────────────────────────────────────────────────────────
 const inventory = [
@@ -17,10 +18,20 @@ const inventory = [
 
 const purchaseOrders = [];
 
+// The starting stock, restored before every skill test
+const initialInventory = structuredClone(inventory);
+function resetData() {
+  inventory.splice(0, inventory.length, ...structuredClone(initialInventory));
+  purchaseOrders.length = 0;
+}
+
 // ── SKILL 1: Stock Tracking ───────────────────────────────────────────────────
-const stockSkill = {
+const stockSkill = new Skill({
+  name: "Stock Tracking",
+  capabilities: ["writes-data"],
+  toolCapabilities: { get_all_stock: ["read-only"], get_product: ["read-only"] },
   instructions: "View stock levels, search products, and update inventory after sales.",
-  tools: {
+  implementations: {
     get_all_stock: ({ filter }) => {
       if (filter === "low")     return inventory.filter((i) => i.stock <= i.minStock && i.stock > 0);
       if (filter === "out")     return inventory.filter((i) => i.stock === 0);
@@ -56,12 +67,14 @@ const stockSkill = {
         },
         required: ["sku", "quantity", "reason"] } },
   ],
-};
+});
 
 // ── SKILL 2: Alerts & Analysis ───────────────────────────────────────────────
-const alertSkill = {
+const alertSkill = new Skill({
+  name: "Alerts & Analysis",
+  capabilities: ["read-only"],
   instructions: "Generate alerts for low stock and analyze inventory health.",
-  tools: {
+  implementations: {
     get_alerts: () => {
       const out  = inventory.filter((i) => i.stock === 0);
       const low  = inventory.filter((i) => i.stock > 0 && i.stock <= i.minStock);
@@ -79,12 +92,15 @@ const alertSkill = {
       description: "Get all low-stock and out-of-stock alerts plus inventory value summary",
       parameters: { type: "OBJECT", properties: {} } },
   ],
-};
+});
 
 // ── SKILL 3: Purchase Orders ──────────────────────────────────────────────────
-const reorderSkill = {
+const reorderSkill = new Skill({
+  name: "Purchase Orders",
+  capabilities: ["writes-data"],
+  toolCapabilities: { list_purchase_orders: ["read-only"] },
   instructions: "Create and manage purchase orders to restock inventory from suppliers.",
-  tools: {
+  implementations: {
     create_purchase_order: ({ sku, quantity }) => {
       const item = inventory.find((i) => i.sku === sku);
       if (!item) return { error: "Product not found" };
@@ -133,37 +149,33 @@ const reorderSkill = {
     { name: "list_purchase_orders", description: "List all created purchase orders",
       parameters: { type: "OBJECT", properties: {} } },
   ],
-};
+});
 
 // ── Build & run ───────────────────────────────────────────────────────────────
-const allSkills = [stockSkill, alertSkill, reorderSkill];
-const toolFns = Object.assign({}, ...allSkills.map((s) => s.tools));
-const tools = [{ functionDeclarations: allSkills.flatMap((s) => s.declarations) }];
-
-async function inventoryAgent(request) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash", tools,
-    systemInstruction: `You are an inventory manager for an e-commerce store. 
+// A fresh inventory agent; pass the same one to inventoryAgent() to keep the conversation going
+function createInventoryAgent(options = {}) {
+  return new BaseAgent({
+    name: "InventoryManager",
+    systemPrompt: `
+      You are an inventory manager for an e-commerce store.
       Use your skills to track stock, generate alerts, and manage reorders.
-      Always prioritize out-of-stock items first. Give specific SKUs and numbers.`,
+      Always prioritize out-of-stock items first. Give specific SKUs and numbers.
+    `,
+    skills: [stockSkill, alertSkill, reorderSkill],
+    // Purchase orders go straight to suppliers — a human confirms each one in the terminal
+    requireApproval: ["create_purchase_order", "auto_reorder_low_stock"],
+    approver: cliApprover(),
+    ...options,
   });
+}
 
-  const chat = model.startChat();
+async function inventoryAgent(request, agent = createInventoryAgent()) {
   console.log(`\n📦 Request: ${request}`);
   console.log("─".repeat(55));
 
-  let resp = await chat.sendMessage(request);
-  while (true) {
-    const parts = resp.response.candidates[0].content.parts;
-    const calls = parts.filter((p) => p.functionCall);
-    if (!calls.length) { console.log("\n🤖 Inventory Agent:\n" + parts.map((p) => p.text || "").join("")); return; }
-    const results = calls.map((p) => {
-      const { name, args } = p.functionCall;
-      console.log(`  🔧 ${name}(${JSON.stringify(args)})`);
-      return { functionResponse: { name, response: toolFns[name](args) } };
-    });
-    resp = await chat.sendMessage(results);
-  }
+  const result = await agent.run(request);
+  console.log("\n🤖 Inventory Agent:\n" + (result.success ? result.response : result.error));
+  return result;
 }
 
 async function main() {
@@ -172,4 +184,66 @@ async function main() {
   await inventoryAgent("We just sold 5 units of SKU-002 and received a return of 2 units of SKU-001. Update the stock.");
 }
 
-main().catch(console.error);
+// ── Skill tests: scripted conversations, offline — agents test 16 (see skill-harness.js) ──
+// The model is scripted; the tools run for real against freshly reset stock. Instead of a
+// human, purchase orders of up to 100 units are approved and bigger ones denied.
+const call = (name, args) => ({ functionCalls: [{ name, args }] });
+const item = (sku) => inventory.find((i) => i.sku === sku);
+
+const skillTests = {
+  setup: ({ provider, verbose }) => {
+    resetData();
+    const approver = autoApprover({ create_purchase_order: ({ quantity }) => quantity <= 100, auto_reorder_low_stock: "approve" });
+    return { agent: createInventoryAgent({ provider, verbose, approver }), state: { inventory, purchaseOrders } };
+  },
+  scenarios: [
+    {
+      name: "Takes a sale out of stock",
+      skill: "Stock Tracking",
+      messages: "We just sold 5 units of SKU-002.",
+      script: [call("update_stock", { sku: "SKU-002", quantity: -5, reason: "sale" }), "Phone Stand stock: 45 → 40."],
+      expect: {
+        calls: [{ name: "update_stock", result: { before: 45, after: 40 } }],
+        state: () => item("SKU-002").stock === 40 || `SKU-002 has ${item("SKU-002").stock}`,
+      },
+    },
+    {
+      name: "Alerts on out-of-stock and low-stock items",
+      skill: "Alerts & Analysis",
+      messages: "What needs urgent attention?",
+      script: [call("get_alerts", {}), "SKU-005 (Webcam) is out of stock; SKU-001 and SKU-003 are low."],
+      expect: {
+        calls: [{
+          name: "get_alerts",
+          result: (alerts) => alerts.outOfStock.map((i) => i.sku).join() === "SKU-005" && alerts.lowStock.map((i) => i.sku).join() === "SKU-001,SKU-003",
+        }],
+        response: "SKU-005",
+      },
+    },
+    {
+      name: "Reorders everything running low, once approved",
+      skill: "Purchase Orders",
+      messages: "Reorder everything that's low or out of stock.",
+      script: [call("auto_reorder_low_stock", {}), "Sent 3 purchase orders."],
+      expect: {
+        calls: [{ name: "auto_reorder_low_stock", result: { ordersCreated: 3 } }],
+        state: ({ purchaseOrders }) => purchaseOrders.length === 3 || `${purchaseOrders.length} purchase order(s)`,
+      },
+    },
+    {
+      name: "A denied purchase order isn't sent",
+      skill: "Purchase Orders",
+      messages: "Order 500 USB-C cables.",
+      script: [call("create_purchase_order", { sku: "SKU-003", quantity: 500 }), "That order wasn't approved, so nothing was sent."],
+      expect: {
+        calls: [{ name: "create_purchase_order", result: { denied: true } }],
+        state: ({ purchaseOrders }) => purchaseOrders.length === 0 || `${purchaseOrders.length} purchase order(s)`,
+      },
+    },
+  ],
+};
+
+module.exports = { description: "Inventory manager: stock levels, low-stock alerts and reorders", create: createInventoryAgent, createInventoryAgent, skillTests, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
@@ -3,11 +3,16 @@
 // GEMINI_API_KEY=your_key node 17_debate_multi_agent.js
 
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { UsageTracker, formatUsage } = require("./usage");
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
-async function llm(system, prompt) {
+// Tokens and cost per debater, so you can budget longer debates
+const usage = new UsageTracker();
+
+async function llm(system, prompt, agent) {
   const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash", systemInstruction: system });
   const r = await model.generateContent(prompt);
+  usage.record({ model: "gemini-2.5-flash", usage: r.response.usageMetadata, agent });
   return r.response.text();
 }
 
@@ -20,7 +25,8 @@ async function proAgent(topic, context, opponentArg = null) {
   return llm(
     `You are a skilled debater arguing STRONGLY IN FAVOR of the given topic.
      Be persuasive, use data/examples, max 200 words. Don't be wishy-washy.`,
-    prompt
+    prompt,
+    "Pro"
   );
 }
 
@@ -33,7 +39,8 @@ async function conAgent(topic, context, opponentArg = null) {
   return llm(
     `You are a skilled debater arguing STRONGLY AGAINST the given topic.
      Be persuasive, use data/examples, max 200 words. Don't be wishy-washy.`,
-    prompt
+    prompt,
+    "Con"
   );
 }
 
@@ -52,7 +59,8 @@ async function judgeAgent(topic, rounds, context) {
      ## Key Takeaways from Each Side  
      ## Final Verdict
      ## Recommendation`,
-    `Topic: "${topic}"\nContext: ${context}\n\nDebate Transcript:\n${transcript}`
+    `Topic: "${topic}"\nContext: ${context}\n\nDebate Transcript:\n${transcript}`,
+    "Judge"
   );
 }
 
@@ -64,6 +72,7 @@ async function runDebate({ topic, context, rounds = 2 }) {
   console.log(`   Rounds: ${rounds}`);
   console.log("═".repeat(60));
 
+  usage.startRun();
   const debateRounds = [];
   let lastPro = null;
   let lastCon = null;
@@ -94,7 +103,10 @@ async function runDebate({ topic, context, rounds = 2 }) {
   console.log("👨‍⚖️  JUDGE'S VERDICT:\n");
   console.log(verdict);
 
-  return { topic, rounds: debateRounds, verdict };
+  const debateUsage = usage.lastRun();
+  console.log(`\n${formatUsage(debateUsage, "DEBATE USAGE")}`);
+
+  return { topic, rounds: debateRounds, verdict, usage: debateUsage };
 }
 
 // ── Run debates on real decisions ────────────────────────────────────────────
@@ -116,4 +128,17 @@ async function main() {
   });
 }
 
-main().catch(console.error);
+// For the agents CLI: the prompt is the motion to debate
+function create() {
+  return {
+    run: async (topic) => {
+      const { rounds, verdict, usage: debateUsage } = await runDebate({ topic, context: "No extra context", rounds: 2 });
+      return { success: true, response: verdict, rounds, usage: debateUsage };
+    },
+  };
+}
+
+module.exports = { description: "FOR vs AGAINST debaters with a judge's verdict (prompt: the motion)", create, runDebate, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
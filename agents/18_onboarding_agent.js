@@ -2,14 +2,21 @@
 // Guides new users through signup, helps them get started, handles initial issues
 // GEMINI_API_KEY=your_key node 18_onboarding_agent.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { BaseAgent } = require("./base-agent");
+const { Skill } = require("./skills");
 
 // ── Data stores ───────────────────────────────────────────────────────────────
 const users = {};
 const tickets = [];
 let ticketCounter = 1;
 
+// Empty stores before every skill test
+function resetData() {
+  for (const email of Object.keys(users)) delete users[email];
+  tickets.length = 0;
+  ticketCounter = 1;
+}
+
 const productFeatures = {
   dashboard:   { desc: "Your main control panel", docs: "/docs/dashboard", difficulty: "easy" },
   pipelines:   { desc: "Automate workflows end-to-end", docs: "/docs/pipelines", difficulty: "medium" },
@@ -19,9 +26,12 @@ const productFeatures = {
 };
 
 // ── SKILL 1: Account Setup ────────────────────────────────────────────────────
-const setupSkill = {
+const setupSkill = new Skill({
+  name: "Account Setup",
+  capabilities: ["writes-data"],
+  toolCapabilities: { get_account: ["read-only"] },
   instructions: "Create user accounts, set preferences, and complete profile setup.",
-  tools: {
+  implementations: {
     create_account: ({ name, email, plan, useCase }) => {
       if (users[email]) return { error: "Account already exists" };
       const user = {
@@ -61,12 +71,15 @@ const setupSkill = {
         },
         required: ["email", "preferences"] } },
   ],
-};
+});
 
 // ── SKILL 2: Product Tour ─────────────────────────────────────────────────────
-const tourSkill = {
+const tourSkill = new Skill({
+  name: "Product Tour",
+  capabilities: ["read-only"],
+  toolCapabilities: { complete_onboarding_step: ["writes-data"] },
   instructions: "Guide users through product features based on their use case. Personalize the tour.",
-  tools: {
+  implementations: {
     get_feature_info: ({ feature }) => {
       const f = productFeatures[feature.toLowerCase()];
       return f ? { feature, ...f } : { error: `Feature "${feature}" not found`, available: Object.keys(productFeatures) };
@@ -103,12 +116,15 @@ const tourSkill = {
         properties: { email: { type: "STRING" }, step: { type: "NUMBER" } },
         required: ["email", "step"] } },
   ],
-};
+});
 
 // ── SKILL 3: Support Tickets ──────────────────────────────────────────────────
-const supportSkill = {
+const supportSkill = new Skill({
+  name: "Support Tickets",
+  capabilities: ["writes-data"],
+  toolCapabilities: { get_quick_answer: ["read-only"] },
   instructions: "Create and manage support tickets for users facing issues.",
-  tools: {
+  implementations: {
     create_ticket: ({ email, subject, description, priority }) => {
       const user = users[email];
       const ticket = {
@@ -148,40 +164,33 @@ const supportSkill = {
         properties: { topic: { type: "STRING", description: "Topic or issue description" } },
         required: ["topic"] } },
   ],
-};
+});
 
 // ── Build & run ───────────────────────────────────────────────────────────────
-const allSkills = [setupSkill, tourSkill, supportSkill];
-const toolFns = Object.assign({}, ...allSkills.map((s) => s.tools));
-const tools = [{ functionDeclarations: allSkills.flatMap((s) => s.declarations) }];
-
-async function onboardingAgent(request) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash", tools,
-    systemInstruction: `You are a friendly customer onboarding specialist for a SaaS product.
+// A fresh onboarding agent; pass the same one to onboardingAgent() to keep the conversation going
+function createOnboardingAgent(options = {}) {
+  return new BaseAgent({
+    name: "OnboardingAgent",
+    systemPrompt: `
+      You are a friendly customer onboarding specialist for a SaaS product.
       Your goal: make new users successful as fast as possible.
       - Be warm and encouraging
       - Personalize advice to their use case
       - Celebrate small wins ("Great! You've completed step 1!")
-      - Proactively suggest the next thing to do`,
+      - Proactively suggest the next thing to do
+    `,
+    skills: [setupSkill, tourSkill, supportSkill],
+    ...options,
   });
+}
 
-  const chat = model.startChat();
+async function onboardingAgent(request, agent = createOnboardingAgent()) {
   console.log(`\n👋 Onboarding: ${request}`);
   console.log("─".repeat(55));
 
-  let resp = await chat.sendMessage(request);
-  while (true) {
-    const parts = resp.response.candidates[0].content.parts;
-    const calls = parts.filter((p) => p.functionCall);
-    if (!calls.length) { console.log("\n🤖 Onboarding Agent:\n" + parts.map((p) => p.text || "").join("")); return; }
-    const results = calls.map((p) => {
-      const { name, args } = p.functionCall;
-      console.log(`  🔧 ${name}(${JSON.stringify(args)})`);
-      return { functionResponse: { name, response: toolFns[name](args) } };
-    });
-    resp = await chat.sendMessage(results);
-  }
+  const result = await agent.run(request);
+  console.log("\n🤖 Onboarding Agent:\n" + (result.success ? result.response : result.error));
+  return result;
 }
 
 async function main() {
@@ -201,4 +210,70 @@ async function main() {
   );
 }
 
-main().catch(console.error);
+// ── Skill tests: scripted conversations, offline — agents test 18 (see skill-harness.js) ──
+// The model is scripted; the skills' tools run for real against empty stores
+const call = (name, args) => ({ functionCalls: [{ name, args }] });
+const zara = { name: "Zara Ahmed", email: "zara@startup.com", plan: "pro", useCase: "marketing automation" };
+
+const skillTests = {
+  setup: ({ provider, verbose }) => {
+    resetData();
+    return { agent: createOnboardingAgent({ provider, verbose }), state: { users, tickets } };
+  },
+  scenarios: [
+    {
+      name: "Creates an account on the chosen plan",
+      skill: "Account Setup",
+      messages: "I'm Zara Ahmed, zara@startup.com. Sign me up for Pro, I'm doing marketing automation.",
+      script: [call("create_account", zara), "Welcome Zara! Your Pro account is ready."],
+      expect: {
+        calls: [{ name: "create_account", result: { success: true, user: { id: "USR-1", plan: "pro" } } }],
+        state: ({ users }) => Boolean(users[zara.email]) || "no account stored",
+      },
+    },
+    {
+      name: "Won't create the same account twice",
+      skill: "Account Setup",
+      messages: ["Sign me up: Zara Ahmed, zara@startup.com.", "Sign me up again, same email."],
+      script: [
+        call("create_account", { name: zara.name, email: zara.email }),
+        "Welcome Zara!",
+        call("create_account", { name: zara.name, email: zara.email }),
+        "You already have an account with zara@startup.com.",
+      ],
+      expect: {
+        calls: [{ name: "create_account", result: { success: true } }, { name: "create_account", result: { error: /already exists/ } }],
+        state: ({ users }) => Object.keys(users).length === 1 || `${Object.keys(users).length} accounts`,
+      },
+    },
+    {
+      name: "Recommends features for the use case",
+      skill: "Product Tour",
+      messages: "What should I start with for marketing automation?",
+      script: [call("get_recommended_features", { useCase: "marketing automation" }), "Start with pipelines, then integrations and the dashboard."],
+      expect: { calls: [{ name: "get_recommended_features", result: { features: ["pipelines", "integrations", "dashboard"] } }], response: "pipelines" },
+    },
+    {
+      name: "Answers from the FAQ, then files a ticket",
+      skill: "Support Tickets",
+      messages: "I can't find my API key. Also please file a ticket: the dashboard loads slowly.",
+      script: [
+        call("get_quick_answer", { topic: "api key" }),
+        call("create_ticket", { email: zara.email, subject: "Dashboard loads slowly", description: "The dashboard takes a long time to load", priority: "high" }),
+        "Your API key is under Settings → Developer → API Keys. Ticket TKT-0001 is open; expect a reply within 2 hours.",
+      ],
+      expect: {
+        calls: [
+          { name: "get_quick_answer", result: { resolved: true } },
+          { name: "create_ticket", result: { success: true, ticket: { id: "TKT-0001", userId: "guest", estimatedResponse: "2 hours" } } },
+        ],
+        state: ({ tickets }) => tickets.length === 1 || `${tickets.length} ticket(s)`,
+      },
+    },
+  ],
+};
+
+module.exports = { description: "SaaS onboarding: account setup, product tour and support tickets", create: createOnboardingAgent, createOnboardingAgent, skillTests, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
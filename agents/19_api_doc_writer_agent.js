@@ -9,14 +9,17 @@
 // SETUP:
 //   npm install @google/generative-ai
 //   GEMINI_API_KEY=your_key node 19_api_doc_writer_agent.js
+//
+// The agent plans the work before it starts (read → scan → one step per file)
+// and re-plans if a step fails. Progress is saved after every step:
+//   SESSION=<id> node 19_api_doc_writer_agent.js   → continue an interrupted run
 // ============================================================
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { BaseAgent } = require("./base-agent");
+const { JsonSessionStore } = require("./sessions");
 const fs   = require("fs");
 const path = require("path");
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 // ─────────────────────────────────────────────────────────────
 // TOOL IMPLEMENTATIONS
 // ─────────────────────────────────────────────────────────────
@@ -332,17 +335,24 @@ module.exports = router;
 `;
 
 // Write sample file for agent to read
-fs.mkdirSync("./sample-api", { recursive: true });
-fs.writeFileSync("./sample-api/routes.js", SAMPLE_API, "utf-8");
+function writeSampleApi() {
+  fs.mkdirSync("./sample-api", { recursive: true });
+  fs.writeFileSync("./sample-api/routes.js", SAMPLE_API, "utf-8");
+}
 
 // ─────────────────────────────────────────────────────────────
 // AGENT
 // ─────────────────────────────────────────────────────────────
-async function runAgent(task) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash",
-    tools: TOOLS,
-    systemInstruction: `
+function agentOptions(overrides = {}) {
+  return {
+    name: "ApiDocWriter",
+    tools: TOOLS[0].functionDeclarations,
+    toolFns: TOOL_MAP,
+    // Big files reach the model as their head and tail; it pages through the rest with read_result_page
+    resultLimits: { tools: { read_file: { maxChars: 20000, strategy: "head-tail" } } },
+    planning: { maxReplans: 2 },
+    sessionStore: new JsonSessionStore(),
+    systemPrompt: `
 You are an expert API technical writer. Your job is to produce complete, production-grade
 documentation from source code.
 
@@ -384,39 +394,27 @@ Valid Postman Collection v2.1 JSON. Include:
 
 Be thorough. Real JSON examples in every response. Every status code documented.
 `,
-  });
-
-  const chat = model.startChat();
-  console.log(`\n📝 Task: ${task}\n${"─".repeat(60)}`);
-
-  let resp  = await chat.sendMessage(task);
-  let steps = 0;
+    ...overrides,
+  };
+}
 
-  while (steps++ < 20) {
-    const parts = resp.response.candidates[0].content.parts;
-    const calls = parts.filter((p) => p.functionCall);
+function createDocWriter(options = {}) {
+  writeSampleApi();
+  return new BaseAgent(agentOptions(options));
+}
 
-    if (!calls.length) {
-      const text = parts.map((p) => p.text || "").join("").trim();
-      if (text) console.log("\n" + text);
-      break;
-    }
+async function runAgent(task) {
+  const options = agentOptions();
+  writeSampleApi();
+  console.log(`\n📝 Task: ${task}\n${"─".repeat(60)}`);
 
-    const results = calls.map((p) => {
-      const { name, args } = p.functionCall;
-      // Clean log — truncate huge strings
-      const logArgs = Object.fromEntries(
-        Object.entries(args).map(([k, v]) => [
-          k,
-          typeof v === "string" && v.length > 120 ? `[${v.length} chars]` : v,
-        ])
-      );
-      console.log(`  ⚙️  ${name}(${JSON.stringify(logArgs)})`);
-      return { functionResponse: { name, response: TOOL_MAP[name](args) } };
-    });
+  const agent = process.env.SESSION
+    ? await BaseAgent.resume(process.env.SESSION, options)
+    : new BaseAgent(options);
+  console.log(`💾 Session ${agent.sessionId} — if the run stops early, continue it with SESSION=${agent.sessionId}`);
 
-    resp = await chat.sendMessage(results);
-  }
+  const result = process.env.SESSION ? await agent.resumePlan() : await agent.run(task);
+  console.log("\n" + (result.success ? result.response : `⚠️  ${result.reason}: ${result.error}`));
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -444,4 +442,12 @@ async function main() {
   }
 }
 
-main().catch(console.error);
+module.exports = {
+  description: "Markdown, OpenAPI and Postman docs from a routes file, planned step by step (prompt: what to document, e.g. ./sample-api/routes.js)",
+  create: createDocWriter,
+  createDocWriter,
+  main,
+};
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
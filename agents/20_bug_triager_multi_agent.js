@@ -12,9 +12,13 @@
 // SETUP:
 //   npm install @google/generative-ai
 //   GEMINI_API_KEY=your_key node 20_bug_triager_multi_agent.js
+//   TRACE=1 also saves a trace per session to traces/ (view: node agents/trace-view.js)
 // ============================================================
 
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { withRetry, RetryBudget } = require("./retry");
+const { generateStructuredChat, jsonConfig, StructuredOutputError } = require("./structured");
+const { withSpan, activeSpan, tracerFromEnv } = require("./tracing");
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
 // ─────────────────────────────────────────────────────────────
@@ -97,44 +101,149 @@ const PAST_BUGS = [
 
 // ─────────────────────────────────────────────────────────────
 // HELPER — call Gemini without tools (pure generation)
+// Transient 429/5xx errors are retried with backoff, then fall back to a
+// lighter model. All four agents share one retry budget.
+// With a `schema`, Gemini answers in JSON mode; the result is validated and
+// re-requested with the errors (up to 3 tries) before giving up.
+// Every request is a model.generate span under the calling agent's span.
 // ─────────────────────────────────────────────────────────────
-async function llm(systemPrompt, userPrompt) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash",
-    systemInstruction: systemPrompt,
+const retryBudget = new RetryBudget(12);
+
+async function llm(systemPrompt, userPrompt, { schema } = {}) {
+  const generationConfig = schema ? jsonConfig(schema) : undefined;
+
+  const call = (contents) =>
+    withSpan("model.generate", { "gen_ai.prompt": contents.at(-1).parts[0].text, "llm.structured": Boolean(schema) }, async (span) => {
+      let usedModel;
+      const result = await withRetry(
+        (model) => {
+          usedModel = model;
+          return genAI.getGenerativeModel({ model, systemInstruction: systemPrompt, generationConfig }).generateContent({ contents });
+        },
+        {
+          models: ["gemini-2.5-flash", "gemini-2.0-flash"],
+          budget: retryBudget,
+          onRetry: ({ nextModel, delayMs, error }) => {
+            console.log(`  🔁 ${error.message} — retrying ${nextModel} in ${delayMs}ms`);
+            span.addEvent("retry", { nextModel, delayMs, error: error.message });
+          },
+        }
+      );
+      const text = result.response.text().trim();
+      const usage = result.response.usageMetadata || {};
+      span.setAttributes({
+        "gen_ai.response.model": usedModel,
+        "gen_ai.usage.input_tokens": usage.promptTokenCount,
+        "gen_ai.usage.output_tokens": usage.candidatesTokenCount,
+        "gen_ai.completion": text,
+      });
+      return text;
+    }, { kind: "client" });
+
+  if (!schema) return call([{ role: "user", parts: [{ text: userPrompt }] }]);
+
+  return generateStructuredChat(call, userPrompt, schema, {
+    onInvalid: ({ attempt, errors }) => {
+      console.log(`  ⚠️  Invalid JSON (attempt ${attempt}): ${errors.map((e) => `${e.path} ${e.message}`).join("; ")}`);
+      if (activeSpan()) activeSpan().addEvent("invalid-output", { attempt, errors });
+    },
   });
-  const result = await model.generateContent(userPrompt);
-  return result.response.text().trim();
 }
 
-function parseJSON(raw, fallback) {
+// Structured call with a visible fallback when the model never gets the schema right
+async function llmJSON(systemPrompt, userPrompt, schema, fallback) {
   try {
-    return JSON.parse(raw.replace(/```json\s*|```/gi, "").trim());
-  } catch {
+    return await llm(systemPrompt, userPrompt, { schema });
+  } catch (err) {
+    if (!(err instanceof StructuredOutputError)) throw err;
+    console.log(`  ❌ ${err.message} — using fallback`);
+    if (activeSpan()) activeSpan().fail(err);
     return fallback;
   }
 }
 
+// ─────────────────────────────────────────────────────────────
+// OUTPUT SCHEMAS — sent to Gemini as responseSchema and used for validation
+// ─────────────────────────────────────────────────────────────
+const CLASSIFICATION_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    severity: { type: "STRING", enum: ["critical", "high", "medium", "low"] },
+    priority: { type: "STRING", enum: ["P0", "P1", "P2", "P3"] },
+    component: {
+      type: "STRING",
+      enum: ["auth", "api", "frontend", "database", "upload", "notifications", "infrastructure", "unknown"],
+    },
+    labels: { type: "ARRAY", items: { type: "STRING" } },
+    reproducibility: { type: "STRING", enum: ["always", "sometimes", "rarely", "unconfirmed"] },
+    affectedScope: { type: "STRING", enum: ["all-users", "some-users", "specific-condition"] },
+    severityReason: { type: "STRING", description: "One sentence explaining the severity choice" },
+    estimatedEffort: {
+      type: "STRING",
+      enum: ["< 1 hour", "1–4 hours", "1–2 days", "3–5 days", "1+ week"],
+      nullable: true,
+      description: "null when the report is too vague to estimate",
+    },
+  },
+  required: [
+    "severity",
+    "priority",
+    "component",
+    "labels",
+    "reproducibility",
+    "affectedScope",
+    "severityReason",
+    "estimatedEffort",
+  ],
+};
+
+const FINDINGS_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    isDuplicate: { type: "BOOLEAN" },
+    duplicateOf: { type: "STRING", nullable: true, description: "BUG-XXXX or null" },
+    duplicateConfidence: { type: "STRING", enum: ["high", "medium", "low", "none"] },
+    duplicateReason: { type: "STRING", nullable: true },
+    relatedIssues: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          id: { type: "STRING", description: "BUG-XXXX" },
+          similarity: { type: "STRING", description: "Why it is related" },
+        },
+        required: ["id", "similarity"],
+      },
+    },
+    likelyCause: { type: "STRING", description: "Technical root cause hypothesis" },
+    affectedCode: { type: "STRING", description: "File/module/function most likely responsible" },
+    diagnosticSteps: { type: "ARRAY", items: { type: "STRING" } },
+    suggestedFix: {
+      type: "STRING",
+      nullable: true,
+      description: "Concrete technical suggestion based on similar past fixes, or null",
+    },
+  },
+  required: [
+    "isDuplicate",
+    "duplicateOf",
+    "duplicateConfidence",
+    "relatedIssues",
+    "likelyCause",
+    "affectedCode",
+    "diagnosticSteps",
+    "suggestedFix",
+  ],
+};
+
 // ─────────────────────────────────────────────────────────────
 // AGENT 1 — CLASSIFIER
 // Reads the bug report and outputs structured severity/priority/labels
 // ─────────────────────────────────────────────────────────────
 async function classifierAgent(bug) {
-  const raw = await llm(
+  return llmJSON(
     `You are a senior engineer who triages bug reports.
-Analyze the bug and return ONLY a JSON object — no markdown, no extra text.
-
-Schema:
-{
-  "severity":        "critical|high|medium|low",
-  "priority":        "P0|P1|P2|P3",
-  "component":       "auth|api|frontend|database|upload|notifications|infrastructure|unknown",
-  "labels":          ["string"],
-  "reproducibility": "always|sometimes|rarely|unconfirmed",
-  "affectedScope":   "all-users|some-users|specific-condition",
-  "severityReason":  "one sentence explaining the severity choice",
-  "estimatedEffort": "< 1 hour|1–4 hours|1–2 days|3–5 days|1+ week"
-}
+Analyze the bug and classify it.
 
 Severity guide:
   critical = security breach, data loss, auth bypass, system down
@@ -146,19 +255,20 @@ Severity guide:
 Description: ${bug.description}
 Steps to Reproduce: ${bug.steps}
 Environment: ${bug.environment}
-Reporter: ${bug.reporterName}`
+Reporter: ${bug.reporterName}`,
+
+    CLASSIFICATION_SCHEMA,
+    {
+      severity: "medium",
+      priority: "P2",
+      component: "unknown",
+      labels: ["needs-triage"],
+      reproducibility: "unconfirmed",
+      affectedScope: "some-users",
+      severityReason: "Unable to parse classification",
+      estimatedEffort: null,
+    }
   );
-
-  return parseJSON(raw, {
-    severity: "medium",
-    priority: "P2",
-    component: "unknown",
-    labels: ["needs-triage"],
-    reproducibility: "unconfirmed",
-    affectedScope: "some-users",
-    severityReason: "Unable to parse classification",
-    estimatedEffort: "unknown",
-  });
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -171,22 +281,10 @@ async function finderAgent(bug) {
       `${b.id} [${b.severity}] ${b.title} — Status: ${b.status}${b.resolution ? " — Fix: " + b.resolution : ""}`
   ).join("\n");
 
-  const raw = await llm(
+  return llmJSON(
     `You are a senior engineer analyzing a new bug against a history of past issues.
-Return ONLY a JSON object — no markdown, no extra text.
-
-Schema:
-{
-  "isDuplicate":        true|false,
-  "duplicateOf":        "BUG-XXXX or null",
-  "duplicateConfidence":"high|medium|low|none",
-  "duplicateReason":    "explanation or null",
-  "relatedIssues":      [ { "id": "BUG-XXXX", "similarity": "why related" } ],
-  "likelyCause":        "technical root cause hypothesis",
-  "affectedCode":       "file/module/function most likely responsible",
-  "diagnosticSteps":    ["step 1 to confirm", "step 2", "step 3"],
-  "suggestedFix":       "concrete technical suggestion based on similar past fixes, or null"
-}`,
+Decide whether it duplicates a past issue, list related issues, and suggest a root cause,
+three diagnostic steps and a fix based on similar past fixes.`,
 
     `New Bug:
 Title: ${bug.title}
@@ -195,19 +293,20 @@ Steps: ${bug.steps}
 Environment: ${bug.environment}
 
 Past Issues:
-${bugList}`
+${bugList}`,
+
+    FINDINGS_SCHEMA,
+    {
+      isDuplicate: false,
+      duplicateOf: null,
+      duplicateConfidence: "none",
+      relatedIssues: [],
+      likelyCause: "Under investigation",
+      affectedCode: "Unknown",
+      diagnosticSteps: ["Reproduce the issue", "Check logs", "Debug"],
+      suggestedFix: null,
+    }
   );
-
-  return parseJSON(raw, {
-    isDuplicate: false,
-    duplicateOf: null,
-    duplicateConfidence: "none",
-    relatedIssues: [],
-    likelyCause: "Under investigation",
-    affectedCode: "Unknown",
-    diagnosticSteps: ["Reproduce the issue", "Check logs", "Debug"],
-    suggestedFix: null,
-  });
 }
 
 // ─────────────────────────────────────────────────────────────
@@ -232,7 +331,7 @@ Rules:
     `Reporter: ${bug.reporterName}
 Bug title: ${bug.title}
 Severity: ${classification.severity} | Priority: ${classification.priority}
-Estimated fix time: ${classification.estimatedEffort}
+Estimated fix time: ${classification.estimatedEffort || "not estimated"}
 Is duplicate: ${findings.isDuplicate} of ${findings.duplicateOf || "none"}
 Duplicate confidence: ${findings.duplicateConfidence}
 Suggested workaround (if any): ${findings.suggestedFix || "none yet"}`
@@ -281,9 +380,16 @@ Findings: ${JSON.stringify(findings)}`
 // ORCHESTRATOR
 // ─────────────────────────────────────────────────────────────
 const triageLog = [];
+const tracer = tracerFromEnv("20_bug_triager");
 
+// One trace per bug: triage → agent → model.generate
 async function triageBug(bug) {
   const bugId = `BUG-${String(100 + triageLog.length + 1).padStart(4, "0")}`;
+  const attributes = { "bug.id": bugId, "bug.title": bug.title, "bug.environment": bug.environment };
+  return withSpan(`triage ${bugId}`, attributes, () => triage(bugId, bug), { tracer });
+}
+
+async function triage(bugId, bug) {
 
   console.log("\n" + "═".repeat(65));
   console.log(`🐛  TRIAGING ${bugId}`);
@@ -296,11 +402,11 @@ async function triageBug(bug) {
   // ── ROUND 1: Parallel — classification + duplicate search ──
   console.log("\n⚡ Round 1 — running Classifier + Finder in parallel…");
   const [classification, findings] = await Promise.all([
-    classifierAgent(bug).then((r) => {
+    withSpan("Classifier", {}, () => classifierAgent(bug)).then((r) => {
       console.log(`  ✅ Classifier done  →  ${r.severity.toUpperCase()} / ${r.priority}`);
       return r;
     }),
-    finderAgent(bug).then((r) => {
+    withSpan("Finder", {}, () => finderAgent(bug)).then((r) => {
       const dup = r.isDuplicate ? `duplicate of ${r.duplicateOf}` : "no duplicate";
       console.log(`  ✅ Finder done      →  ${dup}`);
       return r;
@@ -310,11 +416,11 @@ async function triageBug(bug) {
   // ── ROUND 2: Parallel — reporter response + internal summary ──
   console.log("\n⚡ Round 2 — running Responder + DevBriefer in parallel…");
   const [publicResponse, internalSummary] = await Promise.all([
-    responderAgent(bug, classification, findings).then((r) => {
+    withSpan("Responder", {}, () => responderAgent(bug, classification, findings)).then((r) => {
       console.log("  ✅ Reporter response drafted");
       return r;
     }),
-    devBrieferAgent(bug, classification, findings).then((r) => {
+    withSpan("DevBriefer", {}, () => devBrieferAgent(bug, classification, findings)).then((r) => {
       console.log("  ✅ Dev summary drafted");
       return r;
     }),
@@ -333,7 +439,7 @@ async function triageBug(bug) {
   console.log(`   Component  : ${classification.component}`);
   console.log(`   Labels     : ${classification.labels?.join(", ")}`);
   console.log(`   Scope      : ${classification.affectedScope}`);
-  console.log(`   Effort est : ${classification.estimatedEffort}`);
+  console.log(`   Effort est : ${classification.estimatedEffort || "not estimated"}`);
   console.log(`   Reason     : ${classification.severityReason}`);
 
   if (findings.isDuplicate) {
@@ -442,6 +548,29 @@ async function main() {
   triageLog.forEach((t) =>
     console.log(`   ${t.bugId}  [${t.classification.severity.toUpperCase()}/${t.classification.priority}]  ${t.bug.title.slice(0, 50)}…  (${t.elapsed}s)`)
   );
+
+  if (tracer) tracer.save();
+}
+
+// For the agents CLI: the prompt is the bug report (first line = title)
+function create() {
+  return {
+    run: async (report) => {
+      const [title, ...rest] = report.trim().split("\n");
+      const result = await triageBug({
+        title,
+        description: rest.join("\n").trim() || title,
+        steps: "Not provided",
+        environment: "Not provided",
+        reporterName: "CLI user",
+      });
+      if (tracer) tracer.save();
+      return { success: true, response: `${result.publicResponse}\n\n---\n\n${result.internalSummary}`, ...result };
+    },
+  };
 }
 
-main().catch(console.error);
+module.exports = { description: "Classify, de-duplicate and answer a bug report with four agents (prompt: the bug report)", create, triageBug, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
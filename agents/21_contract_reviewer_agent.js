@@ -16,7 +16,9 @@
 // ============================================================
 
 const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { ResultLimiter } = require("./result-limits");
 const fs   = require("fs");
+const os   = require("os");
 const path = require("path");
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
@@ -105,6 +107,12 @@ function save_report({ filename, content }) {
   return { success: true, filepath, sizeKB: (Buffer.byteLength(content) / 1024).toFixed(1) };
 }
 
+// Big files reach the model as their first part; it pages through the rest with read_result_page.
+// Every review gets its own limiter, so reviews never share (or evict) each other's pages.
+function createResultLimiter() {
+  return new ResultLimiter({ tools: { read_contract: { maxChars: 20000, strategy: "head" } } });
+}
+
 const TOOL_MAP = { read_contract, flag_risky_terms, extract_section, save_report };
 
 // ─────────────────────────────────────────────────────────────
@@ -266,18 +274,28 @@ This agreement is governed by the laws of Delaware. All disputes must be resolve
 binding arbitration. Customer waives the right to participate in class action proceedings.
 `;
 
-// Write to disk
-fs.mkdirSync("./contracts", { recursive: true });
-fs.writeFileSync("./contracts/freelance-agreement.txt", FREELANCE_CONTRACT, "utf-8");
-fs.writeFileSync("./contracts/saas-agreement.txt", SAAS_CONTRACT, "utf-8");
+// Write to a temp directory (not the working directory) for the demo; returns their paths
+const SAMPLES_DIR = path.join(os.tmpdir(), "contract-reviewer-samples");
+
+function writeSampleContracts() {
+  fs.mkdirSync(SAMPLES_DIR, { recursive: true });
+  const freelance = path.join(SAMPLES_DIR, "freelance-agreement.txt");
+  const saas = path.join(SAMPLES_DIR, "saas-agreement.txt");
+  fs.writeFileSync(freelance, FREELANCE_CONTRACT, "utf-8");
+  fs.writeFileSync(saas, SAAS_CONTRACT, "utf-8");
+  return { freelance, saas };
+}
 
 // ─────────────────────────────────────────────────────────────
 // AGENT
 // ─────────────────────────────────────────────────────────────
 async function reviewContract({ filepath, contractType, signingParty }) {
+  const resultLimiter = createResultLimiter();
+  const toolFns = { ...TOOL_MAP, ...resultLimiter.toolFns };
+
   const model = genAI.getGenerativeModel({
     model: "gemini-2.5-flash",
-    tools: TOOLS,
+    tools: [{ functionDeclarations: [...TOOLS[0].functionDeclarations, resultLimiter.declaration] }],
     systemInstruction: `
 You are an experienced contract attorney protecting the interests of the person SIGNING the contract.
 You are NOT the drafter — you are the reviewer protecting the weaker party.
@@ -374,7 +392,7 @@ Be direct about how bad bad clauses actually are.
     if (!calls.length) {
       const text = parts.map((p) => p.text || "").join("").trim();
       if (text) console.log("\n" + text);
-      break;
+      return text;
     }
 
     const results = calls.map((p) => {
@@ -386,7 +404,7 @@ Be direct about how bad bad clauses actually are.
         ])
       );
       console.log(`  ⚙️  ${name}(${JSON.stringify(logArgs)})`);
-      return { functionResponse: { name, response: TOOL_MAP[name](args) } };
+      return { functionResponse: { name, response: resultLimiter.limit(name, toolFns[name](args)) } };
     });
 
     resp = await chat.sendMessage(results);
@@ -401,14 +419,16 @@ async function main() {
   console.log("⚖️  LEGAL CONTRACT REVIEWER AGENT");
   console.log("═".repeat(65));
 
+  const samples = writeSampleContracts();
+  console.log(`📁 Sample contracts: ${SAMPLES_DIR}`);
   await reviewContract({
-    filepath:      "./contracts/freelance-agreement.txt",
+    filepath:      samples.freelance,
     contractType:  "Freelance Services Agreement",
     signingParty:  "the freelance contractor (individual developer)",
   });
 
   await reviewContract({
-    filepath:      "./contracts/saas-agreement.txt",
+    filepath:      samples.saas,
     contractType:  "SaaS Subscription Agreement",
     signingParty:  "the customer (business subscribing to the software)",
   });
@@ -424,4 +444,26 @@ async function main() {
   }
 }
 
-main().catch(console.error);
+// For the agents CLI: the prompt is the contract's file path (`agents demo 21` writes the samples to SAMPLES_DIR)
+function create() {
+  return {
+    run: async (filepath) => {
+      const review = await reviewContract({
+        filepath: filepath.trim(),
+        contractType: "contract",
+        signingParty: "the party signing it (not the drafter)",
+      });
+      return review ? { success: true, response: review } : { success: false, error: "No review after 20 steps" };
+    },
+  };
+}
+
+module.exports = {
+  description: "Flags risky clauses and writes a negotiation checklist (prompt: a contract file path; the demo writes two samples to a temp dir)",
+  create,
+  reviewContract,
+  main,
+};
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
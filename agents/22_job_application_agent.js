@@ -10,14 +10,17 @@
 // SETUP:
 //   npm install @google/generative-ai
 //   GEMINI_API_KEY=your_key node 22_job_application_agent.js
+//
+// The agent plans first (parse → score → one step per file) and works through the
+// plan step by step, re-planning if a step fails. Progress is saved after every step:
+//   SESSION=<id> node 22_job_application_agent.js   → continue an interrupted run
 // ============================================================
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { BaseAgent } = require("./base-agent");
+const { JsonSessionStore } = require("./sessions");
 const fs   = require("fs");
 const path = require("path");
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
 // ─────────────────────────────────────────────────────────────
 // TOOL IMPLEMENTATIONS
 // ─────────────────────────────────────────────────────────────
@@ -245,11 +248,15 @@ PROJECTS
 // ─────────────────────────────────────────────────────────────
 // AGENT
 // ─────────────────────────────────────────────────────────────
-async function runJobAgent({ jobDescription, resume, companyName, roleName }) {
-  const model = genAI.getGenerativeModel({
-    model: "gemini-2.5-flash",
-    tools: TOOLS,
-    systemInstruction: `
+function agentOptions(overrides = {}) {
+  return {
+    name: "JobApplicationAgent",
+    tools: TOOLS[0].functionDeclarations,
+    toolFns: TOOL_MAP,
+    maxSteps: 25,
+    planning: { maxReplans: 2 },
+    sessionStore: new JsonSessionStore(),
+    systemPrompt: `
 You are an expert career coach and professional resume writer specializing in tech roles.
 Your goal: maximize this candidate's chance of getting an interview.
 
@@ -301,16 +308,12 @@ Practical interview preparation:
 
 Use real details from the resume and JD throughout. Be specific, not generic.
 `,
-  });
-
-  console.log("\n" + "═".repeat(65));
-  console.log("💼  JOB APPLICATION AGENT");
-  console.log(`    Role    : ${roleName}`);
-  console.log(`    Company : ${companyName}`);
-  console.log("═".repeat(65));
+    ...overrides,
+  };
+}
 
-  const chat = model.startChat();
-  let resp = await chat.sendMessage(`
+function applicationTask({ jobDescription, resume, companyName, roleName }) {
+  return `
 Analyze this job application and generate all 4 output files.
 
 COMPANY: ${companyName}
@@ -327,33 +330,32 @@ Please:
 2. Parse the resume
 3. Calculate the match score
 4. Generate and save all 4 files: tailored-resume.md, cover-letter.md, gap-analysis.md, interview-prep.md
-  `);
-
-  let steps = 0;
-  while (steps++ < 25) {
-    const parts = resp.response.candidates[0].content.parts;
-    const calls = parts.filter((p) => p.functionCall);
-
-    if (!calls.length) {
-      const text = parts.map((p) => p.text || "").join("").trim();
-      if (text) console.log("\n" + text);
-      break;
-    }
-
-    const results = calls.map((p) => {
-      const { name, args } = p.functionCall;
-      const logArgs = Object.fromEntries(
-        Object.entries(args).map(([k, v]) => [
-          k,
-          typeof v === "string" && v.length > 100 ? `[${v.length} chars]` : v,
-        ])
-      );
-      console.log(`  ⚙️  ${name}(${JSON.stringify(logArgs)})`);
-      return { functionResponse: { name, response: TOOL_MAP[name](args) } };
-    });
+  `;
+}
 
-    resp = await chat.sendMessage(results);
-  }
+async function runJobAgent({ jobDescription, resume, companyName, roleName }) {
+  const options = agentOptions();
+
+  console.log("\n" + "═".repeat(65));
+  console.log("💼  JOB APPLICATION AGENT");
+  console.log(`    Role    : ${roleName}`);
+  console.log(`    Company : ${companyName}`);
+  console.log("═".repeat(65));
+
+  const agent = process.env.SESSION
+    ? await BaseAgent.resume(process.env.SESSION, options)
+    : new BaseAgent(options);
+  console.log(`💾 Session ${agent.sessionId} — if the run stops early, continue it with SESSION=${agent.sessionId}`);
+
+  const result = process.env.SESSION
+    ? await agent.resumePlan()
+    : await agent.run(applicationTask({ jobDescription, resume, companyName, roleName }));
+
+  console.log("\n🗺️  Plan:");
+  result.plan.steps
+    .filter((s) => s.status !== "dropped")
+    .forEach((s, i) => console.log(`   ${{ done: "✅", failed: "❌" }[s.status] || "⏸️ "} ${i + 1}. ${s.goal}`));
+  console.log("\n" + (result.success ? result.response : `⚠️  ${result.reason}: ${result.error}`));
 
   // Summary
   const dir = "./job-application-output";
@@ -373,9 +375,31 @@ Please:
 // ─────────────────────────────────────────────────────────────
 // RUN
 // ─────────────────────────────────────────────────────────────
-runJobAgent({
-  jobDescription: JOB_DESCRIPTION,
-  resume:         CANDIDATE_RESUME,
-  companyName:    "FinFlow",
-  roleName:       "Senior Full-Stack Engineer",
-}).catch(console.error);
+async function main() {
+  await runJobAgent({
+    jobDescription: JOB_DESCRIPTION,
+    resume:         CANDIDATE_RESUME,
+    companyName:    "FinFlow",
+    roleName:       "Senior Full-Stack Engineer",
+  });
+}
+
+// For the agents CLI: the first prompt is a job description, matched against the sample resume;
+// later prompts are follow-ups on the same conversation
+function create(options = {}) {
+  const agent = new BaseAgent(agentOptions(options));
+  let started = false;
+  return {
+    agent,
+    run: (prompt) => {
+      if (started) return agent.run(prompt);
+      started = true;
+      return agent.run(applicationTask({ jobDescription: prompt, resume: CANDIDATE_RESUME, companyName: "the hiring company", roleName: "the advertised role" }));
+    },
+  };
+}
+
+module.exports = { description: "Tailored resume, cover letter, gap analysis and interview prep (prompt: a job description)", create, runJobAgent, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
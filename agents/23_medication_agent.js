@@ -369,7 +369,8 @@ const TOOLS = [
 // ─────────────────────────────────────────────────────────────
 // AGENT
 // ─────────────────────────────────────────────────────────────
-async function medicationAgent(request) {
+// A fresh assistant chat; pass the same one to medicationAgent() to keep the conversation going
+function startMedicationChat() {
   const model = genAI.getGenerativeModel({
     model: "gemini-2.5-flash",
     tools: TOOLS,
@@ -401,8 +402,10 @@ IMPORTANT: Never recommend changing, stopping, or skipping prescribed medication
 Always direct serious concerns to Dr. ${db.patient.doctor}.
 `,
   });
+  return model.startChat();
+}
 
-  const chat = model.startChat();
+async function medicationAgent(request, chat = startMedicationChat()) {
   console.log(`\n${"─".repeat(60)}`);
   console.log(`💊 Request: ${request}`);
   console.log("─".repeat(60));
@@ -415,9 +418,10 @@ Always direct serious concerns to Dr. ${db.patient.doctor}.
     const calls = parts.filter((p) => p.functionCall);
 
     if (!calls.length) {
+      const text = parts.map((p) => p.text || "").join("").trim();
       console.log("\n🤖 Medication Assistant:\n");
-      console.log(parts.map((p) => p.text || "").join("").trim());
-      return;
+      console.log(text);
+      return text;
     }
 
     const results = calls.map((p) => {
@@ -470,4 +474,13 @@ async function main() {
   );
 }
 
-main().catch(console.error);
+// One conversation for the agents CLI
+function create() {
+  const chat = startMedicationChat();
+  return { run: async (prompt) => ({ success: true, response: await medicationAgent(prompt, chat) }) };
+}
+
+module.exports = { description: "Medication schedule, dose log, interaction checks and doctor reports", create, main };
+
+// Only run the demo when executed directly (not when required by the agents CLI)
+if (require.main === module) main().catch(console.error);
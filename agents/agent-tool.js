@@ -0,0 +1,81 @@
+// AGENT AS TOOL — Let one BaseAgent delegate to another, full tool loop included
+//
+// agentAsTool() wraps a sub-agent as a function declaration + toolFn:
+//   - every delegation starts from an empty history, so the sub-agent never sees
+//     the parent's conversation (or its own earlier delegations)
+//   - calls to the same sub-agent queue up instead of sharing one history
+//   - nesting is capped by maxDepth, and an agent can't delegate back to one of its callers
+//   - the sub-agent's token usage is added to the parent's run (so budgets include it),
+//     and the parent's getStats().subAgents reports each sub-agent's own stats
+//
+// Usage:
+//   const { agentAsTool } = require('./agent-tool');
+//   new BaseAgent({ ..., subAgents: [agentAsTool(new CurrencyAgent(), { name: 'currency_agent' })] });
+
+/**
+ * @param {BaseAgent} agent - The sub-agent to delegate to
+ * @param {Object} [options]
+ * @param {string} [options.name] - Tool name (default: the agent's name in snake_case)
+ * @param {string} [options.description] - What the model should delegate to it
+ * @param {number} [options.maxDepth] - Deepest allowed nesting, counting from the top-level agent (default: 3)
+ */
+function agentAsTool(agent, { name = toolName(agent.name), description = null, maxDepth = 3 } = {}) {
+  let queue = Promise.resolve();
+
+  const declaration = {
+    name,
+    description: description || `Delegate a task to ${agent.name}, a specialist agent with its own tools. It does not see this conversation.`,
+    parameters: {
+      type: "OBJECT",
+      properties: {
+        task: { type: "STRING", description: "The complete task, including every detail the agent needs" },
+      },
+      required: ["task"],
+    },
+  };
+
+  const toolFn = ({ task }, { signal, agent: parent } = {}) => {
+    const callers = parent ? [...parent.callers, parent] : [];
+    if (callers.includes(agent)) {
+      return { agent: agent.name, error: `${agent.name} is already working on this request — it can't be called recursively` };
+    }
+    if (callers.length > maxDepth - 1) {
+      return { agent: agent.name, error: `Max delegation depth (${maxDepth}) reached — finish the task without delegating` };
+    }
+
+    const run = async () => {
+      // Isolated: a fresh history for every delegation
+      agent.history = [];
+      agent.paused = null;
+      agent.callers = callers;
+      const since = agent.usage.records.length;
+
+      try {
+        const result = await agent.run(task, null, { signal });
+        return result.success
+          ? { agent: agent.name, response: result.response, steps: result.steps }
+          : { agent: agent.name, error: result.error || `Stopped: ${result.reason}`, reason: result.reason };
+      } finally {
+        agent.callers = [];
+        // Everything this delegation cost, even if it threw or took several runs (plans, critiques)
+        if (parent) parent.usage.absorb(agent.usage.records.slice(since), { step: parent.stepCount });
+      }
+    };
+
+    const result = queue.then(run);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return { name, declaration, toolFn, agent };
+}
+
+// "CurrencyAgent" → "currency_agent"
+function toolName(agentName) {
+  return agentName
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[^a-z0-9_]+/gi, "_")
+    .toLowerCase();
+}
+
+module.exports = { agentAsTool };
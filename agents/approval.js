@@ -0,0 +1,72 @@
+// APPROVAL — Human-in-the-loop for side-effecting tools
+//
+// Tools listed in BaseAgent's `requireApproval` are held until an approver
+// decides. A decision is one of:
+//   { action: "approve" }
+//   { action: "deny", reason? }
+//   { action: "edit", args }      → run the tool with corrected arguments
+// (true / false / "approve" / "deny" are accepted as shorthand.)
+//
+// Usage:
+//   new BaseAgent({ ..., requireApproval: ['send_email'], approver: cliApprover() });
+//
+// Without an approver, run() pauses and returns
+//   { success: false, reason: "approval_required", pending: [{ id, name, args }] }
+// and agent.resume({ [id]: decision }) continues the run.
+
+const readline = require("readline");
+
+function normalizeDecision(decision) {
+  if (decision === true || decision === "approve") return { action: "approve" };
+  if (decision === false || decision === "deny" || decision == null) return { action: "deny", reason: decision == null ? "No decision given" : undefined };
+  if (typeof decision !== "object" || !["approve", "deny", "edit"].includes(decision.action)) {
+    throw new Error(`Invalid approval decision: ${JSON.stringify(decision)}`);
+  }
+  return decision;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// cliApprover — Asks in the terminal: [y]es / [n]o / [e]dit
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+function cliApprover({ input = process.stdin, output = process.stdout } = {}) {
+  return async ({ name, args }) => {
+    // Nobody to ask (CI, piped input) → fail safe
+    if (!input.isTTY) return { action: "deny", reason: "No terminal available to approve this action" };
+
+    const rl = readline.createInterface({ input, output });
+    const ask = (q) => new Promise((resolve) => rl.question(q, resolve));
+
+    try {
+      output.write(`\n  ✋ Approval needed: ${name}\n${JSON.stringify(args, null, 2).replace(/^/gm, "     ")}\n`);
+      const answer = (await ask("  Approve? [y]es / [n]o / [e]dit arguments: ")).trim().toLowerCase();
+
+      if (answer === "y" || answer === "yes") return { action: "approve" };
+      if (answer === "e" || answer === "edit") {
+        const edited = await ask("  New arguments as JSON: ");
+        try {
+          return { action: "edit", args: JSON.parse(edited) };
+        } catch {
+          return { action: "deny", reason: "Edited arguments were not valid JSON" };
+        }
+      }
+      const reason = (await ask("  Reason (optional): ")).trim();
+      return { action: "deny", reason: reason || undefined };
+    } finally {
+      rl.close();
+    }
+  };
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// autoApprover — Rule-based decisions, no human needed
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// policy: { [toolName]: "approve" | "deny" | (args) => decision }
+// e.g. autoApprover({ process_refund: ({ amount }) => amount <= 50 })
+function autoApprover(policy, { fallback = "deny" } = {}) {
+  return async ({ name, args }) => {
+    const rule = name in policy ? policy[name] : fallback;
+    return typeof rule === "function" ? rule(args) : rule;
+  };
+}
+
+module.exports = { cliApprover, autoApprover, normalizeDecision };
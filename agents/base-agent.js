@@ -4,22 +4,99 @@
 // Usage:
 //   const { BaseAgent } = require('./base-agent');
 //   class MyAgent extends BaseAgent { ... }
+//
+// Offline (no API key needed):
+//   const { MockProvider } = require('./providers');
+//   new MyAgent({ provider: new MockProvider([...script]) });
+//
+// Live updates (for UIs):
+//   agent.on('tool-call', ({ name, args }) => ...);
+//   for await (const event of agent.stream('Hi')) { ... }   // text-delta, tool-call, tool-result, step, done
+//
+// JSON answers checked against a schema (re-asked with the errors until valid):
+//   const { output } = await agent.run('Classify this', null, { outputSchema: { type: 'OBJECT', ... } });
+//
+// Sessions that survive restarts:
+//   const agent = new MyAgent({ sessionStore: new JsonSessionStore() });   // saved after every run
+//   const same = await MyAgent.resume(agent.sessionId, { sessionStore });  // later, in a new process
+//
+// Tracing (run → step → model/tool spans, saved as OpenTelemetry JSON):
+//   const tracer = new Tracer();  new MyAgent({ tracer });  ...;  tracer.save();   // view: node agents/trace-view.js <file>
+//
+// Caching (identical model requests and listed tools are answered from the cache):
+//   new MyAgent({ cache: { tools: { get_weather: { ttlMs: 600000 } } } });   // agent.getStats().cache → hits/misses
+//
+// Plan first, then execute step by step (re-plans when a step fails):
+//   const { response, plan } = await agent.runPlan('Write docs for every route');   // or planning: true → run() plans
+//
+// Self-critique (answers are scored against a rubric and revised until they pass):
+//   new MyAgent({ critique: { rubric: ['Cites the tool results', ...], threshold: 8 } });   // result.critique → score, reviews
+//
+// Skills (instructions + tools per job, merged into the prompt and tool list):
+//   new BaseAgent({ name: 'Support', systemPrompt: '...', skills: [orderSkill, refundSkill] });   // see skills.js
+//   new BaseAgent({ ..., skills, skillRouting: { strategy: 'keyword' } });   // only the skills each message needs (see skill-router.js)
+//
+// Tool policies (skills declare capabilities; disallowed calls are refused, not run):
+//   new BaseAgent({ ..., skills, toolPolicy: { allow: ['read-only'] } });   // see capabilities.js
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const EventEmitter = require("events");
+const { randomUUID } = require("crypto");
+const { GeminiProvider } = require("./providers");
+const { cassetteFromEnv } = require("./cassette");
+const { validate } = require("./schema");
+const { withRetry, RetryBudget, isTransientError } = require("./retry");
+const { UsageTracker, normalizeUsage } = require("./usage");
+const { normalizeDecision } = require("./approval");
+const { JsonSessionStore } = require("./sessions");
+const { ContextManager } = require("./context");
+const { parseStructured, repairMessage, generateStructuredChat } = require("./structured");
+const { ResultLimiter } = require("./result-limits");
+const { agentAsTool } = require("./agent-tool");
+const { withSpan, activeSpan, tracerFromEnv } = require("./tracing");
+const { ResponseCache, cacheFromEnv } = require("./cache");
+const { Planner } = require("./planner");
+const { Critic } = require("./critique");
+const { SkillRegistry } = require("./skills");
+const { SkillRouter } = require("./skill-router");
+const { ToolPolicy, checkCapabilities } = require("./capabilities");
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // BaseAgent — The core reusable agent loop
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-class BaseAgent {
+class BaseAgent extends EventEmitter {
   /**
    * @param {Object} config
    * @param {string} config.name - Agent name for logging
    * @param {string} config.systemPrompt - System instruction for the agent
    * @param {Array} config.tools - Array of Gemini function declarations
    * @param {Object} config.toolFns - Map of tool name → async function
+   * @param {Array|SkillRegistry} [config.skills] - Skills whose instructions and tools are added to the agent's own (see skills.js)
+   * @param {boolean|Object|SkillRouter} [config.skillRouting] - Load only the skills each message needs: true or { strategy, maxSkills, sticky } (see skill-router.js)
    * @param {string} [config.model] - Gemini model name (default: gemini-2.5-flash)
+   * @param {Object} [config.provider] - LLM provider with generate() (default: GeminiProvider)
+   * @param {Cassette} [config.cassette] - Record/replay model and tool calls (see cassette.js)
+   * @param {Object|false} [config.retry] - Retry options for model calls: { retries, baseDelayMs, maxDelayMs, budget (a RetryBudget shared across calls), fallbackModels } (see retry.js), or false to disable
+   * @param {Object} [config.pricing] - Price table overrides, USD per 1M tokens: { [model]: { input, output } }
+   * @param {Object} [config.budget] - Per-run limits: { maxTokens, maxCost (USD), timeoutMs }
    * @param {number} [config.maxSteps] - Max tool call iterations (default: 20)
+   * @param {string|number} [config.toolConcurrency] - "sequential", "parallel" or a max pool size (default: "sequential")
+   * @param {string[]} [config.serialTools] - Tools that must never overlap with other calls (e.g. writes)
+   * @param {boolean} [config.streaming] - Stream text-delta events chunk by chunk (default: false)
+   * @param {boolean} [config.validateArgs] - Check tool args against declarations before calling (default: true)
+   * @param {string[]} [config.requireApproval] - Tools that need a human decision before they run
+   * @param {Function} [config.approver] - async ({ name, args }) => decision (see approval.js). Without one, runs pause.
+   * @param {Object|ToolPolicy} [config.toolPolicy] - Allowlist of capabilities and tool names; other calls get a refusal (see capabilities.js)
+   * @param {Object} [config.toolCapabilities] - Capabilities of the agent's own tools: { [tool]: ["read-only", ...] } (skills declare their own)
+   * @param {Array} [config.middleware] - Hook objects around model/tool calls (see use())
+   * @param {Object|ContextManager} [config.contextWindow] - Trim long histories before model calls (see context.js)
+   * @param {Array} [config.subAgents] - Agents to delegate to, as agentAsTool() results or plain agents (see agent-tool.js)
+   * @param {Object|ResultLimiter} [config.resultLimits] - Cap tool result sizes, with paging for the rest (see result-limits.js)
+   * @param {Object} [config.sessionStore] - Persists history after every run (see sessions.js)
+   * @param {string} [config.sessionId] - Session to save under (default: a new random id)
+   * @param {boolean|Object|Planner} [config.planning] - Make run() plan first and execute step by step: true or { maxReplans, planModel } (see planner.js)
+   * @param {boolean|Object|Critic} [config.critique] - Score final answers against a rubric and revise until they pass: true or { rubric, threshold, maxRevisions, criticModel } (see critique.js)
+   * @param {Object|ResponseCache} [config.cache] - Reuse model responses and selected tool results (see cache.js)
+   * @param {Tracer} [config.tracer] - Record spans for every run (see tracing.js). Sub-agents of a traced agent are traced too.
    * @param {boolean} [config.verbose] - Log tool calls (default: true)
    */
   constructor({
@@ -27,116 +104,1047 @@ class BaseAgent {
     systemPrompt,
     tools = [],
     toolFns = {},
+    skills = [],
+    skillRouting = null,
     model = "gemini-2.5-flash",
+    provider = new GeminiProvider(),
+    cassette = null,
+    retry = {},
+    pricing = {},
+    budget = {},
     maxSteps = 20,
+    toolConcurrency = "sequential",
+    serialTools = [],
+    streaming = false,
+    validateArgs = true,
+    requireApproval = [],
+    approver = null,
+    toolPolicy = null,
+    toolCapabilities = {},
+    middleware = [],
+    contextWindow = null,
+    subAgents = [],
+    resultLimits = null,
+    sessionStore = null,
+    sessionId = null,
+    planning = null,
+    critique = null,
+    cache = null,
+    tracer = null,
     verbose = true,
   }) {
+    super();
     this.name = name;
-    this.toolFns = toolFns;
+    this.basePrompt = systemPrompt;
+    this.skills = toSkillRegistry(skills, tools.map((t) => t.name));
+    this.systemPrompt = this.skills.systemPrompt(systemPrompt);
+    this.tools = [...tools, ...this.skills.declarations()];
+    this.toolFns = { ...toolFns, ...this.skills.implementations() };
+    this.skillRouter = skillRouting ? toSkillRouter(skillRouting) : null;
+    this.routed = null; // { skills, systemPrompt, tools } for the current run when routing
+    this.routedSkills = []; // Names picked earlier in the conversation (sticky routing)
+    this.model = model;
+    this.provider = provider;
+    this.cassette = cassette;
+    this.retry = retry;
+    this.budget = budget;
     this.maxSteps = maxSteps;
+    this.toolConcurrency = toolConcurrency;
+    this.serialTools = serialTools;
+    this.streaming = streaming;
+    this.validateArgs = validateArgs;
+    this.requireApproval = requireApproval;
+    this.approver = approver;
+    this.toolPolicy = toolPolicy ? toToolPolicy(toolPolicy) : null;
+    this.toolCapabilities = toolCapabilities;
+    for (const [tool, caps] of Object.entries(toolCapabilities)) checkCapabilities(caps, `${name}, tool ${tool}`);
+    this.paused = null;
+    this.output = null;
+    this.middleware = [...middleware];
+    this.contextWindow = contextWindow ? toContextManager(contextWindow) : null;
+    this.resultLimiter = resultLimits ? toResultLimiter(resultLimits) : null;
+    this.sessionStore = sessionStore;
+    this.sessionId = sessionId || (sessionStore ? randomUUID() : null);
+    this.sessionCreatedAt = null;
+    this.planner = planning ? toPlanner(planning) : null;
+    this.planState = null;
+    this.executingPlan = false;
+    this.critic = critique ? toCritic(critique) : null;
+    this.critiquing = false;
+    this.cache = cache ? toResponseCache(cache) : null;
+    this.tracer = tracer;
+    this.runSpan = null;
+    this.stepSpan = null;
     this.verbose = verbose;
     this.stepCount = 0;
     this.totalCalls = 0;
+    this.usage = new UsageTracker(pricing);
 
-    this.geminiModel = genAI.getGenerativeModel({
-      model,
-      systemInstruction: systemPrompt,
-      tools: tools.length > 0 ? [{ functionDeclarations: tools }] : undefined,
-    });
+    if (!["sequential", "parallel"].includes(toolConcurrency) && !(Number.isInteger(toolConcurrency) && toolConcurrency > 0)) {
+      throw new Error(`Invalid toolConcurrency: ${JSON.stringify(toolConcurrency)}. Use "sequential", "parallel" or a positive integer.`);
+    }
+    // retry.budget caps retries across calls; the run's token/cost/time limits are the top-level `budget`
+    if (retry && retry.budget !== undefined && !(retry.budget instanceof RetryBudget)) {
+      throw new Error(
+        `Invalid retry.budget: ${JSON.stringify(retry.budget)}. Use a RetryBudget (new RetryBudget(10)); token, cost and time limits go in the top-level budget option.`
+      );
+    }
+
+    // Sub-agents become tools; callers is the chain of agents currently delegating to this one
+    this.subAgents = subAgents.map((s) => (s instanceof BaseAgent ? agentAsTool(s) : s));
+    this.callers = [];
+    for (const { declaration, toolFn } of this.subAgents) {
+      this.tools = [...this.tools, declaration];
+      this.toolFns = { ...this.toolFns, [declaration.name]: toolFn };
+    }
+
+    // Truncated results can be paged through with read_result_page
+    if (this.resultLimiter) {
+      this.tools = [...this.tools, this.resultLimiter.declaration];
+      this.toolFns = { ...this.toolFns, ...this.resultLimiter.toolFns };
+    }
+
+    // Skills added later can't take over a name used by any tool that isn't a skill's
+    this.skills.reservedTools = this.tools.map((t) => t.name).filter((tool) => !this.skills.skillFor(tool));
 
     // Start with fresh conversation
-    this.chat = this.geminiModel.startChat();
+    this.history = [];
   }
 
   log(msg) {
     if (this.verbose) console.log(`[${this.name}] ${msg}`);
   }
 
+  // Append a turn to the history and ask the provider for the next model turn.
+  // If no response comes back (provider error, abort), the turn is taken out again.
+  async send(parts) {
+    const role = parts.some((p) => p.functionResponse) ? "function" : "user";
+    const turn = { role, parts };
+    this.history.push(turn);
+    try {
+      return await this.generateTurn(parts);
+    } catch (err) {
+      const i = this.history.lastIndexOf(turn);
+      if (i !== -1) this.history.splice(i, 1);
+      throw err;
+    }
+  }
+
+  // The model call behind send(), with the new turn already at the end of the history
+  async generateTurn(parts) {
+    // Long conversations: drop or summarize the oldest turns before they overflow the model
+    if (this.contextWindow) await this.contextWindow.fit(this);
+
+    // Tracing: every model call opens the next step; its tool calls run inside that step
+    this.nextStepSpan();
+
+    // Middleware sees a copy of the history: replacing entries (e.g. redaction) won't rewrite the real one
+    const { systemPrompt, tools } = this.routed || this;
+    const ctx = {
+      agent: this,
+      step: this.stepCount + 1,
+      request: {
+        model: this.model,
+        systemPrompt,
+        tools,
+        contents: [...this.history],
+        // Gemini can't combine JSON mode with function calling, so tool-using agents get the schema in the prompt instead
+        ...(this.output && !tools.length ? { outputSchema: this.output.schema } : {}),
+      },
+    };
+
+    let streamed = false;
+    const onTextDelta = this.streaming
+      ? (text) => {
+          streamed = true;
+          this.emit("text-delta", { text });
+        }
+      : undefined;
+
+    const spanAttributes = { "gen_ai.operation.name": "chat", "gen_ai.request.model": this.model, "gen_ai.prompt": parts };
+    const response = await withSpan("model.generate", spanAttributes, async (span) => {
+      const response = await this.callModel(ctx, { signal: this.signal, onTextDelta });
+
+      const tokens = normalizeUsage(response.usage);
+      span.setAttributes({
+        "gen_ai.response.model": response.model || this.model,
+        "gen_ai.usage.input_tokens": tokens.promptTokens,
+        "gen_ai.usage.output_tokens": tokens.completionTokens,
+        "gen_ai.completion": response.parts,
+        "cache.hit": response.cached,
+      });
+      return response;
+    }, { parent: this.stepSpan, kind: "client" });
+
+    // The response belongs to the next loop step; its tool calls share its cost
+    this.usage.record({
+      model: response.model || this.model,
+      usage: response.usage,
+      agent: this.name,
+      step: this.stepCount + 1,
+      tools: response.parts.filter((p) => p.functionCall).map((p) => p.functionCall.name),
+    });
+
+    if (response.cached) this.log("💾 Model response served from cache");
+
+    // Non-streaming calls (cassette replays, cache hits) still emit the text, as one delta
+    const text = response.parts.map((p) => p.text || "").join("");
+    if (!streamed && text) this.emit("text-delta", { text });
+
+    this.history.push({ role: "model", parts: response.parts });
+    return response;
+  }
+
+  // One model call: beforeModelCall / afterModelCall / onError middleware, retries and fallback
+  // models, cache and cassette, all stopped by `signal`. Conversation turns and one-off
+  // structured calls (plans, critiques, routing) both go through here.
+  async callModel(ctx, { signal = null, onTextDelta } = {}) {
+    let streamed = false;
+    const delta = onTextDelta
+      ? (text) => {
+          streamed = true;
+          onTextDelta(text);
+        }
+      : undefined;
+
+    const generate = async (model) => ({
+      ...(await this.provider.generate({ ...ctx.request, model }, { onTextDelta: delta, signal })),
+      model,
+    });
+    // Once text has streamed out, a retry would send it again: only calls that failed before their first delta are retried
+    const retried = () => {
+      if (!this.retry) return generate(ctx.request.model);
+      const { isRetryable = isTransientError, ...options } = this.retryOptions(ctx.request.model);
+      return withRetry(generate, { ...options, signal, isRetryable: (err) => !streamed && isRetryable(err) });
+    };
+    const live = () => (this.cache ? this.cache.model(ctx.request, retried) : retried());
+
+    // beforeModelCall can answer instead of the model (e.g. a cache hit)
+    let response = await this.before("beforeModelCall", ctx);
+    if (response === undefined) {
+      try {
+        response = await abortable(this.cassette ? this.cassette.model(ctx.request, live) : live(), signal);
+      } catch (err) {
+        if (err instanceof RunStoppedError) throw err;
+        response = await this.before("onError", { ...ctx, stage: "model", error: err });
+        if (response === undefined) throw err;
+      }
+    }
+    ctx.response = response;
+    return this.after("afterModelCall", ctx, "response");
+  }
+
+  // `model` first, then fallbacks; every retry is logged
+  retryOptions(model = this.model) {
+    const { fallbackModels = [], onRetry, ...options } = this.retry;
+    return {
+      ...options,
+      models: [model, ...fallbackModels.filter((m) => m !== model)],
+      onRetry: (info) => {
+        const { model, nextModel, delayMs, error } = info;
+        this.log(
+          nextModel === model
+            ? `🔁 ${error.message} — retrying ${model} in ${delayMs}ms`
+            : `🔁 ${error.message} — falling back to ${nextModel}`
+        );
+        activeSpan()?.addEvent("retry", { model, nextModel, delayMs, error: error.message });
+        if (onRetry) onRetry(info);
+      },
+    };
+  }
+
+  // One JSON answer outside the conversation (plans, critiques, routing): no tools, not added to the history.
+  // Goes through callModel() like send() — middleware (ctx.phase is `role`), retries, cache, tracing —
+  // and stops with a RunStoppedError on `signal` or the budget's timeoutMs. Re-asked with the errors
+  // until it matches `schema`.
+  async askStructured({ systemPrompt, message, schema, model = this.model, role, signal = null, budget = {} }) {
+    const controller = new AbortController();
+    const unwatch = watchRun(controller, signal || this.signal, { ...this.budget, ...budget }.timeoutMs);
+
+    const ask = async (contents) => {
+      const request = { model, systemPrompt, tools: [], outputSchema: schema, contents: [...contents] };
+      const ctx = { agent: this, step: this.stepCount, phase: role, request };
+
+      return withSpan("model.generate", { "gen_ai.request.model": model, "agent.phase": role }, async (span) => {
+        const response = await this.callModel(ctx, { signal: controller.signal });
+        this.usage.record({ model: response.model || model, usage: response.usage, agent: `${this.name}:${role}` });
+        const text = response.parts.map((p) => p.text || "").join("");
+        span.setAttributes({ "gen_ai.completion": text, "cache.hit": response.cached });
+        return text;
+      }, { kind: "client" });
+    };
+
+    try {
+      return await generateStructuredChat(ask, message, schema, {
+        onInvalid: ({ attempt, errors }) =>
+          this.log(`⚠️  ${role} answer doesn't match the schema (attempt ${attempt}): ${errors.map((e) => `${e.path} ${e.message}`).join("; ")}`),
+      });
+    } finally {
+      unwatch();
+    }
+  }
+
   // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
   // run() — Main entry point. Send a message and get a response.
   // Handles the full tool-calling loop automatically.
+  // options: { signal, budget, toolPolicy, outputSchema, outputAttempts }
   // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-  async run(userMessage, context = null) {
+  async run(userMessage, context = null, options = {}) {
+    if (this.paused) {
+      throw new Error(`${this.name} is waiting for tool approval — call resume(decisions) or reset() first`);
+    }
+
+    // Critique mode: the finished answer (plain or planned) is scored and revised until it passes
+    if (this.critic && !this.critiquing) {
+      return this.critic.run(this, withContext(userMessage, context), () => this.run(userMessage, context, options), options);
+    }
+
+    // Planning mode: the message becomes a plan, and each of its steps comes back through run()
+    if (this.planner && !this.executingPlan) return this.runPlan(userMessage, context, options);
+
     this.log(`👤 "${userMessage}"`);
-    const startTime = Date.now();
+    this.startTime = Date.now();
     this.stepCount = 0;
+    this.usage.startRun();
+
+    // Skill routing: this run's prompt and tools hold only the skills the message needs
+    if (this.skillRouter) await this.routeSkills(userMessage, options.signal);
 
     // Optionally inject extra context
-    const fullMessage = context
-      ? `${userMessage}\n\n[Context]:\n${typeof context === "object" ? JSON.stringify(context, null, 2) : context}`
-      : userMessage;
-
-    let response = await this.chat.sendMessage(fullMessage);
-
-    while (this.stepCount < this.maxSteps) {
-      this.stepCount++;
-      const parts = response.response.candidates[0].content.parts;
-      const calls = parts.filter((p) => p.functionCall);
-
-      // No more tool calls — we have the final answer
-      if (!calls.length) {
-        const text = parts.map((p) => p.text || "").join("");
-        const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-        this.log(`✅ Done in ${this.stepCount} steps, ${elapsed}s`);
-        return {
-          success: true,
-          response: text,
-          steps: this.stepCount,
-          elapsed,
-        };
-      }
+    let fullMessage = withContext(userMessage, context);
+
+    // Structured output: the final answer must be JSON matching outputSchema
+    const { outputSchema = null, outputAttempts = 3 } = options;
+    this.output = outputSchema ? { schema: outputSchema, maxAttempts: outputAttempts, attempts: 0 } : null;
+    if (outputSchema && (this.routed || this).tools.length) {
+      fullMessage += `\n\n[Output format]: Give your final answer as ONLY a JSON value (no markdown) matching this schema:\n${JSON.stringify(outputSchema)}`;
+    }
+
+    return this.drive(() => this.send([{ text: fullMessage }]), options, {
+      "agent.input": fullMessage,
+      ...(this.routed ? { "agent.skills": this.routed.skills } : {}),
+    });
+  }
+
+  // Continue a run that paused with reason "approval_required".
+  // decisions: { [pendingId]: "approve" | "deny" | { action, args?, reason? } }
+  async resume(decisions = {}, options = {}) {
+    if (!this.paused) throw new Error(`${this.name} has no paused run to resume`);
+    const { calls, output = null } = this.paused;
+    this.paused = null;
+    this.output = output;
+    this.startTime = this.startTime || Date.now(); // Unset when the pause was restored from a session
+    this.log(`▶️  Resuming with ${Object.keys(decisions).length} decision(s)`);
+
+    return this.drive(async () => this.send(await this.runToolRound(calls, decisions)), options, {
+      "agent.resumed": true,
+      "agent.decisions": decisions,
+    });
+  }
 
-      // Execute all tool calls in this round
-      const toolResults = [];
-      for (const p of calls) {
-        const { name, args } = p.functionCall;
-        this.log(`🔧 Step ${this.stepCount}: ${name}(${JSON.stringify(args)})`);
-        this.totalCalls++;
-
-        try {
-          const fn = this.toolFns[name];
-          if (!fn) throw new Error(`Unknown tool: "${name}". Available: ${Object.keys(this.toolFns).join(", ")}`);
-
-          const result = await Promise.resolve(fn(args));
-          toolResults.push({ functionResponse: { name, response: result } });
-        } catch (err) {
-          this.log(`❌ Tool error: ${err.message}`);
-          toolResults.push({
-            functionResponse: { name, response: { error: err.message, tool: name } },
+  // Runs the loop inside an agent.run span when traced — by this.tracer, or by whatever traced agent delegated to us
+  async drive(first, options = {}, attributes = {}) {
+    const parent = activeSpan();
+    const tracer = parent ? parent.tracer : this.tracer;
+    if (!tracer) return this.loop(first, options);
+
+    this.runSpan = tracer.startSpan("agent.run", {
+      parent,
+      attributes: { "agent.name": this.name, "gen_ai.request.model": this.model, "session.id": this.sessionId, ...attributes },
+    });
+    const span = this.runSpan;
+    try {
+      const result = await span.run(() => this.loop(first, options));
+      span.setAttributes({
+        "agent.success": result.success,
+        "agent.reason": result.reason,
+        "agent.output": result.response,
+        "agent.steps": result.steps,
+        "gen_ai.usage.input_tokens": result.usage && result.usage.promptTokens,
+        "gen_ai.usage.output_tokens": result.usage && result.usage.completionTokens,
+        "agent.cost_usd": result.usage && result.usage.cost,
+      });
+      if (!result.success && result.reason !== "approval_required") span.fail(result.error || result.reason);
+      return result;
+    } catch (err) {
+      span.fail(err);
+      throw err;
+    } finally {
+      if (this.stepSpan) this.stepSpan.finish();
+      span.finish();
+      this.runSpan = null;
+      this.stepSpan = null;
+    }
+  }
+
+  // The tool-calling loop shared by run() and resume(). `first` produces the first model response.
+  async loop(first, { signal = null, budget = {}, toolPolicy = null } = {}) {
+    // Every model and tool call in this run listens to one abort signal
+    const limits = { ...this.budget, ...budget };
+    const controller = new AbortController();
+    const unwatch = watchRun(controller, signal, limits.timeoutMs);
+    this.signal = controller.signal;
+    this.limits = limits;
+    this.policy = toolPolicy ? toToolPolicy(toolPolicy) : this.toolPolicy;
+
+    try {
+      let response = await first();
+
+      while (this.stepCount < this.maxSteps) {
+        this.stepCount++;
+        const parts = response.parts;
+        const calls = parts.filter((p) => p.functionCall);
+        this.emit("step", { step: this.stepCount, toolCalls: calls.length });
+
+        // No more tool calls — we have the final answer
+        if (!calls.length) {
+          const text = parts.map((p) => p.text || "").join("");
+
+          // Structured output: validate, and send the errors back while attempts remain
+          let output;
+          if (this.output) {
+            const { value, errors } = parseStructured(text, this.output.schema);
+            if (errors.length) {
+              const summary = errors.map((e) => `${e.path} ${e.message}`).join("; ");
+              if (++this.output.attempts < this.output.maxAttempts) {
+                this.log(`⚠️  Answer doesn't match the output schema (${summary}) — asking again`);
+                response = await this.send([{ text: repairMessage(errors) }]);
+                continue;
+              }
+              this.log(`❌ Answer still doesn't match the output schema: ${summary}`);
+              return this.finish({
+                success: false,
+                reason: "invalid_output",
+                error: `Output invalid after ${this.output.attempts} attempt(s): ${summary}`,
+                validationErrors: errors,
+                response: text,
+                steps: this.stepCount,
+                usage: this.usage.lastRun(),
+              });
+            }
+            output = value;
+          }
+
+          const elapsed = ((Date.now() - this.startTime) / 1000).toFixed(1);
+          this.log(`✅ Done in ${this.stepCount} steps, ${elapsed}s`);
+          return this.finish({
+            success: true,
+            response: text,
+            ...(this.output ? { output } : {}),
+            steps: this.stepCount,
+            elapsed,
+            usage: this.usage.lastRun(),
           });
         }
+
+        // Out of tokens or money? Stop before spending more on tools and follow-up calls
+        this.checkBudget();
+
+        // Side-effecting tools with no approver → pause until resume()
+        const functionCalls = calls.map((p) => p.functionCall);
+        const pending = this.pendingApprovals(functionCalls);
+        if (pending.length && !this.approver) {
+          this.paused = { calls: functionCalls, output: this.output };
+          this.log(`⏸️  Waiting for approval: ${pending.map((p) => p.name).join(", ")}`);
+          return this.finish({
+            success: false,
+            reason: "approval_required",
+            pending,
+            steps: this.stepCount,
+            usage: this.usage.lastRun(),
+          });
+        }
+
+        // Execute all tool calls in this round, then send results back to the AI
+        response = await this.send(await this.runToolRound(functionCalls));
       }
 
-      // Send results back to the AI
-      response = await this.chat.sendMessage(toolResults);
+      this.answerOpenCalls(`max steps (${this.maxSteps}) reached`);
+      return this.finish({
+        success: false,
+        reason: "max_steps",
+        error: `Max steps (${this.maxSteps}) reached`,
+        steps: this.stepCount,
+        usage: this.usage.lastRun(),
+      });
+    } catch (err) {
+      this.answerOpenCalls(err.message);
+      if (!(err instanceof RunStoppedError)) throw err;
+      this.log(`🛑 ${err.message}`);
+      return this.finish({
+        success: false,
+        reason: err.reason,
+        limit: err.limit,
+        error: err.message,
+        steps: this.stepCount,
+        usage: this.usage.lastRun(),
+      });
+    } finally {
+      unwatch();
+      this.signal = null;
     }
+  }
 
-    return {
-      success: false,
-      error: `Max steps (${this.maxSteps}) reached`,
-      steps: this.stepCount,
+  // A run that stops after the model asked for tools leaves those calls unanswered, and the
+  // API rejects a new user turn after them: answer each one with an error instead
+  answerOpenCalls(message) {
+    const last = this.history[this.history.length - 1];
+    const calls = last && last.role === "model" ? last.parts.filter((p) => p.functionCall) : [];
+    if (!calls.length) return;
+    this.history.push({
+      role: "function",
+      parts: calls.map(({ functionCall }) => ({
+        functionResponse: {
+          name: functionCall.name,
+          response: { error: `The run stopped before this result reached the model: ${message}`, stopped: true, tool: functionCall.name },
+        },
+      })),
+    });
+  }
+
+  // Close the current step span (if any) and open the next one under the run span
+  nextStepSpan() {
+    if (!this.runSpan) return;
+    if (this.stepSpan) this.stepSpan.finish();
+    this.stepSpan = this.runSpan.tracer.startSpan("agent.step", {
+      parent: this.runSpan,
+      attributes: { "agent.name": this.name, "agent.step": this.stepCount + 1 },
+    });
+  }
+
+  // Calls in this round that need a human decision, with ids for resume(). Calls the policy refuses never do.
+  pendingApprovals(calls) {
+    return calls
+      .map(({ name, args }, i) => ({ id: `call_${i}`, name, args }))
+      .filter(({ name }) => this.requireApproval.includes(name) && (!this.policy || this.policy.check(name, this.capabilitiesOf(name)).allowed));
+  }
+
+  // Apply the tool policy and approvals (from `decisions` or the approver), run what's allowed, and build the functionResponse parts
+  async runToolRound(calls, decisions = null) {
+    const results = new Array(calls.length);
+    const toRun = [];
+
+    for (const [index, { name, args }] of calls.entries()) {
+      const refusal = this.checkPolicy(name);
+      if (refusal) {
+        results[index] = refusal;
+        continue;
+      }
+      if (!this.requireApproval.includes(name)) {
+        toRun.push({ index, name, args });
+        continue;
+      }
+
+      const id = `call_${index}`;
+      const decision = normalizeDecision(decisions ? decisions[id] : await this.approver({ id, name, args, agent: this }));
+      if (decision.action === "deny") {
+        this.log(`🚫 ${name} denied${decision.reason ? `: ${decision.reason}` : ""}`);
+        results[index] = { error: "The user denied this action", reason: decision.reason || null, denied: true, tool: name };
+      } else {
+        this.log(`👍 ${name} ${decision.action === "edit" ? "approved with edited arguments" : "approved"}`);
+        toRun.push({ index, name, args: decision.action === "edit" ? decision.args : args });
+      }
+    }
+
+    const ran = await this.executeToolCalls(toRun);
+    toRun.forEach(({ index }, i) => (results[index] = ran[i]));
+
+    return calls.map(({ name }, i) => ({ functionResponse: { name, response: results[i] } }));
+  }
+
+  // Capabilities of any tool the agent has: a skill's, the toolCapabilities option, or the paging tool's
+  capabilitiesOf(name) {
+    const fromSkill = this.skills.capabilitiesOf(name);
+    if (fromSkill) return fromSkill;
+    if (this.toolCapabilities[name]) return this.toolCapabilities[name];
+    if (this.resultLimiter && name === this.resultLimiter.declaration.name) return ["read-only"];
+    return [];
+  }
+
+  // A refusal for the model when this run's policy doesn't allow `name`, else null
+  checkPolicy(name) {
+    if (!this.policy) return null;
+    const capabilities = this.capabilitiesOf(name);
+    const verdict = this.policy.check(name, capabilities);
+    if (verdict.allowed) return null;
+    this.log(`⛔ ${name} refused by the "${this.policy.name}" policy: ${verdict.reason}`);
+    this.emit("tool-refused", { name, capabilities, policy: this.policy.name, reason: verdict.reason, step: this.stepCount });
+    return this.policy.refusal(name, capabilities, verdict);
+  }
+
+  async finish(result) {
+    await this.saveSession();
+    this.emit("done", result);
+    return result;
+  }
+
+  // Throws once the run has used more tokens or money than its budget allows
+  checkBudget() {
+    const { maxTokens, maxCost } = this.limits || {};
+    const { totalTokens, cost } = this.usage.lastRun();
+
+    if (maxTokens !== undefined && totalTokens > maxTokens) {
+      throw new RunStoppedError("budget_exceeded", `Token budget exceeded: ${totalTokens} > ${maxTokens}`, "maxTokens");
+    }
+    if (maxCost !== undefined && cost > maxCost) {
+      throw new RunStoppedError("budget_exceeded", `Cost budget exceeded: $${cost.toFixed(6)} > $${maxCost}`, "maxCost");
+    }
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // stream() — Same as run(), but as an async iterator of events.
+  // Yields { type, ... } for text-delta, tool-call, tool-result, tool-refused, step and done (plus plan, plan-step and critique when enabled).
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  async *stream(userMessage, context = null, options = {}) {
+    const queue = [];
+    let wake = null;
+    let finished = false;
+    let failure = null;
+
+    const listeners = ["plan", "plan-step", "critique", "step", "text-delta", "tool-call", "tool-result", "tool-refused", "done"].map((type) => {
+      const listener = (data) => {
+        queue.push({ type, ...data });
+        if (wake) wake();
+      };
+      this.on(type, listener);
+      return [type, listener];
+    });
+
+    const wasStreaming = this.streaming;
+    this.streaming = true;
+
+    this.run(userMessage, context, options)
+      .catch((err) => (failure = err))
+      .finally(() => {
+        finished = true;
+        if (wake) wake();
+      });
+
+    try {
+      while (true) {
+        if (queue.length) {
+          yield queue.shift();
+          continue;
+        }
+        if (finished) break;
+        await new Promise((resolve) => (wake = resolve));
+        wake = null;
+      }
+      if (failure) throw failure;
+    } finally {
+      this.streaming = wasStreaming;
+      for (const [type, listener] of listeners) this.off(type, listener);
+    }
+  }
+
+  // Run one round of tool calls under the concurrency policy. Results keep the call order.
+  async executeToolCalls(calls) {
+    const limit = { sequential: 1, parallel: Infinity }[this.toolConcurrency] || this.toolConcurrency;
+    const results = new Array(calls.length);
+    let batch = [];
+
+    const flush = async () => {
+      await runPool(batch, limit);
+      batch = [];
+    };
+
+    for (const [i, { name, args }] of calls.entries()) {
+      const task = async () => (results[i] = await this.executeTool(name, args));
+
+      // Serial tools wait for everything before them and block everything after them
+      if (this.serialTools.includes(name)) {
+        await flush();
+        await task();
+      } else {
+        batch.push(task);
+      }
+    }
+    await flush();
+
+    return results;
+  }
+
+  // Run one tool call. Errors are returned as { error } so the model can react to them.
+  async executeTool(name, args = {}) {
+    this.log(`🔧 Step ${this.stepCount}: ${name}(${JSON.stringify(logArgs(args))})`);
+    this.totalCalls++;
+    this.emit("tool-call", { name, args, step: this.stepCount });
+
+    // The tool runs inside its span, so a sub-agent it calls nests beneath it
+    const spanAttributes = { "gen_ai.tool.name": name, "tool.args": args, "agent.step": this.stepCount };
+    let result = await withSpan(`tool ${name}`, spanAttributes, async (span) => {
+      let result = await this.callTool(name, args);
+      if (this.resultLimiter) {
+        const limited = this.resultLimiter.limit(name, result);
+        if (limited !== result) {
+          const { originalChars, strategy, handle } = limited._truncated;
+          this.log(`✂️  ${name} result truncated (${originalChars} chars, ${strategy}) — full result in ${handle}`);
+        }
+        result = limited;
+      }
+      span.setAttributes({ "tool.result": result });
+      if (result && result.error) span.fail(result.error);
+      return result;
+    }, { parent: this.stepSpan });
+    this.emit("tool-result", { name, args, result, step: this.stepCount });
+    return result;
+  }
+
+  // Tool call wrapped in beforeToolCall / afterToolCall / onError middleware
+  async callTool(name, args) {
+    const ctx = { agent: this, name, args, step: this.stepCount };
+
+    try {
+      // beforeToolCall may rewrite ctx.args, or return a result to skip the tool entirely
+      const shortCircuit = await this.before("beforeToolCall", ctx);
+      ctx.result = shortCircuit !== undefined ? shortCircuit : await this.invokeTool(name, ctx.args);
+      return await this.after("afterToolCall", ctx, "result");
+    } catch (err) {
+      if (err instanceof RunStoppedError) throw err;
+      const recovered = await this.before("onError", { ...ctx, stage: "tool", error: err });
+      if (recovered !== undefined) return recovered;
+
+      this.log(`❌ Tool error: ${err.message}`);
+      return { error: err.message, tool: name };
+    }
+  }
+
+  async invokeTool(name, args) {
+    const fn = this.toolFns[name];
+    if (!fn) throw new Error(`Unknown tool: "${name}". Available: ${Object.keys(this.toolFns).join(", ")}`);
+
+    // Reject bad arguments before they reach the tool, and tell the model exactly what to fix
+    const validationErrors = this.validateArgs ? this.checkArgs(name, args) : [];
+    if (validationErrors.length) {
+      this.log(`⚠️  Invalid arguments for ${name}: ${validationErrors.map((e) => `${e.path} ${e.message}`).join("; ")}`);
+      return { error: `Invalid arguments for tool "${name}"`, validationErrors, tool: name };
+    }
+
+    // Tools get the run's signal so long operations can cancel themselves (and the agent, for delegation)
+    const invoke = () => Promise.resolve(fn(args, { signal: this.signal, agent: this }));
+    const call = () => (this.cache ? this.cache.tool(name, args, invoke, { agent: this.name }) : invoke());
+    return abortable(this.cassette ? this.cassette.tool(name, args, call) : call(), this.signal);
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // Middleware — objects with any of these hooks, run in registration order:
+  //   beforeModelCall({ request })         → return a response to skip the model
+  //   afterModelCall({ request, response }) → return a replacement response
+  //   beforeToolCall({ name, args })        → return a result to skip the tool
+  //   afterToolCall({ name, args, result })  → return a replacement result
+  //   onError({ stage, error, ... })        → return a response/result to recover
+  // Every hook may also mutate its context object in place. Model hooks also see the
+  // planner, critic and router calls; those contexts carry `phase` ("planner", ...).
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  // First hook to return a value wins and the rest are skipped
+  async before(hook, ctx) {
+    for (const m of this.middleware) {
+      if (!m[hook]) continue;
+      const value = await m[hook](ctx);
+      if (value !== undefined) return value;
+    }
+    return undefined;
+  }
+
+  // Each hook may replace ctx[key]; later hooks see the replacement
+  async after(hook, ctx, key) {
+    for (const m of this.middleware) {
+      if (!m[hook]) continue;
+      const value = await m[hook](ctx);
+      if (value !== undefined) ctx[key] = value;
+    }
+    return ctx[key];
+  }
+
+  // Validate tool arguments against the declared parameters schema
+  checkArgs(name, args) {
+    const declaration = this.tools.find((t) => t.name === name);
+    if (!declaration || !declaration.parameters) return [];
+    return validate(declaration.parameters, args);
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // Planning — an explicit plan, executed one step at a time (see planner.js).
+  // Progress is kept in this.planState and saved with the session.
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // Only the plan — nothing is executed
+  async plan(task, context = null) {
+    return (this.planner || new Planner()).plan(this, withContext(task, context));
+  }
+
+  // Plan, run every step (re-planning when one fails), then answer. Returns run()'s result plus `plan`.
+  // options are run()'s; outputSchema applies to the final answer.
+  async runPlan(task, context = null, options = {}) {
+    if (this.paused) {
+      throw new Error(`${this.name} is waiting for tool approval — call resumePlan(decisions) or reset() first`);
+    }
+    this.log(`👤 "${task}" (planning first)`);
+    return (this.planner || new Planner()).run(this, withContext(task, context), options);
+  }
+
+  // Continue a plan that paused for approval, or was interrupted (e.g. restored with Agent.resume(sessionId))
+  async resumePlan(decisions = {}, options = {}) {
+    const state = this.planState;
+    if (!state || !["paused", "running"].includes(state.status)) {
+      throw new Error(`${this.name} has no unfinished plan to resume`);
+    }
+    this.log(`▶️  Resuming plan: ${state.goal}`);
+    return (this.planner || new Planner()).execute(this, options, decisions);
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // Critique — rubric scores for an answer (see critique.js)
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // Score `answer` to `task` without revising it → { score, passed, scores, suggestions }
+  async critique(task, answer) {
+    return (this.critic || new Critic()).review(this, task, answer);
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // Skills — added or removed between runs; the prompt and tools follow
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  addSkill(skill) {
+    const added = this.skills.register(skill);
+    this.tools = [...this.tools, ...added.declarations];
+    this.toolFns = { ...this.toolFns, ...added.implementations };
+    this.systemPrompt = this.skills.systemPrompt(this.basePrompt);
+    this.log(`🧩 Skill added: ${added.name} v${added.version} (${added.toolNames.join(", ") || "no tools"})`);
+    return added;
+  }
+
+  removeSkill(name) {
+    const skill = this.skills.get(name);
+    if (!skill) return false;
+    this.skills.unregister(name);
+    this.tools = this.tools.filter((t) => !skill.toolNames.includes(t.name));
+    this.toolFns = Object.fromEntries(Object.entries(this.toolFns).filter(([tool]) => !skill.toolNames.includes(tool)));
+    this.systemPrompt = this.skills.systemPrompt(this.basePrompt);
+    this.routedSkills = this.routedSkills.filter((n) => n !== name);
+    return true;
+  }
+
+  // Pick the skills for `message` and narrow this run's prompt and tools to them.
+  // Tools that don't belong to a skill (own tools, sub-agents, paging) are always kept.
+  async routeSkills(message, signal = null) {
+    const route = await this.skillRouter.route(this, message, { signal });
+    if (route.error) this.log(`⚠️  Skill routing failed, using every skill: ${route.error}`);
+
+    let selected = route.skills;
+    if (this.skillRouter.sticky && !route.fallback) {
+      const earlier = this.routedSkills.map((n) => this.skills.get(n)).filter((s) => s && !selected.includes(s));
+      selected = [...selected, ...earlier];
+      this.routedSkills = selected.map((s) => s.name);
+    }
+
+    const names = selected.map((s) => s.name);
+    const dropped = this.skills.all().filter((s) => !names.includes(s.name)).flatMap((s) => s.toolNames);
+    this.routed = {
+      skills: names,
+      systemPrompt: this.skills.systemPrompt(this.basePrompt, selected),
+      tools: this.tools.filter((t) => !dropped.includes(t.name)),
     };
+    this.log(`🧭 Skills: ${names.join(", ") || "none"} (${route.fallback ? "fallback: all" : route.strategy})`);
+    this.emit("skills", { skills: names, strategy: route.strategy, fallback: route.fallback, scores: route.scores });
+    return this.routed;
+  }
+
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  // Sessions — history (and any paused approval or plan) in a sessionStore
+  // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+  async saveSession() {
+    if (!this.sessionStore) return;
+    const now = new Date().toISOString();
+    this.sessionCreatedAt = this.sessionCreatedAt || now;
+    await this.sessionStore.save(this.sessionId, {
+      id: this.sessionId,
+      agent: this.name,
+      model: this.model,
+      history: this.history,
+      paused: this.paused,
+      plan: this.planState,
+      createdAt: this.sessionCreatedAt,
+      updatedAt: now,
+    });
   }
 
-  // Reset conversation history (start fresh)
+  /**
+   * Rebuild an agent from a saved session. Not to be confused with the instance
+   * method resume(decisions), which continues a run paused for approval.
+   *
+   * @param {string} sessionId - Id from agent.sessionId or sessionStore.list()
+   * @param {Object} [options] - Constructor options; sessionStore defaults to JsonSessionStore
+   */
+  static async resume(sessionId, options = {}) {
+    const sessionStore = options.sessionStore || new JsonSessionStore();
+    const session = await sessionStore.load(sessionId);
+    if (!session) throw new Error(`Session not found: "${sessionId}"`);
+
+    const agent = new this({ ...options, sessionStore, sessionId });
+    agent.history = session.history;
+    agent.paused = session.paused || null;
+    agent.planState = session.plan || null;
+    agent.sessionCreatedAt = session.createdAt;
+    agent.log(`📂 Resumed session ${sessionId} (${session.history.length} messages)`);
+    return agent;
+  }
+
+  // Reset conversation history (start fresh). A stored session is kept; new runs save under a new id.
   reset() {
-    this.chat = this.geminiModel.startChat();
+    this.history = [];
+    this.paused = null;
+    this.output = null;
+    this.planState = null;
     this.stepCount = 0;
+    this.routed = null;
+    this.routedSkills = [];
+    if (this.resultLimiter) this.resultLimiter.clear();
+    if (this.sessionStore) {
+      this.sessionId = randomUUID();
+      this.sessionCreatedAt = null;
+    }
     this.log("🔄 Reset — new conversation started");
   }
 
-  // Get stats
+  // Copy of the conversation so far (Gemini { role, parts } format)
+  getHistory() {
+    return this.history.map((c) => ({ role: c.role, parts: [...c.parts] }));
+  }
+
+  // Get stats — tool calls, steps, token/cost usage for the last run and overall, and cache hits/misses.
+  // Usage already includes sub-agent calls; subAgents breaks them out per agent.
   getStats() {
-    return { totalCalls: this.totalCalls, lastSteps: this.stepCount };
+    return {
+      totalCalls: this.totalCalls,
+      lastSteps: this.stepCount,
+      usage: { lastRun: this.usage.lastRun(), total: this.usage.total() },
+      cache: this.cache ? this.cache.stats() : null,
+      subAgents: Object.fromEntries(this.subAgents.map(({ agent }) => [agent.name, agent.getStats()])),
+    };
   }
 }
 
+// The message plus optional extra context, as the model sees it
+function withContext(message, context) {
+  if (!context) return message;
+  return `${message}\n\n[Context]:\n${typeof context === "object" ? JSON.stringify(context, null, 2) : context}`;
+}
+
+// Long string arguments (file contents, documents) are logged as their length
+function logArgs(args) {
+  return Object.fromEntries(
+    Object.entries(args || {}).map(([k, v]) => [k, typeof v === "string" && v.length > 120 ? `[${v.length} chars]` : v])
+  );
+}
+
+// contextWindow accepts options or a ready-made ContextManager
+function toContextManager(contextWindow) {
+  return contextWindow instanceof ContextManager ? contextWindow : new ContextManager(contextWindow);
+}
+
+// planning accepts true, options or a ready-made Planner
+function toPlanner(planning) {
+  if (planning instanceof Planner) return planning;
+  return new Planner(planning === true ? {} : planning);
+}
+
+// skills accepts an array of skills (or their options) or a SkillRegistry; the agent gets its own copy
+function toSkillRegistry(skills, reservedTools) {
+  return new SkillRegistry(skills instanceof SkillRegistry ? skills.all() : skills, { reservedTools });
+}
+
+// skillRouting accepts true, options or a ready-made SkillRouter
+function toSkillRouter(skillRouting) {
+  if (skillRouting instanceof SkillRouter) return skillRouting;
+  return new SkillRouter(skillRouting === true ? {} : skillRouting);
+}
+
+// toolPolicy accepts options or a ready-made ToolPolicy
+function toToolPolicy(toolPolicy) {
+  return toolPolicy instanceof ToolPolicy ? toolPolicy : new ToolPolicy(toolPolicy);
+}
+
+// critique accepts true, options or a ready-made Critic
+function toCritic(critique) {
+  if (critique instanceof Critic) return critique;
+  return new Critic(critique === true ? {} : critique);
+}
+
+// cache accepts options or a ready-made ResponseCache (share one instance to share entries between agents)
+function toResponseCache(cache) {
+  return cache instanceof ResponseCache ? cache : new ResponseCache(cache);
+}
+
+// resultLimits accepts options or a ready-made ResultLimiter
+function toResultLimiter(resultLimits) {
+  return resultLimits instanceof ResultLimiter ? resultLimits : new ResultLimiter(resultLimits);
+}
+
+// Why a run stopped early: reason is "budget_exceeded" or "aborted"
+class RunStoppedError extends Error {
+  constructor(reason, message, limit = null) {
+    super(message);
+    this.name = "RunStoppedError";
+    this.reason = reason;
+    this.limit = limit;
+  }
+}
+
+// Abort `controller` when the caller's signal fires or the timeout passes. Returns a cleanup function.
+function watchRun(controller, signal, timeoutMs) {
+  const onAbort = () => controller.abort(new RunStoppedError("aborted", "Run aborted by caller"));
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+  }
+
+  const timer = timeoutMs
+    ? setTimeout(
+        () => controller.abort(new RunStoppedError("budget_exceeded", `Timed out after ${timeoutMs}ms`, "timeoutMs")),
+        timeoutMs
+      )
+    : null;
+
+  return () => {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", onAbort);
+  };
+}
+
+// Settle with the signal's reason as soon as it aborts, even if `promise` never does
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) {
+    Promise.resolve(promise).catch(() => {}); // Its own rejection no longer matters
+    return Promise.reject(signal.reason);
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// Run async tasks with at most `limit` in flight at once
+async function runPool(tasks, limit) {
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) await tasks[next++]();
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+}
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // EXAMPLE 1: Weather Agent (extends BaseAgent)
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 class WeatherAgent extends BaseAgent {
-  constructor() {
+  constructor(options = {}) {
     super({
+      ...options,
       name: "WeatherAgent",
       systemPrompt: `
         You are a helpful weather assistant. When asked about weather:
@@ -196,11 +1204,12 @@ class WeatherAgent extends BaseAgent {
 // EXAMPLE 2: Currency Converter Agent
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 class CurrencyAgent extends BaseAgent {
-  constructor() {
+  constructor(options = {}) {
     // Mock exchange rates (in production, fetch from a real API)
     const rates = { USD: 1, PKR: 278.5, EUR: 0.92, GBP: 0.79, AED: 3.67, SAR: 3.75 };
 
     super({
+      ...options,
       name: "CurrencyAgent",
       systemPrompt: `
         You are a currency conversion assistant.
@@ -263,8 +1272,9 @@ class CurrencyAgent extends BaseAgent {
 // EXAMPLE 3: Unit Converter Agent
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 class UnitConverterAgent extends BaseAgent {
-  constructor() {
+  constructor(options = {}) {
     super({
+      ...options,
       name: "UnitConverter",
       systemPrompt: "You are a unit conversion expert. Always show the formula and result clearly.",
       tools: [
@@ -317,20 +1327,42 @@ module.exports = { BaseAgent, WeatherAgent, CurrencyAgent, UnitConverterAgent };
 async function main() {
   console.log("=== TESTING BASE AGENT PATTERN ===\n");
 
+  // CASSETTE=record|replay turns this demo into a reproducible regression run
+  const cassette = cassetteFromEnv("base-agent");
+  // TRACE=1 saves a trace of every run to traces/ (view it with trace-view.js)
+  const tracer = tracerFromEnv("base-agent");
+  // CACHE=memory|sqlite reuses identical model calls, and weather/rate lookups for 10 minutes
+  const cache = cacheFromEnv({
+    tools: { get_weather: { ttlMs: 10 * 60 * 1000 }, get_forecast: { ttlMs: 10 * 60 * 1000 }, get_rate: { ttlMs: 10 * 60 * 1000 } },
+  });
+
   // Test WeatherAgent
-  const weatherAgent = new WeatherAgent();
+  const weatherAgent = new WeatherAgent({ cassette, tracer, cache });
   const w = await weatherAgent.run("What's the weather like in Lahore right now? Should I go for a walk?");
   console.log(w.response);
 
   // Test CurrencyAgent
-  const currencyAgent = new CurrencyAgent();
+  const currencyAgent = new CurrencyAgent({ cassette, tracer, cache });
   const c = await currencyAgent.run("Convert 5000 PKR to USD and EUR. Which gives me more?");
   console.log(c.response);
 
   // Test UnitConverterAgent — multi-turn (uses conversation memory)
-  const unitAgent = new UnitConverterAgent();
+  // SESSION=<id> picks up a conversation saved by an earlier run of this script
+  const sessionStore = new JsonSessionStore();
+  const unitAgent = process.env.SESSION
+    ? await UnitConverterAgent.resume(process.env.SESSION, { sessionStore, cassette, tracer, cache })
+    : new UnitConverterAgent({ sessionStore, cassette, tracer, cache });
   await unitAgent.run("Convert 100 km to miles");
   await unitAgent.run("Now convert 75 kg to lbs and 37 celsius to fahrenheit"); // Uses same chat session
+  console.log(`💾 Session saved — continue it with SESSION=${unitAgent.sessionId}`);
+
+  if (cassette) cassette.assertDone();
+  if (tracer) tracer.save();
+  if (cache) {
+    const { hits, misses, tokensSaved } = cache.stats();
+    console.log(`💾 Cache: ${hits} hit(s), ${misses} miss(es), ~${tokensSaved} tokens saved`);
+  }
 }
 
-main().catch(console.error);
+// Only run the demo when executed directly (not when required by tests/other agents)
+if (require.main === module) main().catch(console.error);
@@ -0,0 +1,221 @@
+// CACHE — Reuse model responses and tool results instead of calling again
+// npm install better-sqlite3   (only for SqliteCacheStore)
+//
+// Model responses are content-addressed: the key is a hash of the model, system
+// prompt, history, tools and output schema, so any change to the conversation is
+// a miss. Tool results are only cached for tools listed in `tools`, each with its
+// own TTL — never list tools with side effects. Tool keys include the calling
+// agent's name, since two agents sharing a cache may have different tools by the same name.
+//
+// A store has three methods (sync or async):
+//   get(key) → value | null   set(key, value, ttlMs)   clear()
+//
+// Usage:
+//   new WeatherAgent({ cache: { tools: { get_weather: { ttlMs: 10 * 60 * 1000 } } } });
+//   new BaseAgent({ ..., cache: new ResponseCache({ store: new SqliteCacheStore() }) });   // survives restarts
+//   agent.getStats().cache   → { hits, misses, hitRate, tokensSaved, model, tools }
+//
+//   // Hand-written pipelines (the value must be JSON-serializable):
+//   const { text } = await cache.model({ model, systemPrompt, contents: prompt }, async () => ({ text: ..., usage }));
+//
+// From the command line (used by the demo main() functions):
+//   CACHE=memory node agents/13_code_review_multi_agent.js
+//   CACHE=sqlite node agents/13_code_review_multi_agent.js      → ./cache.db, reused on the next run
+
+const crypto = require("crypto");
+const { normalizeUsage } = require("./usage");
+
+// JSON with sorted object keys, so equal requests always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+function hash(value) {
+  return crypto.createHash("sha256").update(stableStringify(value)).digest("hex");
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MemoryCacheStore — Entries live as long as the process
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class MemoryCacheStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    // Re-insert so the least recently used entry is first in line for eviction
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return JSON.parse(entry.value);
+  }
+
+  set(key, value, ttlMs = null) {
+    this.entries.delete(key);
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    if (this.entries.size > this.maxEntries) this.entries.delete(this.entries.keys().next().value);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// SqliteCacheStore — Entries in one SQLite file, shared across runs
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class SqliteCacheStore {
+  constructor(filename = "./cache.db") {
+    const Database = require("better-sqlite3");
+    this.db = new Database(filename);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS cache (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        expires_at INTEGER,
+        created_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  get(key) {
+    const row = this.db.prepare("SELECT value, expires_at FROM cache WHERE key = ?").get(key);
+    if (!row) return null;
+    if (row.expires_at !== null && row.expires_at <= Date.now()) {
+      this.db.prepare("DELETE FROM cache WHERE key = ?").run(key);
+      return null;
+    }
+    return JSON.parse(row.value);
+  }
+
+  set(key, value, ttlMs = null) {
+    this.db
+      .prepare(
+        `INSERT INTO cache (key, value, expires_at, created_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at, created_at = excluded.created_at`
+      )
+      .run(key, JSON.stringify(value), ttlMs ? Date.now() + ttlMs : null, new Date().toISOString());
+  }
+
+  clear() {
+    this.db.prepare("DELETE FROM cache").run();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ResponseCache — Keys, TTLs and hit/miss counts over a store
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class ResponseCache {
+  /**
+   * @param {Object} [config]
+   * @param {Object} [config.store] - Where entries live (default: a new MemoryCacheStore)
+   * @param {boolean} [config.models] - Cache model responses (default: true)
+   * @param {number} [config.ttlMs] - Expiry for model responses (default: never)
+   * @param {Object} [config.tools] - Tools whose results are cached: { [toolName]: { ttlMs } }. Others always run.
+   */
+  constructor({ store = new MemoryCacheStore(), models = true, ttlMs = null, tools = {} } = {}) {
+    this.store = store;
+    this.models = models;
+    this.ttlMs = ttlMs;
+    this.tools = tools;
+    this.counts = { model: { hits: 0, misses: 0 }, tools: {}, tokensSaved: 0 };
+  }
+
+  modelKey(request) {
+    const { model, systemPrompt, contents, tools = [], outputSchema = null } = request;
+    return `model:${hash({ model, systemPrompt, contents, tools, outputSchema })}`;
+  }
+
+  toolKey(name, args, agent = null) {
+    return `tool:${name}:${hash({ agent, args: args || {} })}`;
+  }
+
+  /**
+   * Model call: the stored response for an identical request, or live() (stored for next time).
+   * Hits with a `usage` field come back with usage: null and cached: true, so token
+   * accounting only counts calls that were really made.
+   */
+  async model(request, live) {
+    if (!this.models) return live();
+
+    const key = this.modelKey(request);
+    const hit = await this.store.get(key);
+    if (hit !== null && hit !== undefined) {
+      this.counts.model.hits++;
+      if (hit && typeof hit === "object" && "usage" in hit) {
+        this.counts.tokensSaved += normalizeUsage(hit.usage).totalTokens;
+        return { ...hit, usage: null, cached: true };
+      }
+      return hit;
+    }
+
+    this.counts.model.misses++;
+    const response = await live();
+    await this.store.set(key, response, this.ttlMs);
+    return response;
+  }
+
+  // Tool call: cached only for tools listed in `tools`. Errors are never stored.
+  // `agent` (the caller's name) keeps same-named tools of different agents apart.
+  async tool(name, args, call, { agent = null } = {}) {
+    const options = this.tools[name];
+    if (!options) return call();
+
+    const counts = (this.counts.tools[name] = this.counts.tools[name] || { hits: 0, misses: 0 });
+    const key = this.toolKey(name, args, agent);
+    const hit = await this.store.get(key);
+    if (hit !== null && hit !== undefined) {
+      counts.hits++;
+      return hit;
+    }
+
+    counts.misses++;
+    const result = await call();
+    if (!(result && result.error)) await this.store.set(key, result, options.ttlMs || null);
+    return result;
+  }
+
+  stats() {
+    const tools = Object.values(this.counts.tools);
+    const hits = this.counts.model.hits + tools.reduce((sum, t) => sum + t.hits, 0);
+    const misses = this.counts.model.misses + tools.reduce((sum, t) => sum + t.misses, 0);
+    return {
+      hits,
+      misses,
+      hitRate: hits + misses ? hits / (hits + misses) : 0,
+      tokensSaved: this.counts.tokensSaved,
+      model: { ...this.counts.model },
+      tools: Object.fromEntries(Object.entries(this.counts.tools).map(([name, c]) => [name, { ...c }])),
+    };
+  }
+
+  async clear() {
+    await this.store.clear();
+  }
+}
+
+// CACHE=memory | sqlite → a ResponseCache with those options, otherwise null
+function cacheFromEnv(options = {}) {
+  const kind = process.env.CACHE;
+  if (!kind) return null;
+  if (kind === "memory") return new ResponseCache(options);
+  if (kind === "sqlite") return new ResponseCache({ ...options, store: new SqliteCacheStore() });
+  throw new Error(`Unknown CACHE value: "${kind}". Use "memory" or "sqlite".`);
+}
+
+module.exports = { ResponseCache, MemoryCacheStore, SqliteCacheStore, cacheFromEnv };
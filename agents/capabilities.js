@@ -0,0 +1,81 @@
+// CAPABILITIES — What a tool is able to do, and a policy for what an agent may run
+//
+// Skills declare the capabilities of their tools:
+//   "read-only"             → looks things up, changes nothing
+//   "writes-data"           → creates, updates or deletes records
+//   "external-side-effect"  → something outside the system happens (emails, payments, refunds)
+//   "filesystem"            → reads or writes local files
+//   "network"               → calls other services
+// A ToolPolicy allowlists capabilities and/or tool names. A tool may run when it
+// is listed by name, or when every one of its capabilities is allowed; `deny` wins
+// over `allow`. Tools with no declared capabilities (plain tools, sub-agents) only
+// run when listed by name. A disallowed call doesn't execute: the model gets a
+// structured refusal { error, refused: true, tool, capabilities, missing } and can
+// explain it to the user.
+//
+// Usage:
+//   new Skill({ ..., capabilities: ['read-only'], toolCapabilities: { process_refund: ['writes-data', 'external-side-effect'] } });
+//   new BaseAgent({ ..., skills, toolPolicy: { name: 'guest', allow: ['read-only'] } });   // every run
+//   await agent.run('Refund ORD-003', null, { toolPolicy: { allow: ['*'] } });              // one run (e.g. a signed-in user)
+//   new BaseAgent({ ..., tools, toolCapabilities: { get_weather: ['read-only', 'network'] } }); // capabilities of the agent's own tools
+
+const CAPABILITIES = ["read-only", "writes-data", "external-side-effect", "filesystem", "network"];
+
+// Throws on anything that isn't a known capability
+function checkCapabilities(capabilities, where) {
+  if (!Array.isArray(capabilities)) throw new Error(`${where}: capabilities must be an array`);
+  const unknown = capabilities.filter((c) => !CAPABILITIES.includes(c));
+  if (unknown.length) throw new Error(`${where}: unknown capabilit${unknown.length > 1 ? "ies" : "y"} ${unknown.join(", ")} (use ${CAPABILITIES.join(", ")})`);
+  if (capabilities.includes("read-only") && capabilities.length > 1) {
+    throw new Error(`${where}: "read-only" can't be combined with ${capabilities.filter((c) => c !== "read-only").join(", ")}`);
+  }
+  return capabilities;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ToolPolicy — Allowlist of capabilities and tool names
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class ToolPolicy {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.name] - Shown in refusals and logs (e.g. "guest")
+   * @param {string[]} [config.allow] - Capabilities and/or tool names that may run; "*" allows everything not denied
+   * @param {string[]} [config.deny] - Capabilities and/or tool names that never run, even if allowed
+   */
+  constructor({ name = "policy", allow = [], deny = [] } = {}) {
+    this.name = name;
+    this.allow = allow;
+    this.deny = deny;
+  }
+
+  /**
+   * Whether `tool` (with its declared `capabilities`) may run.
+   *
+   * @returns {{ allowed: boolean, reason?: string, missing?: string[] }}
+   */
+  check(tool, capabilities = []) {
+    const denied = [tool, ...capabilities].filter((entry) => this.deny.includes(entry));
+    if (denied.length) return { allowed: false, reason: `${denied.join(", ")} ${denied.length > 1 ? "are" : "is"} denied`, missing: denied };
+
+    if (this.allow.includes("*") || this.allow.includes(tool)) return { allowed: true };
+    if (!capabilities.length) return { allowed: false, reason: "it declares no capabilities and isn't allowed by name", missing: [] };
+
+    const missing = capabilities.filter((c) => !this.allow.includes(c));
+    if (missing.length) return { allowed: false, reason: `it needs ${missing.join(", ")}`, missing };
+    return { allowed: true };
+  }
+
+  // What the model gets back instead of the tool result
+  refusal(tool, capabilities, { reason, missing }) {
+    return {
+      error: `Tool "${tool}" is not permitted under the "${this.name}" policy: ${reason}`,
+      refused: true,
+      tool,
+      policy: this.name,
+      capabilities,
+      missing,
+    };
+  }
+}
+
+module.exports = { CAPABILITIES, ToolPolicy, checkCapabilities };
@@ -0,0 +1,143 @@
+// CASSETTES — Record an agent run to JSON, then replay it offline
+//
+// A cassette is an ordered log of every model request/response and every
+// tool call/result. Record once against the live model, then replay to get
+// the exact same run back with no API key, no network and no side effects.
+//
+// Usage:
+//   const { Cassette } = require('./cassette');
+//   const cassette = new Cassette('cassettes/weather.json', { mode: 'record' });
+//   new WeatherAgent({ cassette });   // later: { mode: 'replay' }
+//
+// From the command line (used by the demo main() functions):
+//   CASSETTE=record node agents/base-agent.js
+//   CASSETTE=replay node agents/base-agent.js
+
+const fs = require("fs");
+const path = require("path");
+
+const CASSETTE_DIR = "./cassettes";
+
+class CassetteMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CassetteMismatchError";
+  }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Cassette — One JSON file of recorded interactions
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class Cassette {
+  /**
+   * @param {string} filepath - Where the cassette JSON lives
+   * @param {Object} [options]
+   * @param {string} [options.mode] - "record" (call live, save) or "replay" (serve from disk)
+   */
+  constructor(filepath, { mode = "replay" } = {}) {
+    if (!["record", "replay"].includes(mode)) {
+      throw new Error(`Unknown cassette mode: "${mode}". Use "record" or "replay".`);
+    }
+
+    this.filepath = filepath;
+    this.mode = mode;
+    this.position = 0;
+
+    if (mode === "record") {
+      this.interactions = [];
+      this.save();
+    } else {
+      if (!fs.existsSync(filepath)) {
+        throw new Error(`Cassette "${filepath}" not found. Record it first with mode "record".`);
+      }
+      this.interactions = JSON.parse(fs.readFileSync(filepath, "utf-8")).interactions;
+    }
+  }
+
+  // Model call: record the live response, or serve the next recorded one
+  async model(request, live) {
+    // Snapshot — request.contents is the agent's live history and keeps growing
+    const recordedRequest = JSON.parse(
+      JSON.stringify({ model: request.model, systemPrompt: request.systemPrompt, contents: request.contents })
+    );
+
+    if (this.mode === "record") {
+      const response = await live();
+      this.append({ type: "model", request: recordedRequest, response });
+      return response;
+    }
+
+    const entry = this.next("model", recordedRequest.model);
+    if (JSON.stringify(entry.request) !== JSON.stringify(recordedRequest)) {
+      throw new CassetteMismatchError(
+        `Cassette mismatch at interaction #${this.position}: model request differs from the recording`
+      );
+    }
+    return entry.response;
+  }
+
+  // Tool call: record the live result (or error), or serve the recorded one
+  async tool(name, args, live) {
+    if (this.mode === "record") {
+      try {
+        const result = await live();
+        this.append({ type: "tool", name, args, result });
+        return result;
+      } catch (err) {
+        this.append({ type: "tool", name, args, error: err.message });
+        throw err;
+      }
+    }
+
+    const entry = this.next("tool", name);
+    if (entry.name !== name || JSON.stringify(entry.args) !== JSON.stringify(args)) {
+      throw new CassetteMismatchError(
+        `Cassette mismatch at interaction #${this.position}: expected ${entry.name}(${JSON.stringify(entry.args)}), got ${name}(${JSON.stringify(args)})`
+      );
+    }
+    if (entry.error) throw new Error(entry.error);
+    return entry.result;
+  }
+
+  next(type, label) {
+    const entry = this.interactions[this.position++];
+    if (!entry) {
+      throw new CassetteMismatchError(`Cassette exhausted: unexpected ${type} call (${label}) at interaction #${this.position}`);
+    }
+    if (entry.type !== type) {
+      throw new CassetteMismatchError(
+        `Cassette mismatch at interaction #${this.position}: expected a ${entry.type} call, got a ${type} call (${label})`
+      );
+    }
+    return entry;
+  }
+
+  append(entry) {
+    this.interactions.push(entry);
+    this.save();
+  }
+
+  // Written after every interaction so a crashed run still leaves a usable cassette
+  save() {
+    fs.mkdirSync(path.dirname(this.filepath), { recursive: true });
+    fs.writeFileSync(this.filepath, JSON.stringify({ version: 1, interactions: this.interactions }, null, 2), "utf-8");
+  }
+
+  // In replay mode, throw if the run ended before using every recorded interaction
+  assertDone() {
+    if (this.mode === "replay" && this.position < this.interactions.length) {
+      throw new CassetteMismatchError(
+        `Cassette not fully replayed: ${this.interactions.length - this.position} interaction(s) left unused`
+      );
+    }
+  }
+}
+
+// Cassette for a demo, driven by the CASSETTE env var (record | replay). Null when unset.
+function cassetteFromEnv(name) {
+  const mode = process.env.CASSETTE;
+  if (!mode) return null;
+  return new Cassette(path.join(CASSETTE_DIR, `${name}.json`), { mode });
+}
+
+module.exports = { Cassette, CassetteMismatchError, cassetteFromEnv };
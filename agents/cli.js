@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+// AGENTS CLI — List, run and chat with every example from one command
+//
+// Every numbered example exports the same three things instead of running on require:
+//   description       — one line for `agents list`
+//   create()          → a runner: async run(prompt) → { success, response, ... }, and
+//                       optionally close(). A BaseAgent is a runner; one runner keeps its
+//                       history between runs.
+//   main()            — the scripted demo, run by `agents demo <id>` or `node agents/<file>.js`
+// Examples built from skills may also export skillTests — { setup, scenarios } for `agents test` (see skill-harness.js).
+//
+// Usage:
+//   agents list                                   → every example with its description
+//   agents run 09 --prompt "Top 3 earners?"       → one prompt, answer on stdout
+//   agents run sql --prompt "..." --json          → the full result as JSON (logs go to stderr)
+//   agents chat 14                                → multi-turn REPL (/reset, /exit)
+//   agents demo 06                                → the example's own scripted main()
+//   agents test [02]                              → skill scenarios, offline; exit code 1 on failures,
+//                                                   examples without any are listed as not tested
+//
+// Without a global install: npm run agents -- list   or   node agents/cli.js list
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { runScenarios, formatReport } = require("./skill-harness");
+
+const EXAMPLE_FILE = /^(\d\d)_(.+)\.js$/;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Examples — discovered from the numbered files next to this one
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+function listExamples() {
+  return fs
+    .readdirSync(__dirname)
+    .map((file) => file.match(EXAMPLE_FILE))
+    .filter(Boolean)
+    .map(([file, id, name]) => ({ id, name, file: path.join(__dirname, file) }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// "09", "9", "sql_agent" or "sql" → the one example it names
+function findExample(query) {
+  const examples = listExamples();
+  const q = String(query || "").toLowerCase();
+  const byId = examples.find((e) => e.id === q.padStart(2, "0"));
+  if (byId) return byId;
+
+  const matches = examples.filter((e) => e.name.includes(q));
+  if (matches.length === 1) return matches[0];
+  if (!matches.length) throw new Error(`No example matches "${query}". Try: agents list`);
+  throw new Error(`"${query}" matches ${matches.map((e) => e.id + "_" + e.name).join(", ")} — be more specific`);
+}
+
+// require() the example. Missing optional packages are reported instead of crashing the listing.
+function load(example) {
+  try {
+    return { module: require(example.file), error: null };
+  } catch (err) {
+    return { module: null, error: err.message.split("\n")[0] };
+  }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Commands
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+function list({ json }) {
+  const rows = listExamples().map((example) => {
+    const { module, error } = load(example);
+    return {
+      id: example.id,
+      name: example.name,
+      description: module ? module.description || "" : `(unavailable: ${error})`,
+      chat: Boolean(module && module.create),
+    };
+  });
+
+  if (json) return print(rows);
+  for (const r of rows) console.log(`  ${r.id}  ${r.name.padEnd(26)} ${r.chat ? "  " : "· "}${r.description}`);
+  console.log("\n  · demo only (no prompt). Run one with: agents run <id> --prompt \"...\"   or chat: agents chat <id>");
+}
+
+async function run(query, { prompt, json }) {
+  if (!prompt) throw new Error('Missing --prompt. Example: agents run 09 --prompt "Who earns the most?"');
+  const example = findExample(query);
+  const runner = createRunner(example);
+
+  const result = await quietly(json, async () => {
+    try {
+      return await runner.run(prompt);
+    } finally {
+      if (runner.close) await runner.close();
+    }
+  });
+  if (json) return print({ id: example.id, name: example.name, prompt, ...result });
+  console.log(`\n${result.success ? result.response : `❌ ${result.error || result.reason}`}`);
+  if (!result.success) process.exitCode = 1;
+}
+
+async function chat(query, { json }) {
+  const example = findExample(query);
+  let runner = createRunner(example);
+  console.log(`💬 ${example.id}_${example.name} — ${require(example.file).description || ""}`);
+  console.log("   Each message continues the conversation. /reset starts over, /exit quits.");
+
+  const nextLine = lineReader(`\n${example.id}> `);
+  for (let line = await nextLine(); line !== null && line.trim() !== "/exit"; line = await nextLine()) {
+    if (line.trim() === "/reset") {
+      if (runner.close) await runner.close();
+      runner = createRunner(example);
+      console.log("🔄 New conversation");
+    } else if (line.trim()) {
+      try {
+        const result = await quietly(json, () => runner.run(line.trim()));
+        if (json) print(result);
+        else console.log(`\n🤖 ${result.success ? result.response : `❌ ${result.error || result.reason}`}`);
+      } catch (err) {
+        console.error(`❌ ${err.message}`);
+      }
+    }
+  }
+  if (runner.close) await runner.close();
+}
+
+async function demo(query) {
+  const example = findExample(query);
+  const { module, error } = load(example);
+  if (!module) throw new Error(`Can't load ${example.id}_${example.name}: ${error}`);
+  await module.main();
+}
+
+// Every example with skillTests, or just the one named. Examples that were not tested
+// (no skillTests, or they failed to load) are listed on stderr, so they can't pass unnoticed.
+async function test(query, { json }) {
+  const examples = query ? [findExample(query)] : listExamples();
+  const reports = [];
+  const skipped = [];
+  for (const example of examples) {
+    const { module, error } = load(example);
+    if (query && !module) throw new Error(`Can't load ${example.id}_${example.name}: ${error}`);
+    if (!module || !module.skillTests) {
+      if (query) throw new Error(`${example.id}_${example.name} has no skill tests`);
+      skipped.push(`${example.id}_${example.name}${module ? "" : ` (can't load: ${error})`}`);
+      continue;
+    }
+    const report = await runScenarios(module.skillTests);
+    reports.push({ id: example.id, name: example.name, ...report });
+    if (!json) console.log(formatReport(report, { title: `${example.id}_${example.name}` }));
+  }
+
+  if (json) print(reports);
+  if (skipped.length) console.error(`⚠️  Not tested — no skill tests: ${skipped.join(", ")}`);
+  if (reports.some((r) => r.failed)) process.exitCode = 1;
+}
+
+function createRunner(example) {
+  const { module, error } = load(example);
+  if (!module) throw new Error(`Can't load ${example.id}_${example.name}: ${error}`);
+  if (!module.create) {
+    throw new Error(`${example.id}_${example.name} doesn't take prompts — run its demo instead: agents demo ${example.id}`);
+  }
+  return module.create();
+}
+
+// --json: agent logs go to stderr so stdout holds only the JSON
+async function quietly(json, fn) {
+  if (!json) return fn();
+  const log = console.log;
+  console.log = console.error;
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+// () → the next input line, or null at the end of input.
+// In a terminal each question gets its own readline, closed while the agent runs, so approval
+// prompts (cliApprover) can use the terminal. Piped input is read by one reader: closing it
+// would drop the lines it has already buffered.
+function lineReader(prompt) {
+  if (process.stdin.isTTY) {
+    return () =>
+      new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+        rl.once("close", () => resolve(null));
+        rl.question(prompt, (line) => {
+          resolve(line);
+          rl.close();
+        });
+      });
+  }
+  const lines = readline.createInterface({ input: process.stdin })[Symbol.asyncIterator]();
+  return async () => {
+    const { value, done } = await lines.next();
+    return done ? null : value;
+  };
+}
+
+function print(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+// "run 09 --prompt hi --json" → { command: "run", target: "09", prompt: "hi", json: true }
+function parseArgs(argv) {
+  const args = { command: null, target: null, prompt: null, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") args.json = true;
+    else if (arg === "--prompt" || arg === "-p") args.prompt = argv[++i];
+    else if (arg.startsWith("--prompt=")) args.prompt = arg.slice("--prompt=".length);
+    else if (!args.command) args.command = arg;
+    else if (!args.target) args.target = arg;
+    else throw new Error(`Unexpected argument: ${arg}`);
+  }
+  return args;
+}
+
+const HELP = `Usage:
+  agents list [--json]
+  agents run <id> --prompt "..." [--json]
+  agents chat <id> [--json]
+  agents demo <id>
+  agents test [<id>] [--json]
+
+<id> is the example number (09) or part of its name (sql).`;
+
+async function main(argv = process.argv.slice(2)) {
+  const { command, target, ...options } = parseArgs(argv);
+  if (!command || command === "help" || command === "--help") return console.log(HELP);
+  if (command === "list") return list(options);
+  if (command === "test") return test(target, options);
+  if (!target) throw new Error(`Missing example id.\n\n${HELP}`);
+  if (command === "run") return run(target, options);
+  if (command === "chat") return chat(target, options);
+  if (command === "demo") return demo(target);
+  throw new Error(`Unknown command: "${command}"\n\n${HELP}`);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { main, listExamples, findExample };
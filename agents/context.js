@@ -0,0 +1,195 @@
+// CONTEXT WINDOW — Keep long conversations under a size limit
+//
+// Before every model call the agent's history is measured. Once it grows past
+// the limit, the oldest turns are dropped until it fits again:
+//   "sliding-window"    → drop them
+//   "summarize-oldest"  → drop them, and put a model-written summary turn before the kept ones
+//
+// Turns are removed in whole units so the history stays valid for Gemini:
+// a finished exchange (user message → tool calls → answer) goes as a block, and
+// inside the current exchange a model tool call always goes with its function
+// response. The current user message and the latest tool round are never removed,
+// and kept turns are never replaced, only removed (send() rolls back by identity).
+//
+// Usage:
+//   new ResearchAgent({ contextWindow: { strategy: 'summarize-oldest', maxTokens: 30000 } });
+//   new BaseAgent({ ..., contextWindow: new ContextManager({ maxMessages: 40, keepFirst: 1 }) });
+
+const STRATEGIES = ["sliding-window", "summarize-oldest"];
+const SUMMARY_PREFIX = "[Summary of the earlier conversation]";
+
+// The turn summarize-oldest puts in place of the dropped ones
+function isSummary(turn) {
+  return turn.role === "user" && turn.parts.length === 1 && String(turn.parts[0].text).startsWith(SUMMARY_PREFIX);
+}
+
+// Rough size: ~4 characters per token is close enough to decide when to trim
+function estimateTokens(turns) {
+  return turns.reduce((sum, turn) => sum + Math.ceil(JSON.stringify(turn.parts).length / 4), 0);
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ContextManager — Trims an agent's history before each model call
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class ContextManager {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.strategy] - "sliding-window" or "summarize-oldest" (default: "sliding-window")
+   * @param {number} [config.maxTokens] - Trim once the estimated history size passes this
+   * @param {number} [config.maxMessages] - Trim once the history has more turns than this
+   * @param {number} [config.targetRatio] - Trim down to this share of the limits, so it doesn't happen every call (default: 0.75)
+   * @param {number} [config.keepFirst] - Pin the first N exchanges, e.g. the original task (default: 0)
+   * @param {Function} [config.pin] - (userTurn, index) => boolean — pin any other exchange
+   * @param {Function} [config.countTokens] - (turns) => number, replaces the estimate
+   * @param {Function} [config.summarize] - async (turns, previousSummary, agent) => string, replaces the model summary
+   * @param {string} [config.summaryModel] - Model for summaries (default: the agent's model)
+   */
+  constructor({
+    strategy = "sliding-window",
+    maxTokens = Infinity,
+    maxMessages = Infinity,
+    targetRatio = 0.75,
+    keepFirst = 0,
+    pin = null,
+    countTokens = estimateTokens,
+    summarize = null,
+    summaryModel = null,
+  } = {}) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown context strategy: "${strategy}". Use ${STRATEGIES.map((s) => `"${s}"`).join(" or ")}.`);
+    }
+    if (maxTokens === Infinity && maxMessages === Infinity) {
+      throw new Error("ContextManager needs maxTokens or maxMessages");
+    }
+
+    this.strategy = strategy;
+    this.maxTokens = maxTokens;
+    this.maxMessages = maxMessages;
+    this.targetRatio = targetRatio;
+    this.keepFirst = keepFirst;
+    this.pin = pin;
+    this.countTokens = countTokens;
+    this.summarize = summarize || defaultSummarize;
+    this.summaryModel = summaryModel;
+  }
+
+  isOver(history) {
+    return history.length > this.maxMessages || this.countTokens(history) > this.maxTokens;
+  }
+
+  // Replace agent.history with a trimmed copy when it is over the limit. Returns what happened, or null.
+  async fit(agent) {
+    const history = agent.history;
+    if (!this.isOver(history)) return null;
+
+    const targetTokens = this.maxTokens * this.targetRatio;
+    const targetMessages = Math.floor(this.maxMessages * this.targetRatio);
+    const tokensBefore = this.countTokens(history);
+
+    // Oldest units first, until both limits are met again
+    const drop = new Set();
+    let tokens = tokensBefore;
+    for (const [start, end] of this.droppableUnits(history)) {
+      if (tokens <= targetTokens && history.length - drop.size <= targetMessages) break;
+      for (let i = start; i < end; i++) drop.add(i);
+      tokens -= this.countTokens(history.slice(start, end));
+    }
+    if (!drop.size) return null; // Only pinned or current turns left
+
+    let dropped = history.filter((_, i) => drop.has(i));
+    let kept = history.filter((_, i) => !drop.has(i));
+
+    if (this.strategy === "summarize-oldest") {
+      // One summary turn before the exchange the oldest dropped turn belonged to (before the
+      // kept turns that came after it); an earlier summary turn is folded into the new one
+      const previous = history.find(isSummary);
+      dropped = dropped.filter((t) => !isSummary(t));
+      let anchor = Math.min(...drop);
+      while (anchor > 0 && history[anchor].role !== "user") anchor--;
+      const at = history.filter((t, i) => i < anchor && !drop.has(i) && !isSummary(t)).length;
+      kept = kept.filter((t) => !isSummary(t));
+      const summary = await this.summarize(dropped, previous ? previous.parts[0].text.slice(SUMMARY_PREFIX.length).trim() : null, agent);
+      kept.splice(at, 0, { role: "user", parts: [{ text: `${SUMMARY_PREFIX}\n${summary}` }] });
+    }
+
+    agent.history = kept;
+    const info = {
+      strategy: this.strategy,
+      dropped: dropped.length,
+      kept: kept.length,
+      tokensBefore,
+      tokensAfter: this.countTokens(kept),
+    };
+    agent.log(`✂️  Context trimmed (${this.strategy}): dropped ${info.dropped} turns, ~${info.tokensBefore} → ~${info.tokensAfter} tokens`);
+    agent.emit("context-trimmed", info);
+    return info;
+  }
+
+  // [start, end) index ranges that can be removed without breaking the history, oldest first
+  droppableUnits(history) {
+    const userTurns = history.map((t, i) => (t.role === "user" ? i : -1)).filter((i) => i >= 0);
+    if (!userTurns.length) return [];
+
+    // Finished exchanges: from one user message up to the next
+    const units = [];
+    for (let e = 0; e < userTurns.length - 1; e++) {
+      const start = userTurns[e];
+      const pinned = e < this.keepFirst || (this.pin && this.pin(history[start], start));
+      if (!pinned) units.push([start, userTurns[e + 1]]);
+    }
+
+    // Current exchange: tool rounds after the user message, keeping the latest one
+    const current = userTurns[userTurns.length - 1];
+    const rounds = [];
+    let i = current + 1;
+    while (i < history.length) {
+      const isCall = history[i].role === "model" && history[i].parts.some((p) => p.functionCall);
+      const answered = history[i + 1] && history[i + 1].role === "function";
+      const size = isCall && answered ? 2 : 1;
+      rounds.push([i, i + size]);
+      i += size;
+    }
+    const pinnedCurrent = userTurns.length - 1 < this.keepFirst;
+    if (!pinnedCurrent) units.push(...rounds.slice(0, -1));
+
+    return units;
+  }
+}
+
+// Ask the agent's own provider to condense the dropped turns
+async function defaultSummarize(turns, previousSummary, agent) {
+  const request = {
+    model: agent.contextWindow.summaryModel || agent.model,
+    systemPrompt:
+      "You compress conversation history for an AI agent. Write a concise summary of the facts, decisions, " +
+      "tool results and open tasks below. Keep names, numbers, filenames and IDs exactly. No preamble.",
+    tools: [],
+    contents: [{ role: "user", parts: [{ text: transcript(turns, previousSummary) }] }],
+  };
+
+  // Same path as any other model call: middleware, retries, cache, cassette and the run's signal
+  const response = await agent.callModel({ agent, step: agent.stepCount + 1, phase: "context", request }, { signal: agent.signal });
+  agent.usage.record({ model: response.model || request.model, usage: response.usage, agent: `${agent.name}:context` });
+
+  return response.parts.map((p) => p.text || "").join("").trim();
+}
+
+// Plain-text rendering of turns for the summarizer
+function transcript(turns, previousSummary) {
+  const clip = (value) => {
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    return text.length > 2000 ? `${text.slice(0, 2000)}…` : text;
+  };
+
+  const lines = previousSummary ? [`Earlier summary:\n${previousSummary}`, ""] : [];
+  for (const turn of turns) {
+    for (const part of turn.parts) {
+      if (part.text) lines.push(`${turn.role.toUpperCase()}: ${clip(part.text)}`);
+      if (part.functionCall) lines.push(`MODEL called ${part.functionCall.name}(${clip(part.functionCall.args)})`);
+      if (part.functionResponse) lines.push(`TOOL ${part.functionResponse.name} → ${clip(part.functionResponse.response)}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = { ContextManager, estimateTokens, SUMMARY_PREFIX };
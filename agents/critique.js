@@ -0,0 +1,232 @@
+// CRITIQUE — Score an answer against a rubric and revise it until it's good enough
+//
+// A critic call scores the finished answer 0-10 on each rubric criterion and
+// lists concrete fixes. The score is the average of the criteria. Below
+// `threshold`, the author revises with that feedback and the new answer is
+// scored again, up to `maxRevisions` times. The best-scored answer wins, so a
+// revision that made things worse is never returned. A critic that never gets its
+// own JSON right doesn't fail the run: the answer comes back with critique.error.
+//
+// Usage:
+//   new BaseAgent({ ..., critique: { rubric: ['Answers every part of the question', ...], threshold: 8 } });
+//   const { response, critique } = await agent.run('...');   // critique → { score, passed, revisions, reviews, error? }
+//   const review = await agent.critique(task, answer);        // score only, nothing is revised
+//
+//   // Hand-written pipelines (see 06_multi_agent_pipeline.js):
+//   const critic = new Critic({ rubric });
+//   const { answer, review } = await critic.refine(draft, {
+//     critique: async (answer) => critic.score(await llm(critic.systemPrompt(), critic.message(task, answer), { schema: critic.schema })),
+//     revise: async (answer, review) => llm(writerPrompt, `${answer}\n\n${critic.feedback(review)}`),
+//   });
+
+const { withSpan } = require("./tracing");
+const { StructuredOutputError } = require("./structured");
+
+const DEFAULT_RUBRIC = [
+  { name: "completeness", description: "Answers every part of the task; nothing asked for is missing" },
+  { name: "correctness", description: "Facts, numbers and tool results are used accurately; nothing is made up" },
+  { name: "clarity", description: "Well organized, easy to follow, no filler" },
+];
+
+// "criterion" strings become { name, description }
+function toRubric(rubric) {
+  return rubric.map((c, i) => (typeof c === "string" ? { name: `criterion_${i + 1}`, description: c } : c));
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Critic — Rubric, critic prompt and the revise loop
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class Critic {
+  /**
+   * @param {Object} [config]
+   * @param {Array} [config.rubric] - Criteria as strings or { name, description } (default: completeness, correctness, clarity)
+   * @param {number} [config.threshold] - Average score (0-10) an answer needs to pass (default: 8)
+   * @param {number} [config.maxRevisions] - Revisions allowed before the best answer so far is returned (default: 2)
+   * @param {string} [config.criticModel] - Model for critic calls (default: the agent's model)
+   */
+  constructor({ rubric = DEFAULT_RUBRIC, threshold = 8, maxRevisions = 2, criticModel = null } = {}) {
+    this.rubric = toRubric(rubric);
+    this.threshold = threshold;
+    this.maxRevisions = maxRevisions;
+    this.criticModel = criticModel;
+    this.schema = {
+      type: "OBJECT",
+      properties: {
+        scores: {
+          type: "ARRAY",
+          items: {
+            type: "OBJECT",
+            properties: {
+              criterion: { type: "STRING", enum: this.rubric.map((c) => c.name) },
+              score: { type: "NUMBER", description: "0 (fails completely) to 10 (nothing to improve)" },
+              comment: { type: "STRING", description: "Why this score, with specifics" },
+            },
+            required: ["criterion", "score", "comment"],
+          },
+        },
+        suggestions: { type: "ARRAY", items: { type: "STRING" }, description: "Concrete changes that would raise the score" },
+      },
+      required: ["scores", "suggestions"],
+    };
+  }
+
+  systemPrompt() {
+    const criteria = this.rubric.map((c) => `- ${c.name}: ${c.description}`).join("\n");
+    return (
+      "You are a strict reviewer. Score the answer to the task on each criterion from 0 to 10:\n" +
+      `${criteria}\n\n` +
+      "Score every criterion exactly once. Be specific: quote or point at the parts that lose points. " +
+      "Suggestions must be concrete edits the author can make, most important first. Reply with JSON only."
+    );
+  }
+
+  message(task, answer) {
+    return `Task:\n${task}\n\nAnswer to review:\n${answer}`;
+  }
+
+  // Critic JSON → review with `score` (average of the criteria, missing ones count as 0) and `passed`
+  score(raw) {
+    const scores = this.rubric.map(({ name }) => {
+      const s = raw.scores.find((x) => x.criterion === name);
+      return { criterion: name, score: s ? Math.max(0, Math.min(10, s.score)) : 0, comment: s ? s.comment : "Not scored" };
+    });
+    const score = Math.round((scores.reduce((sum, s) => sum + s.score, 0) / scores.length) * 10) / 10;
+    return { score, passed: score >= this.threshold, scores, suggestions: raw.suggestions };
+  }
+
+  // The revise request sent back to the author
+  feedback(review) {
+    const weak = review.scores.filter((s) => s.score < this.threshold).map((s) => `- ${s.criterion} (${s.score}/10): ${s.comment}`);
+    return (
+      `A reviewer scored your answer ${review.score}/10 (needs ${this.threshold}).\n` +
+      (weak.length ? `Weak points:\n${weak.join("\n")}\n` : "") +
+      `Suggested changes:\n${review.suggestions.map((s) => `- ${s}`).join("\n") || "- (none)"}\n\n` +
+      "Revise the answer to fix these points. Reply with the complete revised answer, not just the changes."
+    );
+  }
+
+  /**
+   * Critique → revise until the answer passes or maxRevisions is used up.
+   *
+   * @param {*} answer - The first answer
+   * @param {Object} handlers
+   * @param {Function} handlers.critique - async (answer) => review (from score()), or null when there is none
+   * @param {Function} handlers.revise - async (answer, review) => revised answer, or null to stop
+   * @param {Function} [handlers.onReview] - Called with { review, revision } after every critique
+   * @returns {{ answer, review, passed, revisions, reviews }} - the best-scored answer and its review
+   *          (the last answer with review: null if none could be scored)
+   */
+  async refine(answer, { critique, revise, onReview = null }) {
+    const reviews = [];
+    let best = null;
+    let revision = 0;
+
+    for (; ; revision++) {
+      const review = await critique(answer);
+      if (!review) break; // No usable review: keep the best one scored so far
+      reviews.push(review);
+      if (onReview) onReview({ review, revision });
+      if (!best || review.score > best.review.score) best = { answer, review };
+
+      if (review.passed || revision >= this.maxRevisions) break;
+      const revised = await revise(answer, review);
+      if (revised === null || revised === undefined) break;
+      answer = revised;
+    }
+
+    if (!best) return { answer, review: null, passed: false, revisions: revision, reviews };
+    return { ...best, passed: best.review.passed, revisions: revision, reviews };
+  }
+
+  // Score with the agent's provider (a one-off call, not part of the conversation)
+  async review(agent, task, answer, { signal = null, budget } = {}) {
+    const raw = await agent.askStructured({
+      systemPrompt: this.systemPrompt(),
+      message: this.message(task, answer),
+      schema: this.schema,
+      model: this.criticModel || agent.model,
+      role: "critic",
+      signal,
+      budget,
+    });
+    return this.score(raw);
+  }
+
+  /**
+   * Run `first` (a normal agent run), then critique and revise it on the same history,
+   * so revisions can call tools again. Returns the best run's result plus `critique`.
+   */
+  async run(agent, task, first, options = {}) {
+    const firstRunId = agent.usage.runId + 1;
+    const answerOf = (r) => (r.output !== undefined ? JSON.stringify(r.output) : r.response);
+
+    return withSpan("agent.critique", { "agent.name": agent.name, "critique.threshold": this.threshold }, async (span) => {
+      agent.critiquing = true;
+      try {
+        const result = await first();
+        if (!result.success) return result;
+
+        const results = new Map([[answerOf(result), result]]); // answer → the run that produced it
+        let revisions = 0;
+        let stopped = null;
+        let failed = null;
+
+        const refined = await this.refine(answerOf(result), {
+          critique: async (answer) => {
+            try {
+              return await this.review(agent, task, answer, { signal: options.signal, budget: options.budget });
+            } catch (err) {
+              // Aborted or out of time while reviewing: the run stops like any other
+              if (err.name === "RunStoppedError") {
+                stopped = { success: false, reason: err.reason, limit: err.limit, error: err.message, response: answer };
+                return null;
+              }
+              if (!(err instanceof StructuredOutputError)) throw err;
+              agent.log(`⚠️  No usable critique (${err.message}) — returning the ${revisions ? "best-scored" : "unreviewed"} answer`);
+              failed = err;
+              return null;
+            }
+          },
+          revise: async (answer, review) => {
+            agent.log(`✏️  Revising (${++revisions}/${this.maxRevisions}): ${clip(review.suggestions[0] || "raise the weakest scores")}`);
+            const revised = await agent.run(this.feedback(review), null, options);
+            if (!revised.success) {
+              stopped = revised; // Paused for approval, over budget, … — handed back as is
+              return null;
+            }
+            results.set(answerOf(revised), revised);
+            return answerOf(revised);
+          },
+          onReview: ({ review, revision }) => {
+            agent.log(`🧐 Critique${revision ? ` of revision ${revision}` : ""}: ${review.score}/10 — ${review.passed ? "passed" : `below ${this.threshold}`}`);
+            agent.emit("critique", { review, revision });
+            span.addEvent("critique", { revision, score: review.score, passed: review.passed });
+          },
+        });
+
+        const critique = {
+          score: refined.review ? refined.review.score : null,
+          passed: refined.passed,
+          revisions: refined.revisions,
+          reviews: refined.reviews,
+          ...(failed ? { error: `Critique failed: ${failed.message}` } : {}),
+        };
+        span.setAttributes({ "critique.score": critique.score, "critique.passed": critique.passed, "critique.revisions": critique.revisions });
+        if (!stopped && !failed && !refined.passed) {
+          agent.log(`⚠️  Still below ${this.threshold} after ${refined.revisions} revision(s) — returning the best answer (${critique.score}/10)`);
+        }
+
+        return { ...(stopped || results.get(refined.answer)), critique, usage: agent.usage.sinceRun(firstRunId) };
+      } finally {
+        agent.critiquing = false;
+      }
+    }, { tracer: agent.tracer });
+  }
+}
+
+function clip(text, max = 100) {
+  const s = String(text || "").replace(/\s+/g, " ");
+  return s.length > max ? `${s.slice(0, max)}…` : s;
+}
+
+module.exports = { Critic, DEFAULT_RUBRIC };
@@ -0,0 +1,261 @@
+// PLANNER — Plan first, then execute step by step, re-planning on failure
+//
+// A planned run has three phases:
+//   1. plan     → one model call returns { goal, steps }, each step with the tools it
+//                 expects to use and what a successful result looks like
+//   2. execute  → every step is an ordinary agent run on the shared history, ending
+//                 with a { status, result, problem } report from the model
+//   3. answer   → a last run turns the step results into the final answer
+// A step that reports "failed" / "unexpected" or stops early triggers a re-plan of
+// the remaining work (up to maxReplans). The plan and each step's status live in
+// agent.planState, which is saved with the session, so a plan that paused for
+// approval (or crashed) continues with agent.resumePlan().
+//
+// Usage:
+//   const agent = new BaseAgent({ ..., planning: { maxReplans: 2 } });   // run() now plans first
+//   agent.on('plan', ({ plan }) => console.log(plan.steps));
+//   const { response, plan } = await agent.runPlan('Document every route in api.js');
+//   const plan = await agent.plan('...');                                // inspect without executing
+
+const { withSpan } = require("./tracing");
+const { StructuredOutputError } = require("./structured");
+
+// Step outcome the model reports at the end of every step
+const STEP_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    status: { type: "STRING", enum: ["done", "failed", "unexpected"] },
+    result: { type: "STRING", description: "What the step produced: values, findings, file names" },
+    problem: { type: "STRING", description: "For failed/unexpected: what went wrong" },
+  },
+  required: ["status", "result"],
+};
+
+// Plan schema; step tools are limited to the agent's real tool names
+function planSchema(toolNames) {
+  return {
+    type: "OBJECT",
+    properties: {
+      goal: { type: "STRING", description: "The overall goal in one sentence" },
+      steps: {
+        type: "ARRAY",
+        items: {
+          type: "OBJECT",
+          properties: {
+            goal: { type: "STRING", description: "What this step achieves" },
+            tools: {
+              type: "ARRAY",
+              items: toolNames.length ? { type: "STRING", enum: toolNames } : { type: "STRING" },
+              description: "Tools this step is expected to call (empty if none)",
+            },
+            expected: { type: "STRING", description: "What a successful result looks like" },
+          },
+          required: ["goal", "tools", "expected"],
+        },
+      },
+    },
+    required: ["goal", "steps"],
+  };
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Planner — Builds plans and drives an agent through them
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class Planner {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.maxReplans] - Re-plans allowed per plan before giving up (default: 2)
+   * @param {string} [config.planModel] - Model for planning calls (default: the agent's model)
+   */
+  constructor({ maxReplans = 2, planModel = null } = {}) {
+    this.maxReplans = maxReplans;
+    this.planModel = planModel;
+  }
+
+  // One structured model call → { goal, steps: [{ goal, tools, expected }] }
+  async plan(agent, task, { done = [], failed = null, signal = null, budget } = {}) {
+    return agent.askStructured({
+      systemPrompt: planSystemPrompt(agent),
+      message: planMessage(task, done, failed),
+      schema: planSchema(agent.tools.map((t) => t.name)),
+      model: this.planModel || agent.model,
+      role: "planner",
+      signal,
+      budget,
+    });
+  }
+
+  // Plan `task` from scratch, then execute it
+  async run(agent, task, options = {}) {
+    agent.usage.startRun();
+    let plan;
+    try {
+      plan = await this.plan(agent, task, { signal: options.signal, budget: options.budget });
+    } catch (err) {
+      if (err.name === "RunStoppedError") {
+        return { success: false, reason: err.reason, limit: err.limit, error: err.message, plan: null, usage: agent.usage.lastRun() };
+      }
+      if (!(err instanceof StructuredOutputError)) throw err;
+      agent.log(`❌ No usable plan: ${err.message}`);
+      return {
+        success: false,
+        reason: "plan_failed",
+        error: `Planning failed: ${err.message}`,
+        validationErrors: err.errors,
+        plan: null,
+        usage: agent.usage.lastRun(),
+      };
+    }
+
+    agent.planState = { task, goal: plan.goal, status: "running", replans: 0, nextId: 1, steps: [] };
+    addSteps(agent.planState, plan.steps);
+    this.announce(agent, false);
+
+    return this.execute(agent, options);
+  }
+
+  // Work through every step that isn't finished yet. `decisions` resumes a step paused for approval.
+  async execute(agent, options = {}, decisions = null) {
+    const state = agent.planState;
+    const firstRunId = agent.usage.runId;
+    const { outputSchema = null, outputAttempts, ...runOptions } = options;
+    const stop = (reason, error, extra = {}) => {
+      state.status = reason === "approval_required" ? "paused" : "failed";
+      return { success: false, reason, error, ...extra, plan: state, usage: agent.usage.sinceRun(firstRunId) };
+    };
+
+    const attributes = { "agent.name": agent.name, "plan.goal": state.goal, "plan.steps": state.steps.length };
+    return withSpan("agent.plan", attributes, async () => {
+      state.status = "running";
+      agent.executingPlan = true;
+      try {
+        let step;
+        while ((step = state.steps.find((s) => ["pending", "running", "paused"].includes(s.status)))) {
+          let result;
+          if (step.status === "paused") {
+            result = await agent.resume(decisions || {}, runOptions);
+            decisions = null;
+          } else {
+            const active = state.steps.filter((s) => s.status !== "dropped");
+            agent.log(`▶️  Step ${active.indexOf(step) + 1}/${active.length}: ${step.goal}`);
+            step.status = "running";
+            agent.emit("plan-step", { step: { ...step } });
+            result = await agent.run(stepMessage(state, step), null, { ...runOptions, outputSchema: STEP_SCHEMA });
+          }
+
+          if (result.reason === "approval_required") {
+            step.status = "paused";
+            return stop("approval_required", null, { pending: result.pending });
+          }
+
+          const outcome = result.success ? result.output : { status: "failed", result: "", problem: result.error || result.reason };
+          step.status = outcome.status === "done" ? "done" : "failed";
+          step.result = outcome.result;
+          step.problem = outcome.problem || (step.status === "failed" ? outcome.status : null);
+          agent.emit("plan-step", { step: { ...step } });
+
+          if (step.status === "done") {
+            agent.log(`✅ Step done: ${clip(step.result)}`);
+            continue;
+          }
+
+          agent.log(`❌ Step ${outcome.status}: ${clip(step.problem)}`);
+          // Hard stops end the plan; re-planning would only hit the same limit again
+          if (["aborted", "budget_exceeded"].includes(result.reason)) return stop(result.reason, result.error);
+          if (state.replans >= this.maxReplans) {
+            return stop("plan_failed", `Step "${step.goal}" failed after ${state.replans} re-plan(s): ${step.problem}`);
+          }
+          try {
+            await this.replan(agent, state, step, runOptions);
+          } catch (err) {
+            if (err.name === "RunStoppedError") return stop(err.reason, err.message, { limit: err.limit });
+            if (!(err instanceof StructuredOutputError)) throw err;
+            agent.log(`❌ No usable re-plan: ${err.message}`);
+            return stop("plan_failed", `Re-plan after "${step.goal}" failed: ${err.message}`, { validationErrors: err.errors });
+          }
+        }
+
+        agent.log(`🏁 All ${state.steps.filter((s) => s.status === "done").length} steps done — writing the answer`);
+        const final = await agent.run(answerMessage(state), null, { ...runOptions, outputSchema, outputAttempts });
+        state.status = final.success ? "done" : "failed";
+        return { ...final, plan: state, usage: agent.usage.sinceRun(firstRunId) };
+      } finally {
+        agent.executingPlan = false;
+        await agent.saveSession();
+      }
+    }, { tracer: agent.tracer });
+  }
+
+  // Replace the remaining steps with a new plan that works around the failed one
+  async replan(agent, state, failed, { signal, budget } = {}) {
+    state.replans++;
+    agent.log(`🔁 Re-planning (${state.replans}/${this.maxReplans})`);
+    const done = state.steps.filter((s) => s.status === "done");
+    const plan = await this.plan(agent, state.task, { done, failed, signal, budget });
+
+    for (const s of state.steps) if (s.status === "pending") s.status = "dropped";
+    addSteps(state, plan.steps);
+    this.announce(agent, true);
+  }
+
+  announce(agent, replan) {
+    const state = agent.planState;
+    const pending = state.steps.filter((s) => s.status === "pending");
+    agent.log(`🗺️  ${replan ? "New plan" : "Plan"}: ${state.goal}`);
+    pending.forEach((s, i) => agent.log(`   ${i + 1}. ${s.goal}${s.tools.length ? ` [${s.tools.join(", ")}]` : ""}`));
+    agent.emit("plan", { plan: state, replan });
+  }
+}
+
+function addSteps(state, steps) {
+  for (const { goal, tools, expected } of steps) {
+    state.steps.push({ id: state.nextId++, goal, tools, expected, status: "pending", result: null, problem: null });
+  }
+}
+
+function clip(text, max = 120) {
+  const s = String(text || "").replace(/\s+/g, " ");
+  return s.length > max ? `${s.slice(0, max)}…` : s;
+}
+
+function planSystemPrompt(agent) {
+  const tools = agent.tools.map((t) => `- ${t.name}: ${t.description || ""}`).join("\n") || "(none)";
+  return (
+    `You plan work for an AI agent before it starts. The agent's own instructions:\n<<<\n${agent.systemPrompt}\n>>>\n\n` +
+    `Its tools:\n${tools}\n\n` +
+    "Break the task into a short, ordered list of concrete steps (usually 2-8), each doable with a few tool calls. " +
+    "For every step list the tools it will use and describe what a successful result looks like, so a failed step can be spotted. " +
+    "Reply with JSON only."
+  );
+}
+
+function planMessage(task, done, failed) {
+  if (!failed) return `Task:\n${task}`;
+  const lines = done.map((s) => `- ${s.goal} → ${s.result}`);
+  return (
+    `Task:\n${task}\n\n` +
+    `Steps completed so far:\n${lines.join("\n") || "(none)"}\n\n` +
+    `This step failed:\n- ${failed.goal} → ${failed.problem}\n\n` +
+    "Plan only the REMAINING work. Work around the failure (other tools, other arguments or a fallback) and don't repeat completed steps."
+  );
+}
+
+function stepMessage(state, step) {
+  const active = state.steps.filter((s) => s.status !== "dropped");
+  const started = state.steps.some((s) => s.status === "done" || s.status === "failed");
+  return (
+    (started ? "" : `[Task]: ${state.task}\n\n`) +
+    `[Plan step ${active.indexOf(step) + 1} of ${active.length}]: ${step.goal}\n` +
+    `Expected result: ${step.expected}\n` +
+    `Tools to use: ${step.tools.join(", ") || "none"}\n` +
+    "Do this step only; later steps come next. If a tool fails in a way you can't work around, or its result isn't what " +
+    'this step expects, report status "failed" or "unexpected" and describe the problem instead of guessing.'
+  );
+}
+
+function answerMessage(state) {
+  const results = state.steps.filter((s) => s.status === "done").map((s) => `- ${s.goal}: ${s.result}`);
+  return `All plan steps are finished. Step results:\n${results.join("\n")}\n\nNow give the final answer to the original task.`;
+}
+
+module.exports = { Planner, STEP_SCHEMA };
@@ -0,0 +1,131 @@
+// LLM PROVIDERS — Swappable model backends for BaseAgent
+// npm install @google/generative-ai
+//
+// Every provider implements one method:
+//   generate({ model, systemPrompt, tools, contents, outputSchema? }, { onTextDelta, signal }) → { parts, usage }
+//
+// `contents` is the full Gemini-style history ({ role, parts }[]), so providers
+// stay stateless and the agent owns the conversation. When `onTextDelta` is
+// given, the provider streams and calls it with each text chunk as it arrives.
+// `signal` (an AbortSignal) cancels the request in flight. `outputSchema`
+// asks for a JSON answer in that shape (see structured.js).
+//
+// Optionally, embed(texts) → number[][] turns texts into vectors (used by
+// embedding-based skill routing, see skill-router.js).
+//
+// Usage:
+//   const { GeminiProvider, MockProvider } = require('./providers');
+//   new WeatherAgent({ provider: new MockProvider([...script]) });
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { jsonConfig } = require("./structured");
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// GeminiProvider — Talks to the real Gemini API
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class GeminiProvider {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.apiKey] - Gemini API key (default: process.env.GEMINI_API_KEY)
+   */
+  constructor({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+    this.name = "gemini";
+    this.genAI = new GoogleGenerativeAI(apiKey);
+  }
+
+  async generate({ model, systemPrompt, tools = [], contents, outputSchema }, { onTextDelta, signal } = {}) {
+    const requestOptions = signal ? { signal } : {};
+    const geminiModel = this.genAI.getGenerativeModel({
+      model,
+      systemInstruction: systemPrompt,
+      tools: tools.length > 0 ? [{ functionDeclarations: tools }] : undefined,
+      generationConfig: outputSchema ? jsonConfig(outputSchema) : undefined,
+    });
+
+    if (!onTextDelta) {
+      const result = await geminiModel.generateContent({ contents }, requestOptions);
+      const candidate = result.response.candidates[0];
+      return { parts: candidate.content.parts, usage: result.response.usageMetadata || null };
+    }
+
+    // Streaming: forward text chunks, then return the aggregated response
+    const result = await geminiModel.generateContentStream({ contents }, requestOptions);
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) onTextDelta(text);
+    }
+    const response = await result.response;
+    return { parts: response.candidates[0].content.parts, usage: response.usageMetadata || null };
+  }
+
+  // One vector per text, in a single batch request
+  async embed(texts, { model = "text-embedding-004", signal } = {}) {
+    const embedModel = this.genAI.getGenerativeModel({ model });
+    const result = await embedModel.batchEmbedContents(
+      { requests: texts.map((text) => ({ content: { role: "user", parts: [{ text }] } })) },
+      signal ? { signal } : {}
+    );
+    return result.embeddings.map((e) => e.values);
+  }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// MockProvider — Replays a scripted conversation offline
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Each script entry is one model turn:
+//   "Some text"                                  → final text answer
+//   { functionCalls: [{ name, args }], text? }   → tool calls (plus optional text)
+//   { text, usage: { promptTokenCount, ... } }   → any object entry may carry fake usage
+//   [{ text }, { functionCall }]                 → raw Gemini parts
+//   (request) => entry                           → computed from the request
+class MockProvider {
+  /**
+   * @param {Array} script - Ordered model turns (see above)
+   */
+  constructor(script = []) {
+    this.name = "mock";
+    this.script = [...script];
+    this.requests = []; // Every request received — handy for assertions
+  }
+
+  async generate(request, { onTextDelta, signal } = {}) {
+    if (signal && signal.aborted) throw signal.reason;
+    this.requests.push({ ...request, contents: [...request.contents] }); // Snapshot — history keeps growing
+
+    if (!this.script.length) {
+      throw new Error(`MockProvider: script exhausted after ${this.requests.length - 1} responses`);
+    }
+
+    let entry = this.script.shift();
+    if (typeof entry === "function") entry = await entry(request);
+
+    const parts = toParts(entry);
+
+    // Fake streaming: one delta per word
+    if (onTextDelta) {
+      const text = parts.map((p) => p.text || "").join("");
+      for (const word of text.match(/\S+\s*/g) || []) onTextDelta(word);
+    }
+
+    return { parts, usage: (entry && entry.usage) || null };
+  }
+
+  // True once every scripted turn has been consumed
+  isDone() {
+    return this.script.length === 0;
+  }
+}
+
+function toParts(entry) {
+  if (typeof entry === "string") return [{ text: entry }];
+  if (Array.isArray(entry)) return entry;
+
+  const parts = [];
+  if (entry.text) parts.push({ text: entry.text });
+  for (const call of entry.functionCalls || []) {
+    parts.push({ functionCall: { name: call.name, args: call.args || {} } });
+  }
+  return parts;
+}
+
+module.exports = { GeminiProvider, MockProvider };
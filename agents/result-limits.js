@@ -0,0 +1,274 @@
+// RESULT LIMITS — Keep huge tool results out of the model context
+//
+// Every tool result is measured as JSON. Past the limit it is cut down with a
+// strategy, and the full result is kept behind a handle the model can page
+// through with the read_result_page tool:
+//   "head"         → the start of the largest text field
+//   "head-tail"    → the start and end of the largest text field (files, logs)
+//   "sample-rows"  → evenly spaced rows of the largest array (query results)
+//   "json"         → shorten every long string and array, collapse deep nesting
+//
+// Usage:
+//   new BaseAgent({ ..., resultLimits: { maxChars: 8000, tools: { run_query: { strategy: 'sample-rows' } } } });
+//
+//   // Hand-written tool loops:
+//   const limiter = new ResultLimiter({ tools: { read_file: { strategy: 'head-tail' } } });
+//   const response = limiter.limit(name, TOOL_MAP[name](args));   // declare limiter.declaration, route to limiter.toolFns
+
+const STRATEGIES = ["head", "head-tail", "sample-rows", "json"];
+const PAGE_TOOL = "read_result_page";
+const META_RESERVE = 400; // Room for the _truncated note
+
+// JSON pruning levels, loosest first
+const PRUNE_LEVELS = [
+  { maxString: 2000, maxItems: 50, maxDepth: 6 },
+  { maxString: 500, maxItems: 20, maxDepth: 5 },
+  { maxString: 200, maxItems: 10, maxDepth: 4 },
+  { maxString: 80, maxItems: 5, maxDepth: 3 },
+  { maxString: 40, maxItems: 3, maxDepth: 2 },
+];
+
+function sizeOf(value) {
+  return (JSON.stringify(value) || "").length;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// ResultLimiter — Per-tool size caps with paging for the rest
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class ResultLimiter {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.maxChars] - Default cap on a result's JSON size (default: 8000)
+   * @param {string} [config.strategy] - Default strategy (default: "json")
+   * @param {Object} [config.tools] - Per-tool overrides: { [toolName]: { maxChars, strategy } | false (no limit) }
+   * @param {number} [config.maxStored] - Full results kept for paging; oldest are forgotten first (default: 20)
+   */
+  constructor({ maxChars = 8000, strategy = "json", tools = {}, maxStored = 20 } = {}) {
+    for (const s of [strategy, ...Object.values(tools).map((t) => t && t.strategy)]) {
+      if (s && !STRATEGIES.includes(s)) {
+        throw new Error(`Unknown truncation strategy: "${s}". Use ${STRATEGIES.map((x) => `"${x}"`).join(", ")}.`);
+      }
+    }
+
+    this.maxChars = maxChars;
+    this.strategy = strategy;
+    this.tools = tools;
+    this.maxStored = maxStored;
+    this.stored = new Map();
+    this.nextHandle = 1;
+
+    this.declaration = {
+      name: PAGE_TOOL,
+      description:
+        "Read more of a tool result that was truncated. Use the handle from its _truncated note; pages start at 1.",
+      parameters: {
+        type: "OBJECT",
+        properties: {
+          handle: { type: "STRING", description: "Handle from the _truncated note, like 'result_3'" },
+          page: { type: "INTEGER", description: "Page number (default: 1); the _truncated hint names the first page not shown yet" },
+        },
+        required: ["handle"],
+      },
+    };
+    this.toolFns = { [PAGE_TOOL]: (args) => this.page(args) };
+  }
+
+  // Returns the result unchanged when it fits, otherwise a smaller copy with a _truncated note
+  limit(name, result) {
+    const options = this.tools[name] === false ? null : { maxChars: this.maxChars, strategy: this.strategy, ...this.tools[name] };
+    if (!options || name === PAGE_TOOL || result == null) return result;
+
+    const originalChars = sizeOf(result);
+    if (originalChars <= options.maxChars) return result;
+
+    const budget = Math.max(options.maxChars - META_RESERVE, 100);
+    const cut = shrink(result, options.strategy, budget);
+    // When the preview is the start of the source, it doubles as page 1 and paging continues after it
+    const pageChars = cut.firstPage || Math.max(Math.floor(budget * 0.9), 100);
+    const { handle, pages } = this.store(cut.source, pageChars);
+    const next = cut.firstPage ? 2 : 1;
+
+    const note = {
+      strategy: cut.strategy,
+      originalChars,
+      ...cut.note,
+      handle,
+      pages,
+      hint: `Call ${PAGE_TOOL}({ handle: "${handle}", page: ${next} }) for ${next === 1 ? "the full result, page by page" : "more"}`,
+    };
+    return isPlainObject(cut.value) ? { ...cut.value, _truncated: note } : { preview: cut.value, _truncated: note };
+  }
+
+  store(source, pageChars) {
+    const handle = `result_${this.nextHandle++}`;
+    const entry = { ...source, pageChars };
+    if (source.kind === "rows") {
+      const rowChars = sizeOf(source.rows) / Math.max(source.rows.length, 1);
+      entry.perPage = Math.max(1, Math.floor(pageChars / rowChars));
+      entry.pages = Math.ceil(source.rows.length / entry.perPage);
+    } else {
+      entry.pages = Math.ceil(source.text.length / pageChars);
+    }
+
+    this.stored.set(handle, entry);
+    if (this.stored.size > this.maxStored) this.stored.delete(this.stored.keys().next().value);
+    return { handle, pages: entry.pages };
+  }
+
+  page({ handle, page = 1 }) {
+    const entry = this.stored.get(handle);
+    if (!entry) return { error: `Unknown or expired handle: "${handle}"` };
+    if (!Number.isInteger(page) || page < 1 || page > entry.pages) {
+      return { error: `Page must be between 1 and ${entry.pages}`, handle };
+    }
+
+    const base = { handle, page, pages: entry.pages, hasMore: page < entry.pages };
+    if (entry.kind === "rows") {
+      const start = (page - 1) * entry.perPage;
+      return { ...base, path: entry.path, firstRow: start, rows: entry.rows.slice(start, start + entry.perPage) };
+    }
+    const start = (page - 1) * entry.pageChars;
+    return { ...base, path: entry.path, content: entry.text.slice(start, start + entry.pageChars) };
+  }
+
+  // Forget every stored result (e.g. when the conversation resets)
+  clear() {
+    this.stored.clear();
+  }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Strategies — each returns { value, source, note, strategy, firstPage? }
+// `source` is what read_result_page pages through; `firstPage` is how many of its
+// chars the preview already shows from the start, when it shows exactly those
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+function shrink(result, strategy, budget) {
+  if (strategy === "head" || strategy === "head-tail") {
+    const path = largest(result, (v) => typeof v === "string");
+    if (path) return cutText(result, path, strategy, budget);
+  }
+  if (strategy === "sample-rows") {
+    const path = largest(result, Array.isArray);
+    if (path) return sampleRows(result, path, budget);
+  }
+  return pruneJSON(result, budget);
+}
+
+function cutText(result, path, strategy, budget) {
+  const text = getAt(result, path);
+  const build = (keep) => {
+    const omitted = text.length - keep;
+    const cut =
+      strategy === "head"
+        ? `${text.slice(0, keep)}\n…[${omitted} more chars]`
+        : `${text.slice(0, Math.ceil(keep / 2))}\n…[${omitted} chars omitted]…\n${text.slice(text.length - Math.floor(keep / 2))}`;
+    return setAt(result, path, cut);
+  };
+
+  // Start from the budget minus everything around the text; fit() then corrects for JSON escaping
+  const keep = fit(build, budget - (sizeOf(result) - sizeOf(text)), budget);
+  return {
+    strategy,
+    value: build(keep),
+    firstPage: strategy === "head" ? keep : Math.ceil(keep / 2),
+    source: { kind: "text", path: label(path), text },
+    note: { path: label(path), shownChars: keep, totalChars: text.length },
+  };
+}
+
+function sampleRows(result, path, budget) {
+  const rows = getAt(result, path);
+  const build = (count) => setAt(result, path, evenSample(rows, count));
+
+  const count = fit(build, Math.floor((rows.length * budget) / sizeOf(result)), budget);
+  return {
+    strategy: "sample-rows",
+    value: build(count),
+    source: { kind: "rows", path: label(path), rows },
+    note: { path: label(path), rowsShown: count, totalRows: rows.length, sampling: "evenly spaced, first and last included" },
+  };
+}
+
+function pruneJSON(result, budget) {
+  for (const level of PRUNE_LEVELS) {
+    const value = prune(result, level, 0);
+    if (sizeOf(value) <= budget) {
+      return { strategy: "json", value, source: { kind: "text", text: JSON.stringify(result) }, note: { pruning: level } };
+    }
+  }
+
+  // Still too big (very wide objects) — fall back to the head of the raw JSON
+  const text = JSON.stringify(result);
+  return {
+    strategy: "json",
+    value: `${text.slice(0, budget)}…`,
+    firstPage: budget,
+    source: { kind: "text", text },
+    note: { shownChars: budget, totalChars: text.length },
+  };
+}
+
+function prune(value, level, depth) {
+  if (typeof value === "string") {
+    return value.length > level.maxString ? `${value.slice(0, level.maxString)}…(+${value.length - level.maxString} chars)` : value;
+  }
+  if (!value || typeof value !== "object") return value;
+  if (depth >= level.maxDepth) return Array.isArray(value) ? `[Array(${value.length})]` : "[Object]";
+
+  if (Array.isArray(value)) {
+    const kept = value.slice(0, level.maxItems).map((v) => prune(v, level, depth + 1));
+    return value.length > level.maxItems ? [...kept, `… ${value.length - level.maxItems} more items`] : kept;
+  }
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, prune(v, level, depth + 1)]));
+}
+
+// Largest n (starting from a guess) for which build(n) fits the budget
+function fit(build, guess, budget) {
+  let n = Math.max(0, Math.floor(guess));
+  for (let i = 0; i < 8 && n > 0; i++) {
+    const size = sizeOf(build(n));
+    if (size <= budget) return n;
+    n = Math.floor(n * (budget / size) * 0.95);
+  }
+  return n;
+}
+
+function evenSample(rows, count) {
+  if (count >= rows.length) return rows;
+  if (count <= 1) return rows.slice(0, count);
+  return Array.from({ length: count }, (_, i) => rows[Math.round((i * (rows.length - 1)) / (count - 1))]);
+}
+
+// Path (array of keys) to the biggest value matching `test`, or null
+function largest(value, test, path = []) {
+  let best = test(value) ? { path, size: sizeOf(value) } : null;
+  if (value && typeof value === "object") {
+    for (const [key, child] of Object.entries(value)) {
+      const found = largest(child, test, [...path, Array.isArray(value) ? Number(key) : key]);
+      if (found && (!best || found.size > best.size)) best = found;
+    }
+  }
+  return path.length ? best : best && best.path;
+}
+
+function getAt(value, path) {
+  return path.reduce((v, key) => v[key], value);
+}
+
+// Copy of `value` with the node at `path` replaced
+function setAt(value, [key, ...rest], replacement) {
+  if (key === undefined) return replacement;
+  const copy = Array.isArray(value) ? [...value] : { ...value };
+  copy[key] = setAt(value[key], rest, replacement);
+  return copy;
+}
+
+function label(path) {
+  return path.length ? path.join(".") : "(root)";
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = { ResultLimiter, PAGE_TOOL };
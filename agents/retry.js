@@ -0,0 +1,143 @@
+// RETRY — Exponential backoff, jitter, retry budgets and model fallback
+//
+// Only transient failures are retried: HTTP 429 / 5xx and network errors.
+// Anything else (bad request, invalid key, a bug in a tool) fails fast.
+//
+// Usage:
+//   const { withRetry } = require('./retry');
+//   const result = await withRetry(
+//     (model) => genAI.getGenerativeModel({ model }).generateContent(prompt),
+//     { models: ['gemini-2.5-flash', 'gemini-2.0-flash'] }
+//   );
+
+const TRANSIENT_STATUS = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN", "ENOTFOUND", "UND_ERR_SOCKET"];
+
+class RetryExhaustedError extends Error {
+  constructor(message, { attempts, lastError }) {
+    super(message);
+    this.name = "RetryExhaustedError";
+    this.attempts = attempts;
+    this.lastError = lastError;
+  }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// RetryBudget — Caps total retries shared across many calls
+// (e.g. one budget for a whole multi-agent pipeline)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class RetryBudget {
+  constructor(maxRetries) {
+    this.maxRetries = maxRetries;
+    this.used = 0;
+  }
+
+  // Reserve one retry. False when the budget is spent.
+  take() {
+    if (this.used >= this.maxRetries) return false;
+    this.used++;
+    return true;
+  }
+
+  get remaining() {
+    return this.maxRetries - this.used;
+  }
+}
+
+function isTransientError(err) {
+  if (!err) return false;
+  if (TRANSIENT_STATUS.includes(err.status)) return true;
+  if (TRANSIENT_CODES.includes(err.code) || (err.cause && TRANSIENT_CODES.includes(err.cause.code))) return true;
+  // The Gemini SDK puts the status in the message: "[429 Too Many Requests] ..."
+  return /\[(408|429|5\d\d)[ \]]/.test(err.message || "") || /fetch failed/i.test(err.message || "");
+}
+
+// Delay before retry #attempt (1-based): base * 2^(attempt-1), capped, with full jitter
+function backoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 10000, jitter = true } = {}) {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return jitter ? Math.round(Math.random() * delay) : delay;
+}
+
+/**
+ * Call fn(model) until it succeeds, retrying transient errors and then
+ * falling back through `models` in order.
+ *
+ * @param {Function} fn - async (model) => result
+ * @param {Object} [options]
+ * @param {Array<string>} [options.models] - Primary model first, then fallbacks
+ * @param {number} [options.retries] - Retries per model (default: 3)
+ * @param {number} [options.baseDelayMs] - First backoff delay (default: 500)
+ * @param {number} [options.maxDelayMs] - Backoff cap (default: 10000)
+ * @param {boolean} [options.jitter] - Randomize delays to avoid thundering herds (default: true)
+ * @param {RetryBudget} [options.budget] - Shared cap on total retries
+ * @param {Function} [options.onRetry] - Called with { attempt, model, nextModel, delayMs, error }
+ * @param {Function} [options.isRetryable] - Override transient-error detection
+ * @param {AbortSignal} [options.signal] - Stops retrying (and waiting) as soon as it aborts
+ */
+async function withRetry(fn, {
+  models = [undefined],
+  retries = 3,
+  baseDelayMs = 500,
+  maxDelayMs = 10000,
+  jitter = true,
+  budget = null,
+  onRetry = null,
+  isRetryable = isTransientError,
+  signal = null,
+} = {}) {
+  let attempts = 0;
+  let lastError = null;
+
+  for (const [m, model] of models.entries()) {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (signal && signal.aborted) throw signal.reason;
+      attempts++;
+      try {
+        return await fn(model);
+      } catch (err) {
+        lastError = err;
+        if (!isRetryable(err)) throw err;
+      }
+
+      const lastForModel = attempt === retries;
+      if (lastForModel && m === models.length - 1) break; // Nothing left to try
+
+      if (budget && !budget.take()) {
+        throw new RetryExhaustedError(`Retry budget exhausted after ${attempts} attempt(s): ${lastError.message}`, {
+          attempts,
+          lastError,
+        });
+      }
+
+      // Out of retries for this model → fall back to the next one right away
+      if (lastForModel) {
+        if (onRetry) onRetry({ attempt: attempts, model, nextModel: models[m + 1], delayMs: 0, error: lastError });
+        continue;
+      }
+
+      const delayMs = backoffDelay(attempt + 1, { baseDelayMs, maxDelayMs, jitter });
+      if (onRetry) onRetry({ attempt: attempts, model, nextModel: model, delayMs, error: lastError });
+      await sleep(delayMs, signal);
+    }
+  }
+
+  throw new RetryExhaustedError(`Gave up after ${attempts} attempt(s): ${lastError.message}`, { attempts, lastError });
+}
+
+// setTimeout as a promise that rejects early if the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (!signal) return setTimeout(resolve, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+module.exports = { withRetry, RetryBudget, RetryExhaustedError, isTransientError, backoffDelay };
@@ -0,0 +1,70 @@
+// SCHEMA — Minimal JSON-Schema validator for Gemini function declarations
+//
+// Understands the subset Gemini uses: type (OBJECT, STRING, NUMBER, INTEGER,
+// BOOLEAN, ARRAY — any case), properties, required, items, enum, nullable.
+//
+// Usage:
+//   const { validate } = require('./schema');
+//   validate(declaration.parameters, args);
+//   // → [{ path: "from", message: "is required" }]   ([] when valid)
+
+function validate(schema, value, path = "") {
+  if (!schema) return [];
+  const at = path || "(root)";
+
+  if (value === undefined || value === null) {
+    if (value === null && schema.nullable) return [];
+    return value === null ? [{ path: at, message: "must not be null" }] : [];
+  }
+
+  const type = (schema.type || "").toUpperCase();
+  const errors = [];
+
+  switch (type) {
+    case "OBJECT": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return [{ path: at, message: `must be an object, got ${describe(value)}` }];
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) errors.push({ path: join(path, key), message: "is required" });
+      }
+      for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        errors.push(...validate(propSchema, value[key], join(path, key)));
+      }
+      break;
+    }
+    case "ARRAY":
+      if (!Array.isArray(value)) return [{ path: at, message: `must be an array, got ${describe(value)}` }];
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+      break;
+    case "STRING":
+      if (typeof value !== "string") return [{ path: at, message: `must be a string, got ${describe(value)}` }];
+      break;
+    case "NUMBER":
+      if (typeof value !== "number" || Number.isNaN(value)) return [{ path: at, message: `must be a number, got ${describe(value)}` }];
+      break;
+    case "INTEGER":
+      if (!Number.isInteger(value)) return [{ path: at, message: `must be an integer, got ${describe(value)}` }];
+      break;
+    case "BOOLEAN":
+      if (typeof value !== "boolean") return [{ path: at, message: `must be a boolean, got ${describe(value)}` }];
+      break;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(", ")}` });
+  }
+
+  return errors;
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+function describe(value) {
+  if (Array.isArray(value)) return "array";
+  return `${typeof value} ${JSON.stringify(value)}`;
+}
+
+module.exports = { validate };
@@ -0,0 +1,139 @@
+// SESSIONS — Persist BaseAgent conversations across process restarts
+// npm install better-sqlite3   (only for SqliteSessionStore)
+//
+// A store has four methods (sync or async):
+//   save(id, session)  load(id) → session | null  list() → summaries  delete(id) → boolean
+//
+// Usage:
+//   const { JsonSessionStore } = require('./sessions');
+//   const sessionStore = new JsonSessionStore('./sessions');
+//   const agent = new UnitConverterAgent({ sessionStore });        // saved after every run
+//   const again = await UnitConverterAgent.resume(agent.sessionId, { sessionStore });
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// File name for a session id. Ids that need sanitizing (or have upper case, which
+// case-insensitive file systems would merge) get a hash of the original id after a
+// "~", which no clean id contains, so "a/b", "a_b" and "A_B" get three different files.
+function safeId(id) {
+  const raw = String(id);
+  const clean = raw.toLowerCase().replace(/[^a-z0-9\-_.]/g, "_");
+  if (clean === raw) return clean;
+  return `${clean}~${crypto.createHash("sha256").update(raw).digest("hex").slice(0, 12)}`;
+}
+
+function summarize(session) {
+  return {
+    id: session.id,
+    agent: session.agent,
+    messages: session.history.length,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+  };
+}
+
+// A parsed file that looks like a saved session (the directory may hold other JSON)
+function isSession(value) {
+  return Boolean(value) && typeof value.id === "string" && Array.isArray(value.history) && typeof value.updatedAt === "string";
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// JsonSessionStore — One JSON file per session
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class JsonSessionStore {
+  constructor(dir = "./sessions") {
+    this.dir = dir;
+  }
+
+  filepath(id) {
+    return path.join(this.dir, `${safeId(id)}.json`);
+  }
+
+  save(id, session) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.filepath(id), JSON.stringify(session, null, 2), "utf-8");
+  }
+
+  load(id) {
+    const filepath = this.filepath(id);
+    if (!fs.existsSync(filepath)) return null;
+    return JSON.parse(fs.readFileSync(filepath, "utf-8"));
+  }
+
+  // Files that don't parse (e.g. half-written) or aren't sessions are skipped, not fatal
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs
+      .readdirSync(this.dir)
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(this.dir, f), "utf-8"));
+        } catch {
+          return null;
+        }
+      })
+      .filter(isSession)
+      .map(summarize)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  delete(id) {
+    const filepath = this.filepath(id);
+    if (!fs.existsSync(filepath)) return false;
+    fs.unlinkSync(filepath);
+    return true;
+  }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// SqliteSessionStore — All sessions in one SQLite file
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class SqliteSessionStore {
+  constructor(filename = "./sessions.db") {
+    const Database = require("better-sqlite3");
+    this.db = new Database(filename);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        agent TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  save(id, session) {
+    this.db
+      .prepare(
+        `INSERT INTO sessions (id, agent, data, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(id) DO UPDATE SET agent = excluded.agent, data = excluded.data, updated_at = excluded.updated_at`
+      )
+      .run(id, session.agent, JSON.stringify(session), session.createdAt, session.updatedAt);
+  }
+
+  load(id) {
+    const row = this.db.prepare("SELECT data FROM sessions WHERE id = ?").get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  list() {
+    return this.db
+      .prepare("SELECT data FROM sessions ORDER BY updated_at DESC")
+      .all()
+      .map((row) => summarize(JSON.parse(row.data)));
+  }
+
+  delete(id) {
+    return this.db.prepare("DELETE FROM sessions WHERE id = ?").run(id).changes > 0;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { JsonSessionStore, SqliteSessionStore };
@@ -0,0 +1,222 @@
+// SKILL HARNESS — Scripted conversations that check what skills actually do, offline
+//
+// A scenario is a user message (or several), a MockProvider script standing in for
+// the model, and what must come out of it: which tools ran, with what arguments and
+// results, in what order, the final answer, and the state of the fake data store.
+// The skills' real implementations run; only the model is scripted. A scripted call
+// to a tool the model wasn't offered (e.g. routed away, see skill-router.js) fails
+// the scenario, as does a script with turns left over.
+//
+// Usage:
+//   const { runScenarios, formatReport } = require('./skill-harness');
+//   const report = await runScenarios({
+//     setup: ({ provider, verbose }) => { const db = createDb(); return { agent: createSupportAgent({ db, provider, verbose }), state: db }; },
+//     scenarios: [{
+//       name: 'No refund before delivery', skill: 'Refund Processing',
+//       messages: 'Can I get a refund for ORD-002?',
+//       script: [{ functionCalls: [{ name: 'process_refund', args: { order_id: 'ORD-002', reason: 'changed mind' } }] }, 'Sorry...'],
+//       expect: {
+//         calls: [{ name: 'process_refund', args: { order_id: 'ORD-002' }, result: { success: false } }],
+//         state: (db) => db.refunds.length === 0 || 'a refund was recorded',
+//       },
+//     }],
+//   });
+//   console.log(formatReport(report));                          → ✅ / ❌ per scenario, grouped by skill
+//   agents test 02                                             → every scenario an example exports as skillTests
+//
+// expect (every key optional):
+//   calls      → the exact sequence of tool calls: [{ name, args?, result?, refused? }] (args/result match partially)
+//   notCalled  → tool names that must not run (a call refused by the tool policy doesn't count)
+//   response   → string the final answer contains, or a RegExp
+//   success    → run outcome (default: true)
+//   state      → (state, result) => true | false | "what went wrong" (may also throw, e.g. assert)
+// Expected values match partially: objects by the keys given, RegExps against strings,
+// functions as predicates.
+
+const { MockProvider } = require("./providers");
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Running scenarios
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Run every scenario against a fresh agent and data store.
+ *
+ * @param {Object} suite
+ * @param {Function} suite.setup - ({ provider, verbose }) => { agent, state } — a new agent using `provider`, and the data it works on
+ * @param {Array} suite.scenarios - Scenarios (see above)
+ * @param {Object} [options]
+ * @param {boolean} [options.verbose] - Show agent logs (default: false)
+ * @returns {Promise<{ passed, failed, results, untested }>} untested: skill names no scenario covers
+ */
+async function runScenarios({ setup, scenarios }, { verbose = false } = {}) {
+  const results = [];
+  const skills = new Set();
+  for (const scenario of scenarios) {
+    const result = await runScenario(scenario, { setup, verbose });
+    result.skills.forEach((s) => skills.add(s));
+    results.push(result);
+  }
+
+  const tested = new Set(results.flatMap((r) => toArray(r.skill)));
+  return {
+    passed: results.filter((r) => r.passed).length,
+    failed: results.filter((r) => !r.passed).length,
+    results,
+    untested: [...skills].filter((s) => !tested.has(s)),
+  };
+}
+
+// One scenario → { name, skill, passed, failures, calls, response }
+async function runScenario(scenario, { setup = scenario.setup, verbose = false } = {}) {
+  const { name, skill = null, messages, script = [], options = {}, expect = {} } = scenario;
+  const provider = new MockProvider(script);
+  const outcome = { name, skill, passed: false, failures: [], calls: [], response: null, skills: [] };
+
+  let agent, state, result;
+  try {
+    ({ agent, state } = await setup({ provider, verbose }));
+    outcome.skills = agent.skills ? agent.skills.all().map((s) => s.name) : [];
+    for (const message of toArray(messages)) {
+      result = await agent.run(message, null, options);
+      if (!result.success) break;
+    }
+  } catch (err) {
+    outcome.failures.push(`threw: ${err.message}`);
+    return outcome;
+  }
+
+  outcome.calls = toolCalls(agent, provider);
+  outcome.response = result.response || null;
+  outcome.failures = check(expect, { result, calls: outcome.calls, state, provider });
+  outcome.passed = outcome.failures.length === 0;
+  return outcome;
+}
+
+// Every tool call in the conversation, in order, with its result and whether the model was offered the tool
+function toolCalls(agent, provider) {
+  const history = agent.getHistory();
+  const calls = [];
+  history.forEach((content, i) => {
+    if (content.role !== "model") return;
+    const request = provider.requests.find((r) => r.contents.length === i && r.contents[i - 1] === agent.history[i - 1]);
+    const offered = request ? request.tools.map((t) => t.name) : [];
+    const responses = ((history[i + 1] || {}).parts || []).filter((p) => p.functionResponse);
+    content.parts
+      .filter((p) => p.functionCall)
+      .forEach((p, j) => {
+        const response = responses[j] ? responses[j].functionResponse.response : undefined;
+        calls.push({
+          name: p.functionCall.name,
+          args: p.functionCall.args || {},
+          result: response,
+          refused: Boolean(response && response.refused),
+          offered: offered.includes(p.functionCall.name),
+        });
+      });
+  });
+  return calls;
+}
+
+// The failures of one scenario, as readable lines
+function check(expect, { result, calls, state, provider }) {
+  const failures = [];
+  const { success = true } = expect;
+
+  if (result.success !== success) {
+    failures.push(`run ${result.success ? "succeeded" : `failed (${result.reason || result.error})`}, expected ${success ? "success" : "failure"}`);
+  }
+  for (const call of calls.filter((c) => !c.offered)) {
+    failures.push(`${call.name} was called but not offered to the model`);
+  }
+  if (!provider.isDone()) failures.push(`${provider.script.length} scripted model turn(s) left unused`);
+
+  if (expect.calls) {
+    const names = calls.map((c) => c.name);
+    const wanted = expect.calls.map((c) => (typeof c === "string" ? { name: c } : c));
+    if (names.join() !== wanted.map((c) => c.name).join()) {
+      failures.push(`calls: expected [${wanted.map((c) => c.name).join(", ")}], got [${names.join(", ")}]`);
+    } else {
+      wanted.forEach((want, i) => {
+        for (const key of ["args", "result", "refused"]) {
+          if (!(key in want)) continue;
+          const problem = mismatch(want[key], calls[i][key], `calls[${i}] ${want.name} ${key}`);
+          if (problem) failures.push(problem);
+        }
+      });
+    }
+  }
+
+  for (const tool of expect.notCalled || []) {
+    const count = calls.filter((c) => c.name === tool && !c.refused).length;
+    if (count) failures.push(`${tool} must not run, ran ${count} time(s)`);
+  }
+
+  if (expect.response !== undefined) {
+    const text = result.response || "";
+    const ok = expect.response instanceof RegExp ? expect.response.test(text) : text.includes(expect.response);
+    if (!ok) failures.push(`response: expected ${expect.response instanceof RegExp ? expect.response : JSON.stringify(expect.response)}, got ${JSON.stringify(text.slice(0, 200))}`);
+  }
+
+  if (expect.state) {
+    try {
+      const verdict = expect.state(state, result);
+      if (verdict === false) failures.push("state: check failed");
+      else if (typeof verdict === "string") failures.push(`state: ${verdict}`);
+    } catch (err) {
+      failures.push(`state: ${err.message}`);
+    }
+  }
+  return failures;
+}
+
+// Partial match → null, or a line saying where `actual` differs from `expected`
+function mismatch(expected, actual, at) {
+  if (expected instanceof RegExp) return typeof actual === "string" && expected.test(actual) ? null : `${at}: expected ${expected}, got ${JSON.stringify(actual)}`;
+  if (typeof expected === "function") return expected(actual) ? null : `${at}: ${JSON.stringify(actual)} fails ${expected.name || "the check"}`;
+  if (Array.isArray(expected)) {
+    if (!Array.isArray(actual) || actual.length !== expected.length) return `${at}: expected ${expected.length} item(s), got ${JSON.stringify(actual)}`;
+    for (let i = 0; i < expected.length; i++) {
+      const problem = mismatch(expected[i], actual[i], `${at}[${i}]`);
+      if (problem) return problem;
+    }
+    return null;
+  }
+  if (expected && typeof expected === "object") {
+    if (!actual || typeof actual !== "object") return `${at}: expected an object, got ${JSON.stringify(actual)}`;
+    for (const key of Object.keys(expected)) {
+      const problem = mismatch(expected[key], actual[key], `${at}.${key}`);
+      if (problem) return problem;
+    }
+    return null;
+  }
+  return expected === actual ? null : `${at}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Report — pass/fail per scenario, grouped by skill
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+function formatReport({ passed, failed, results, untested }, { title = "Skill scenarios" } = {}) {
+  const lines = [`🧪 ${title}`];
+  const groups = new Map();
+  for (const r of results) {
+    const key = toArray(r.skill).join(" + ") || "(no skill)";
+    groups.set(key, [...(groups.get(key) || []), r]);
+  }
+  for (const [skill, group] of groups) {
+    lines.push(`  ${skill}`);
+    for (const r of group) {
+      lines.push(`    ${r.passed ? "✅" : "❌"} ${r.name}`);
+      for (const f of r.failures) lines.push(`       - ${f}`);
+    }
+  }
+  if (untested.length) lines.push(`  ⚠️  No scenarios for: ${untested.join(", ")}`);
+  lines.push(`  ${passed} passed, ${failed} failed`);
+  return lines.join("\n");
+}
+
+function toArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = { runScenarios, runScenario, formatReport };
@@ -0,0 +1,174 @@
+// SKILL LOADER — Skills defined as directories: a manifest + a module of implementations
+// npm install yaml
+//
+// Layout (one directory per skill):
+//   skills/refund-processing/
+//     skill.json      → { name, version, description, instructions, tools: [declarations],
+//                         keywords?, capabilities?, toolCapabilities?, implementations? }
+//     index.js        → module.exports = { process_refund: (args) => ... }
+//                       or a factory: module.exports = ({ db }) => ({ process_refund: ... })
+//
+// `instructions` may be a string or an array of lines; `implementations` names the
+// module (default: index.js). Every manifest is checked at load time: unknown keys,
+// bad tool names, a declared tool without an implementation (or the reverse) all
+// throw a SkillManifestError listing every problem, before any agent starts.
+//
+// Usage:
+//   const { loadSkills } = require('./skill-loader');
+//   const skills = loadSkills(path.join(__dirname, 'skills'), { context: { db } });   // every skill directory
+//   new BaseAgent({ ..., skills });
+//   loadSkill('./skills/order-tracking', { context: { db } })                            // one directory
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { validate } = require("./schema");
+const { Skill } = require("./skills");
+const { CAPABILITIES } = require("./capabilities");
+
+const MANIFEST_FILES = ["skill.json", "skill.yaml", "skill.yml"];
+const TOOL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+const VERSION = /^\d+\.\d+\.\d+(-[0-9A-Za-z.-]+)?$/;
+
+// Manifest shape, in the same schema dialect as tool declarations (checked with schema.js)
+const MANIFEST_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    name: { type: "STRING" },
+    version: { type: "STRING" },
+    description: { type: "STRING" },
+    instructions: { type: "STRING" },
+    implementations: { type: "STRING" },
+    keywords: { type: "ARRAY", items: { type: "STRING" } },
+    capabilities: { type: "ARRAY", items: { type: "STRING", enum: CAPABILITIES } },
+    toolCapabilities: { type: "OBJECT" },
+    tools: {
+      type: "ARRAY",
+      items: {
+        type: "OBJECT",
+        properties: {
+          name: { type: "STRING" },
+          description: { type: "STRING" },
+          parameters: { type: "OBJECT" },
+        },
+        required: ["name", "description"],
+      },
+    },
+  },
+  required: ["name", "instructions", "tools"],
+};
+
+class SkillManifestError extends Error {
+  constructor(dir, errors) {
+    super(`Invalid skill in ${dir}:\n${errors.map((e) => `  - ${e.path}: ${e.message}`).join("\n")}`);
+    this.name = "SkillManifestError";
+    this.dir = dir;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Load every skill directory (any subdirectory with a manifest) under `root`, in name order.
+ *
+ * @param {string} root - Directory containing one directory per skill
+ * @param {Object} [options]
+ * @param {Object} [options.context] - Passed to implementation factories (e.g. { db })
+ * @returns {Skill[]}
+ */
+function loadSkills(root, options = {}) {
+  if (!fs.existsSync(root)) throw new Error(`Skills directory not found: ${root}`);
+  return fs
+    .readdirSync(root, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && findManifest(path.join(root, entry.name)))
+    .map((entry) => entry.name)
+    .sort()
+    .map((name) => loadSkill(path.join(root, name), options));
+}
+
+/**
+ * Load and validate one skill directory.
+ *
+ * @param {string} dir - Directory with skill.json / skill.yaml and the implementations module
+ * @param {Object} [options]
+ * @param {Object} [options.context] - Passed to the implementations module if it exports a factory
+ * @returns {Skill}
+ */
+function loadSkill(dir, { context = {} } = {}) {
+  dir = path.resolve(dir);
+  const file = findManifest(dir);
+  if (!file) throw new SkillManifestError(dir, [{ path: "(root)", message: `no ${MANIFEST_FILES.join(" / ")} found` }]);
+
+  const manifest = readManifest(dir, file);
+  const errors = checkManifest(manifest);
+  if (errors.length) throw new SkillManifestError(dir, errors.map((e) => ({ ...e, path: `${file}: ${e.path}` })));
+
+  const implementations = loadImplementations(dir, manifest.implementations || "index.js", context);
+  try {
+    return new Skill({
+      name: manifest.name,
+      version: manifest.version,
+      description: manifest.description,
+      instructions: manifest.instructions,
+      declarations: manifest.tools,
+      implementations,
+      keywords: manifest.keywords,
+      capabilities: manifest.capabilities,
+      toolCapabilities: manifest.toolCapabilities,
+    });
+  } catch (err) {
+    throw new SkillManifestError(dir, [{ path: file, message: err.message }]);
+  }
+}
+
+function findManifest(dir) {
+  return MANIFEST_FILES.find((f) => fs.existsSync(path.join(dir, f))) || null;
+}
+
+function readManifest(dir, file) {
+  const text = fs.readFileSync(path.join(dir, file), "utf-8");
+  let manifest;
+  try {
+    manifest = file.endsWith(".json") ? JSON.parse(text) : YAML.parse(text);
+  } catch (err) {
+    throw new SkillManifestError(dir, [{ path: file, message: `can't be parsed (${err.message.split("\n")[0]})` }]);
+  }
+  // Multi-line instructions are easier to write as a list of lines
+  if (manifest && Array.isArray(manifest.instructions)) manifest.instructions = manifest.instructions.join("\n");
+  return manifest;
+}
+
+// Schema errors plus what the schema dialect can't say: unknown keys, names, versions
+function checkManifest(manifest) {
+  const errors = validate(MANIFEST_SCHEMA, manifest);
+  if (errors.length) return errors;
+
+  for (const key of Object.keys(manifest)) {
+    if (!MANIFEST_SCHEMA.properties[key]) errors.push({ path: key, message: "is not a manifest field" });
+  }
+  if (manifest.version !== undefined && !VERSION.test(manifest.version)) {
+    errors.push({ path: "version", message: `must be a semantic version like 1.0.0, got "${manifest.version}"` });
+  }
+  manifest.tools.forEach((tool, i) => {
+    if (!TOOL_NAME.test(tool.name)) {
+      errors.push({ path: `tools[${i}].name`, message: `"${tool.name}" must be letters, digits and underscores (max 64)` });
+    }
+    if (tool.parameters && String(tool.parameters.type).toUpperCase() !== "OBJECT") {
+      errors.push({ path: `tools[${i}].parameters.type`, message: 'must be "OBJECT"' });
+    }
+  });
+  return errors;
+}
+
+// The implementations module: an object of functions, or a factory called with the context
+function loadImplementations(dir, file, context) {
+  const modulePath = path.join(dir, file);
+  if (!fs.existsSync(modulePath)) throw new SkillManifestError(dir, [{ path: "implementations", message: `${file} not found` }]);
+  const exported = require(modulePath);
+  const implementations = typeof exported === "function" ? exported(context) : exported;
+  if (!implementations || typeof implementations !== "object") {
+    throw new SkillManifestError(dir, [{ path: file, message: "must export an object of tool functions or a factory returning one" }]);
+  }
+  return implementations;
+}
+
+module.exports = { loadSkills, loadSkill, SkillManifestError, MANIFEST_SCHEMA };
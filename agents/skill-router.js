@@ -0,0 +1,187 @@
+// SKILL ROUTER — Send the model only the skills a message needs
+//
+// With many skills, every request carries every skill's instructions and tool
+// declarations. A router picks the relevant skills for each user message before
+// the main call; the agent's prompt and tool list then hold only those (tools
+// that don't belong to a skill are always kept). Three strategies:
+//   "keyword"     → word overlap with each skill's name, description, instructions,
+//                   tools and `keywords`; rarer words count more. Free and offline.
+//   "embedding"   → cosine similarity between the message and each skill's text,
+//                   using provider.embed() (GeminiProvider) or an `embed` function
+//   "classifier"  → one small structured model call that names the skills to use
+// When nothing matches clearly, or routing fails, the agent falls back to all
+// skills. Skills chosen earlier in the conversation stay loaded (`sticky`), so
+// follow-ups like "ok, refund it then" still have their tools; reset() clears them.
+//
+// Usage:
+//   new BaseAgent({ ..., skills, skillRouting: true });                                  // keyword routing
+//   new BaseAgent({ ..., skills, skillRouting: { strategy: 'classifier', maxSkills: 2 } });
+//   agent.on('skills', ({ skills, strategy, fallback }) => ...);
+//   await new SkillRouter().route(agent, 'Where is ORD-001?')   → { skills, strategy, scores, fallback }
+
+const STOPWORDS = new Set(
+  ("a an and are as at be but by can could do does for from get give had has have how i if in into is it its just " +
+    "let me my no not of on or our please so some than that the their them then there these they this to up us " +
+    "was we what when where which who why will with would you your yes any all also about want need").split(" ")
+);
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// SkillRouter — Picks skills per message
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class SkillRouter {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.strategy] - "keyword", "embedding" or "classifier" (default: "keyword")
+   * @param {number} [config.maxSkills] - Most skills picked for one message (default: 3)
+   * @param {number} [config.minScore] - Weakest match that still counts: keyword score, or cosine similarity for embeddings (default: 1 / 0.35)
+   * @param {number} [config.relative] - Also drop matches scoring below this share of the best one (default: 0.5)
+   * @param {boolean} [config.sticky] - Keep skills picked earlier in the conversation (default: true)
+   * @param {string} [config.routerModel] - Model for classifier calls (default: gemini-2.5-flash-lite)
+   * @param {Function} [config.embed] - async (texts) => vectors, for the embedding strategy (default: provider.embed)
+   */
+  constructor({
+    strategy = "keyword",
+    maxSkills = 3,
+    minScore = strategy === "embedding" ? 0.35 : 1,
+    relative = 0.5,
+    sticky = true,
+    routerModel = "gemini-2.5-flash-lite",
+    embed = null,
+  } = {}) {
+    if (!["keyword", "embedding", "classifier"].includes(strategy)) {
+      throw new Error(`Unknown skill routing strategy: "${strategy}". Use "keyword", "embedding" or "classifier".`);
+    }
+    this.strategy = strategy;
+    this.maxSkills = maxSkills;
+    this.minScore = minScore;
+    this.relative = relative;
+    this.sticky = sticky;
+    this.routerModel = routerModel;
+    this.embed = embed;
+    this.vectors = new Map(); // "name@version" → embedding of the skill's text
+  }
+
+  /**
+   * Skills for one message. `fallback` is true when every skill is returned because
+   * nothing matched clearly (or the strategy failed — see `error`).
+   *
+   * @returns {{ skills: Skill[], strategy: string, scores: Object, fallback: boolean, error?: string }}
+   */
+  async route(agent, message, { signal = null } = {}) {
+    const skills = agent.skills.all();
+    const all = (extra = {}) => ({ skills, strategy: this.strategy, scores: {}, fallback: true, ...extra });
+    if (skills.length < 2) return { ...all(), fallback: false };
+
+    let scores;
+    try {
+      if (this.strategy === "keyword") scores = this.keywordScores(skills, message);
+      else if (this.strategy === "embedding") scores = await this.embeddingScores(agent, skills, message);
+      else scores = await this.classify(agent, skills, message, signal);
+    } catch (err) {
+      return all({ error: err.message });
+    }
+
+    const best = Math.max(0, ...Object.values(scores));
+    const picked = skills
+      .filter((s) => scores[s.name] >= this.minScore && scores[s.name] >= best * this.relative)
+      .sort((a, b) => scores[b.name] - scores[a.name])
+      .slice(0, this.maxSkills);
+    if (!picked.length) return all({ scores });
+    return { skills: picked, strategy: this.strategy, scores, fallback: false };
+  }
+
+  // Σ over the message's words of how rare the word is among the skills (IDF), times 2 for listed keywords
+  keywordScores(skills, message) {
+    const vocab = skills.map((s) => skillTerms(s));
+    const words = [...new Set(terms(message))];
+    const scores = {};
+    skills.forEach((skill, i) => {
+      scores[skill.name] = words.reduce((sum, word) => {
+        const weight = vocab[i].get(word);
+        if (!weight) return sum;
+        const df = vocab.filter((v) => v.has(word)).length;
+        return sum + weight * Math.log(1 + skills.length / df);
+      }, 0);
+      scores[skill.name] = Math.round(scores[skill.name] * 100) / 100;
+    });
+    return scores;
+  }
+
+  async embeddingScores(agent, skills, message) {
+    const embed = this.embed || (agent.provider.embed && ((texts) => agent.provider.embed(texts)));
+    if (!embed) throw new Error(`${agent.provider.name} provider can't embed — pass skillRouting.embed`);
+
+    const missing = skills.filter((s) => !this.vectors.has(skillKey(s)));
+    const [query, ...vectors] = await embed([message, ...missing.map(skillText)]);
+    missing.forEach((s, i) => this.vectors.set(skillKey(s), vectors[i]));
+    return Object.fromEntries(skills.map((s) => [s.name, Math.round(cosine(query, this.vectors.get(skillKey(s))) * 1000) / 1000]));
+  }
+
+  // The classifier's picks score 1, the rest 0
+  async classify(agent, skills, message, signal) {
+    const { skills: names } = await agent.askStructured({
+      systemPrompt:
+        "You route customer messages to the skills an assistant needs to answer them. Skills:\n" +
+        skills.map((s) => `- ${s.name}: ${s.description || firstLine(s.instructions)} (tools: ${s.toolNames.join(", ") || "none"})`).join("\n") +
+        `\n\nPick at most ${this.maxSkills} skills, most relevant first. Pick none if no skill fits. Reply with JSON only.`,
+      message,
+      schema: {
+        type: "OBJECT",
+        properties: { skills: { type: "ARRAY", items: { type: "STRING", enum: skills.map((s) => s.name) } } },
+        required: ["skills"],
+      },
+      model: this.routerModel,
+      role: "router",
+      signal,
+    });
+    return Object.fromEntries(skills.map((s) => [s.name, names.includes(s.name) ? 1 : 0]));
+  }
+}
+
+// word → weight for everything that describes a skill
+function skillTerms(skill) {
+  const weights = new Map();
+  for (const word of terms(skillText(skill))) weights.set(word, 1);
+  for (const word of terms(skill.keywords.join(" "))) weights.set(word, 2);
+  return weights;
+}
+
+function skillText(skill) {
+  const params = (d) => Object.values((d.parameters && d.parameters.properties) || {}).map((p) => p.description || "");
+  return [
+    skill.name,
+    skill.description,
+    skill.instructions,
+    ...skill.keywords,
+    ...skill.declarations.flatMap((d) => [d.name.replace(/_/g, " "), d.description || "", ...params(d)]),
+  ].join("\n");
+}
+
+// Lowercase words without stopwords, with plural/tense endings cut ("refunds", "refunded" → "refund")
+function terms(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length > 2 && !STOPWORDS.has(w))
+    .map((w) => (w.length > 5 ? w.replace(/(ing|ed|es|s)$/, "") : w.replace(/s$/, "")));
+}
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+function skillKey(skill) {
+  return `${skill.name}@${skill.version}`;
+}
+
+function firstLine(text) {
+  return String(text || "").split("\n")[0];
+}
+
+module.exports = { SkillRouter };
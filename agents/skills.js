@@ -0,0 +1,194 @@
+// SKILLS — Named, versioned bundles of instructions + tools an agent is built from
+//
+// A skill is everything an agent needs to do one job: prompt instructions, the
+// function declarations the model sees and the functions that run them. A
+// SkillRegistry merges skills into one system prompt and one tool list, and
+// refuses two skills (or a skill and an agent's own tool) with the same tool name
+// instead of letting the later one silently win.
+//
+// Usage:
+//   const refunds = new Skill({
+//     name: 'Refund Processing', version: '1.1.0',
+//     instructions: 'Only refund delivered orders...',
+//     declarations: [{ name: 'process_refund', description: '...', parameters: { ... } }],
+//     implementations: { process_refund: ({ order_id }) => ... },
+//     capabilities: ['writes-data', 'external-side-effect'],   // see capabilities.js
+//   });
+//   const agent = new BaseAgent({ name: 'Support', systemPrompt: 'You are TechStore support.', skills: [orders, refunds] });
+//   agent.addSkill(products);                     // later: prompt and tools are rebuilt
+//   agent.skills.list()                           → [{ name, version, tools }]
+//
+//   // Without BaseAgent (raw SDK loops):
+//   const registry = new SkillRegistry([orders, refunds]);
+//   registry.declarations()  registry.implementations()  registry.systemPrompt('You are ...')
+
+const { checkCapabilities } = require("./capabilities");
+
+class SkillConflictError extends Error {
+  constructor(message, { tool = null, skills = [] } = {}) {
+    super(message);
+    this.name = "SkillConflictError";
+    this.tool = tool;
+    this.skills = skills;
+  }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Skill — Instructions, declarations and implementations for one job
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class Skill {
+  /**
+   * @param {Object} config
+   * @param {string} config.name - Unique skill name, used as the prompt section heading
+   * @param {string} [config.version] - Semver of the skill (default: "1.0.0")
+   * @param {string} [config.description] - One line for listings
+   * @param {string} [config.instructions] - What the model should know or do when using this skill
+   * @param {Array} [config.declarations] - Gemini function declarations
+   * @param {Object} [config.implementations] - Map of tool name → function, one per declaration
+   * @param {string[]} [config.keywords] - Words that signal this skill is needed (for skill routing, see skill-router.js)
+   * @param {string[]} [config.capabilities] - What the skill's tools can do, e.g. ["read-only"] (see capabilities.js)
+   * @param {Object} [config.toolCapabilities] - Per-tool overrides: { [tool]: capabilities }
+   */
+  constructor({
+    name,
+    version = "1.0.0",
+    description = "",
+    instructions = "",
+    declarations = [],
+    implementations = {},
+    keywords = [],
+    capabilities = [],
+    toolCapabilities = {},
+  }) {
+    if (!name) throw new Error("A skill needs a name");
+    this.name = name;
+    this.version = version;
+    this.description = description;
+    this.instructions = dedent(instructions);
+    this.declarations = declarations;
+    this.implementations = implementations;
+    this.keywords = keywords;
+    this.capabilities = checkCapabilities(capabilities, `Skill "${name}"`);
+    this.toolCapabilities = toolCapabilities;
+
+    const declared = declarations.map((d) => d.name);
+    const missing = declared.filter((tool) => typeof implementations[tool] !== "function");
+    const undeclared = Object.keys(implementations).filter((tool) => !declared.includes(tool));
+    if (missing.length) throw new Error(`Skill "${name}": no implementation for ${missing.join(", ")}`);
+    if (undeclared.length) throw new Error(`Skill "${name}": ${undeclared.join(", ")} implemented but not declared`);
+    const twice = declared.find((tool, i) => declared.indexOf(tool) !== i);
+    if (twice) throw new SkillConflictError(`Skill "${name}" declares ${twice} twice`, { tool: twice, skills: [name] });
+    for (const [tool, caps] of Object.entries(toolCapabilities)) {
+      if (!declared.includes(tool)) throw new Error(`Skill "${name}": capabilities given for undeclared tool ${tool}`);
+      checkCapabilities(caps, `Skill "${name}", tool ${tool}`);
+    }
+  }
+
+  get toolNames() {
+    return this.declarations.map((d) => d.name);
+  }
+
+  // A tool's own capabilities, else the skill's
+  capabilitiesOf(tool) {
+    return this.toolCapabilities[tool] || this.capabilities;
+  }
+
+  // The skill's section of the system prompt
+  prompt() {
+    return `## ${this.name}\n${this.instructions}`.trim();
+  }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// SkillRegistry — Skills merged into one prompt and tool list
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class SkillRegistry {
+  /**
+   * @param {Array} [skills] - Skill instances or their constructor options
+   * @param {Object} [options]
+   * @param {string[]} [options.reservedTools] - Tool names already taken outside the registry (e.g. the agent's own tools)
+   */
+  constructor(skills = [], { reservedTools = [] } = {}) {
+    this.skills = new Map();
+    this.reservedTools = reservedTools;
+    for (const skill of skills) this.register(skill);
+  }
+
+  // Add a skill. Throws SkillConflictError if its name or any of its tool names is taken.
+  register(skill) {
+    skill = toSkill(skill);
+    if (this.skills.has(skill.name)) {
+      throw new SkillConflictError(`Skill "${skill.name}" is already registered (v${this.skills.get(skill.name).version})`, { skills: [skill.name] });
+    }
+    for (const tool of skill.toolNames) {
+      const owner = this.skillFor(tool);
+      if (owner) {
+        throw new SkillConflictError(`Tool "${tool}" is defined by both "${owner.name}" and "${skill.name}"`, { tool, skills: [owner.name, skill.name] });
+      }
+      if (this.reservedTools.includes(tool)) {
+        throw new SkillConflictError(`Tool "${tool}" of skill "${skill.name}" clashes with an existing tool of the same name`, { tool, skills: [skill.name] });
+      }
+    }
+    this.skills.set(skill.name, skill);
+    return skill;
+  }
+
+  unregister(name) {
+    return this.skills.delete(name);
+  }
+
+  get(name) {
+    return this.skills.get(name) || null;
+  }
+
+  // The skill that owns a tool, or null
+  skillFor(tool) {
+    return this.all().find((s) => s.toolNames.includes(tool)) || null;
+  }
+
+  all() {
+    return [...this.skills.values()];
+  }
+
+  list() {
+    return this.all().map(({ name, version, description, toolNames, capabilities }) => ({ name, version, description, tools: toolNames, capabilities }));
+  }
+
+  // Capabilities of a skill tool, or null for tools no skill owns
+  capabilitiesOf(tool) {
+    const skill = this.skillFor(tool);
+    return skill ? skill.capabilitiesOf(tool) : null;
+  }
+
+  declarations() {
+    return this.all().flatMap((s) => s.declarations);
+  }
+
+  implementations() {
+    return Object.assign({}, ...this.all().map((s) => s.implementations));
+  }
+
+  // The instructions of every skill (or of `skills` only) as "## Name" sections
+  instructions(skills = this.all()) {
+    return skills.map((s) => s.prompt()).join("\n\n");
+  }
+
+  // A base prompt followed by the skill sections
+  systemPrompt(base = "", skills = this.all()) {
+    if (!skills.length) return base;
+    return `${base ? `${dedent(base)}\n\n` : ""}Your skills:\n\n${this.instructions(skills)}`;
+  }
+}
+
+function toSkill(skill) {
+  return skill instanceof Skill ? skill : new Skill(skill);
+}
+
+// Template literals indented with the code → lines without the shared indentation
+function dedent(text) {
+  const lines = String(text || "").replace(/^\n+|\s+$/g, "").split("\n");
+  const indent = Math.min(...lines.filter((l) => l.trim()).map((l) => l.match(/^ */)[0].length));
+  return lines.map((l) => l.slice(Number.isFinite(indent) ? indent : 0)).join("\n");
+}
+
+module.exports = { Skill, SkillRegistry, SkillConflictError };
@@ -0,0 +1,13 @@
+// Order Tracking — tool implementations (declarations live in skill.json)
+// The agent passes its data store as context: loadSkills(dir, { context: { db } })
+
+module.exports = ({ db }) => ({
+  track_order: ({ order_id }) => {
+    const order = db.orders[order_id];
+    if (!order) return { error: `Order ${order_id} not found. Please check the order ID.` };
+    return order;
+  },
+  list_all_orders: () => {
+    return Object.entries(db.orders).map(([id, o]) => ({ id, ...o }));
+  },
+});
@@ -0,0 +1,21 @@
+// Product Information — tool implementations (declarations live in skill.json)
+// The agent passes its data store as context: loadSkills(dir, { context: { db } })
+
+module.exports = ({ db }) => ({
+  get_product: ({ product_id }) => {
+    return db.products[product_id] || { error: "Product not found" };
+  },
+  search_products: ({ query }) => {
+    return Object.entries(db.products)
+      .filter(([id, p]) =>
+        p.name.toLowerCase().includes(query.toLowerCase()) ||
+        p.description.toLowerCase().includes(query.toLowerCase())
+      )
+      .map(([id, p]) => ({ id, ...p }));
+  },
+  check_stock: ({ product_id }) => {
+    const product = db.products[product_id];
+    if (!product) return { error: "Product not found" };
+    return { product_id, name: product.name, stock: product.stock, available: product.stock > 0 };
+  },
+});
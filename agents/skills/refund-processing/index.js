@@ -0,0 +1,20 @@
+// Refund Processing — tool implementations (declarations live in skill.json)
+// The agent passes its data store as context: loadSkills(dir, { context: { db } })
+
+module.exports = ({ db }) => ({
+  process_refund: ({ order_id, reason }) => {
+    const order = db.orders[order_id];
+    if (!order) return { success: false, error: "Order not found" };
+    if (order.status !== "delivered") {
+      return { success: false, error: `Cannot refund order with status "${order.status}". Order must be delivered first.` };
+    }
+    const refundId = `REF-${Date.now()}`;
+    db.refunds.push({ refundId, order_id, reason, amount: order.price, date: new Date().toISOString() });
+    return { success: true, refundId, amount: order.price, currency: "USD", eta: "3-5 business days" };
+  },
+  check_refund_status: ({ refund_id }) => {
+    const refund = db.refunds.find((r) => r.refundId === refund_id);
+    if (!refund) return { error: "Refund not found" };
+    return { ...refund, status: "processing" };
+  },
+});
@@ -0,0 +1,102 @@
+// STRUCTURED OUTPUT — Schema-checked JSON answers from the model
+//
+// The schema uses the same Gemini subset as tool declarations (see schema.js).
+// It is sent as Gemini's native responseSchema, so the model is constrained to
+// JSON up front; the answer is still parsed and validated, and on failure the
+// model is asked again with the exact validation errors.
+//
+// Usage:
+//   const { generateStructured, jsonConfig } = require('./structured');
+//   const value = await generateStructured(async (repair) => { ...call the model, return its text... }, schema);
+//   const value = await generateStructuredChat((contents) => model.generateContent({ contents }).then((r) => r.response.text()), prompt, schema);
+//
+//   // With BaseAgent:
+//   const { output } = await agent.run('Classify this bug', bug, { outputSchema: schema });
+
+const { validate } = require("./schema");
+
+class StructuredOutputError extends Error {
+  constructor(message, { errors, raw }) {
+    super(message);
+    this.name = "StructuredOutputError";
+    this.errors = errors;
+    this.raw = raw;
+  }
+}
+
+// generationConfig for getGenerativeModel() that turns on native JSON mode
+function jsonConfig(schema) {
+  return { responseMimeType: "application/json", responseSchema: schema };
+}
+
+// Parse and validate model text. Tolerates ```json fences from models without native JSON mode.
+function parseStructured(text, schema) {
+  let value;
+  try {
+    value = JSON.parse(String(text).replace(/```json\s*|```/gi, "").trim());
+  } catch (err) {
+    return { value: null, errors: [{ path: "(root)", message: `is not valid JSON (${err.message})` }] };
+  }
+  return { value, errors: validate(schema, value) };
+}
+
+// The follow-up message that asks the model to fix its answer
+function repairMessage(errors) {
+  return (
+    "Your previous answer did not match the required JSON schema:\n" +
+    errors.map((e) => `- ${e.path} ${e.message}`).join("\n") +
+    "\nReply again with ONLY the corrected JSON."
+  );
+}
+
+/**
+ * Ask until the answer parses and matches `schema`.
+ *
+ * @param {Function} ask - async (repair) => text. `repair` is null on the first try, then
+ *                         { previous, message }: the rejected text and the follow-up to send after it
+ * @param {Object} schema - Gemini-style schema for the answer
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Total tries including the first (default: 3)
+ * @param {Function} [options.onInvalid] - Called with { attempt, errors, raw } after each rejected answer
+ */
+async function generateStructured(ask, schema, { maxAttempts = 3, onInvalid = null } = {}) {
+  let repair = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const raw = await ask(repair);
+    const { value, errors } = parseStructured(raw, schema);
+    if (!errors.length) return value;
+
+    if (onInvalid) onInvalid({ attempt, errors, raw });
+    if (attempt === maxAttempts) {
+      throw new StructuredOutputError(
+        `Output still invalid after ${maxAttempts} attempt(s): ${errors.map((e) => `${e.path} ${e.message}`).join("; ")}`,
+        { errors, raw }
+      );
+    }
+    repair = { previous: raw, message: repairMessage(errors) };
+  }
+}
+
+/**
+ * generateStructured() for a plain Gemini conversation: each rejected answer and the
+ * repair message are appended to the contents before the model is asked again.
+ *
+ * @param {Function} send - async (contents) => text; one model call with the conversation so far
+ * @param {string} prompt - The user message that starts the conversation
+ * @param {Object} schema - Gemini-style schema for the answer
+ * @param {Object} [options] - Passed to generateStructured() (maxAttempts, onInvalid)
+ */
+async function generateStructuredChat(send, prompt, schema, options) {
+  const contents = [{ role: "user", parts: [{ text: prompt }] }];
+  return generateStructured(
+    async (repair) => {
+      if (repair) contents.push({ role: "model", parts: [{ text: repair.previous }] }, { role: "user", parts: [{ text: repair.message }] });
+      return send(contents);
+    },
+    schema,
+    options
+  );
+}
+
+module.exports = { generateStructured, generateStructuredChat, parseStructured, repairMessage, jsonConfig, StructuredOutputError };
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// TRACE VIEW — Print a saved trace as a tree, offline
+//
+// Reads the OTLP/JSON files written by Tracer.save() (or any OpenTelemetry
+// exporter) and prints each trace with durations, tokens, tool arguments and errors.
+//
+// Usage:
+//   node agents/trace-view.js                              → newest file in ./traces
+//   node agents/trace-view.js traces/base-agent-….json
+//   node agents/trace-view.js traces/….json --attrs        → also print every attribute and event
+//   npm run trace -- traces/….json
+
+const fs = require("fs");
+const path = require("path");
+
+const TRACE_DIR = "./traces";
+const ERROR = 2;
+
+// OTLP { key, value: { stringValue | intValue | … } } list → plain object
+function fromOTLP(attributes = []) {
+  return Object.fromEntries(
+    attributes.map(({ key, value }) => {
+      if ("intValue" in value) return [key, Number(value.intValue)];
+      if ("doubleValue" in value) return [key, value.doubleValue];
+      if ("boolValue" in value) return [key, value.boolValue];
+      return [key, value.stringValue];
+    })
+  );
+}
+
+function loadSpans(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf-8"));
+  const spans = [];
+  for (const resourceSpan of data.resourceSpans || []) {
+    const service = fromOTLP(resourceSpan.resource && resourceSpan.resource.attributes)["service.name"];
+    for (const scopeSpan of resourceSpan.scopeSpans || []) {
+      for (const s of scopeSpan.spans || []) {
+        spans.push({
+          ...s,
+          service,
+          start: BigInt(s.startTimeUnixNano),
+          end: BigInt(s.endTimeUnixNano),
+          attributes: fromOTLP(s.attributes),
+          events: (s.events || []).map((e) => ({ ...e, attributes: fromOTLP(e.attributes) })),
+          children: [],
+        });
+      }
+    }
+  }
+  return spans;
+}
+
+function duration(span) {
+  const ms = Number(span.end - span.start) / 1e6;
+  return ms < 1000 ? `${ms.toFixed(ms < 10 ? 1 : 0)}ms` : `${(ms / 1000).toFixed(2)}s`;
+}
+
+function clip(text, max) {
+  const s = String(text).replace(/\s+/g, " ");
+  return s.length > max ? `${s.slice(0, max)}…` : s;
+}
+
+// One-line summary of the attributes that matter for each kind of span
+function describe(span) {
+  const a = span.attributes;
+  const tokens =
+    a["gen_ai.usage.input_tokens"] !== undefined ? `${a["gen_ai.usage.input_tokens"]}→${a["gen_ai.usage.output_tokens"]} tokens` : "";
+  const status = span.status && span.status.code === ERROR ? `❌ ${clip(span.status.message || "error", 80)}` : "";
+
+  const details =
+    span.name === "agent.run"
+      ? [a["agent.name"], a["agent.resumed"] ? "(resumed)" : "", a["agent.reason"] ? `[${a["agent.reason"]}]` : "", tokens]
+      : span.name === "agent.step"
+        ? []
+        : span.name === "model.generate"
+          ? [a["gen_ai.response.model"] || a["gen_ai.request.model"], tokens]
+          : a["gen_ai.tool.name"]
+            ? [clip(a["tool.args"] || "", 60)]
+            : [tokens];
+
+  const name = span.name === "agent.step" ? `step ${a["agent.step"]}` : span.name;
+  return [name, ...details, duration(span), status].filter(Boolean).join("  ");
+}
+
+function printTree(span, prefix, isLast, isRoot, showAttrs) {
+  const branch = isRoot ? "" : isLast ? "└─ " : "├─ ";
+  console.log(`${prefix}${branch}${describe(span)}`);
+
+  const inner = isRoot ? "" : prefix + (isLast ? "   " : "│  ");
+  const hasChildren = span.children.length > 0;
+  if (showAttrs) {
+    const bar = hasChildren ? "│  " : "   ";
+    for (const [key, value] of Object.entries(span.attributes)) console.log(`${inner}${bar}· ${key} = ${clip(value, 100)}`);
+  }
+  for (const event of span.events) {
+    if (event.name === "exception") continue; // already shown as the span's status
+    const bar = hasChildren ? "│  " : "   ";
+    const details = Object.entries(event.attributes).map(([key, value]) => `${key}=${value}`).join(" ");
+    console.log(`${inner}${bar}⚡ ${event.name} ${clip(details, 100)}`);
+  }
+
+  span.children.forEach((child, i) => printTree(child, inner, i === span.children.length - 1, false, showAttrs));
+}
+
+function newestTrace() {
+  const files = fs.existsSync(TRACE_DIR) ? fs.readdirSync(TRACE_DIR).filter((f) => f.endsWith(".json")) : [];
+  if (!files.length) return null;
+  return files
+    .map((f) => path.join(TRACE_DIR, f))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)[0];
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const showAttrs = args.includes("--attrs");
+  const file = args.find((a) => !a.startsWith("--")) || newestTrace();
+  if (!file) {
+    console.error(`No trace file given and none found in ${TRACE_DIR}. Run a demo with TRACE=1 first.`);
+    process.exit(1);
+  }
+
+  const spans = loadSpans(file);
+  const byId = new Map(spans.map((s) => [s.spanId, s]));
+  const roots = [];
+  for (const span of spans) {
+    const parent = span.parentSpanId && byId.get(span.parentSpanId);
+    if (parent) parent.children.push(span);
+    else roots.push(span); // Parents outside this file are shown as roots
+  }
+  for (const span of spans) span.children.sort((a, b) => (a.start < b.start ? -1 : 1));
+  roots.sort((a, b) => (a.start < b.start ? -1 : 1));
+
+  console.log(`🧵 ${file} — ${spans.length} spans, ${new Set(spans.map((s) => s.traceId)).size} trace(s)\n`);
+  for (const root of roots) {
+    console.log(`Trace ${root.traceId.slice(0, 8)}… (${root.service})`);
+    printTree(root, "", true, true, showAttrs);
+    console.log();
+  }
+}
+
+module.exports = { loadSpans, main };
+
+// Only print when executed directly (not when required)
+if (require.main === module) main();
@@ -0,0 +1,216 @@
+// TRACING — Nested spans for agent runs, exported as OpenTelemetry JSON
+//
+// BaseAgent records one tree per run:
+//   agent.run → agent.step → model.generate / tool.call
+// with timings, inputs, outputs and token counts. Sub-agents, and any code
+// wrapped in withSpan(), nest under whatever span is active when they start.
+// Files use the OTLP/JSON layout, so any OpenTelemetry backend can import them;
+// trace-view.js prints them as a tree.
+//
+// Usage:
+//   const { Tracer, withSpan } = require('./tracing');
+//   const tracer = new Tracer({ serviceName: 'weather-demo' });
+//   await new WeatherAgent({ tracer }).run('Weather in Lahore?');
+//   tracer.save();                                       // → traces/weather-demo-<time>.json
+//
+//   await withSpan('classifier', { 'bug.title': title }, () => llm(...), { tracer });
+//
+// From the command line (used by the demo main() functions):
+//   TRACE=1 node agents/base-agent.js && node agents/trace-view.js traces/<file>.json
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const TRACE_DIR = "./traces";
+const MAX_ATTRIBUTE_CHARS = 2000;
+const SPAN_KIND = { internal: 1, client: 3 };
+const STATUS = { unset: 0, ok: 1, error: 2 };
+
+const storage = new AsyncLocalStorage();
+
+// The span whose callback is currently running, if any
+function activeSpan() {
+  return storage.getStore() || null;
+}
+
+// Long inputs/outputs are clipped; objects become JSON
+function toAttribute(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === "number" || typeof value === "boolean") return value;
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > MAX_ATTRIBUTE_CHARS ? `${text.slice(0, MAX_ATTRIBUTE_CHARS)}…(+${text.length - MAX_ATTRIBUTE_CHARS} chars)` : text;
+}
+
+// Wall-clock nanoseconds with hrtime precision (Date.now() alone is only milliseconds)
+const HRTIME_AT_LOAD = process.hrtime.bigint();
+const EPOCH_NANOS_AT_LOAD = BigInt(Date.now()) * 1000000n;
+function nowNanos() {
+  return process.hrtime.bigint() - HRTIME_AT_LOAD + EPOCH_NANOS_AT_LOAD;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Span — One timed operation in the tree
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class Span {
+  constructor(tracer, name, { parent = null, attributes = {}, kind = "internal" } = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = parent ? parent.traceId : crypto.randomBytes(16).toString("hex");
+    this.spanId = crypto.randomBytes(8).toString("hex");
+    this.parentSpanId = parent ? parent.spanId : null;
+    this.kind = kind;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: STATUS.unset };
+    this.start = nowNanos();
+    this.end = null;
+    this.setAttributes(attributes);
+  }
+
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      const v = toAttribute(value);
+      if (v !== undefined) this.attributes[key] = v;
+    }
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    const event = { name, time: nowNanos(), attributes: {} };
+    for (const [key, value] of Object.entries(attributes)) {
+      const v = toAttribute(value);
+      if (v !== undefined) event.attributes[key] = v;
+    }
+    this.events.push(event);
+    return this;
+  }
+
+  fail(error) {
+    const message = error instanceof Error ? error.message : String(error);
+    this.status = { code: STATUS.error, message };
+    this.addEvent("exception", { "exception.type": error && error.name, "exception.message": message });
+    return this;
+  }
+
+  finish() {
+    if (this.end !== null) return;
+    if (this.status.code === STATUS.unset) this.status = { code: STATUS.ok };
+    this.end = nowNanos();
+  }
+
+  // Run fn with this span active, so spans started inside it become its children
+  run(fn) {
+    return storage.run(this, fn);
+  }
+}
+
+// Stand-in when nothing is being traced, so callers never need null checks
+const NOOP_SPAN = {
+  setAttributes() { return this; },
+  addEvent() { return this; },
+  fail() { return this; },
+  finish() {},
+  run: (fn) => fn(),
+};
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// Tracer — Collects spans and writes them to disk
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class Tracer {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.serviceName] - service.name resource attribute and default file prefix
+   */
+  constructor({ serviceName = "agents" } = {}) {
+    this.serviceName = serviceName;
+    this.spans = [];
+  }
+
+  // A new span under `parent` (default: the active span, or a new trace)
+  startSpan(name, { parent = activeSpan(), attributes = {}, kind = "internal" } = {}) {
+    const span = new Span(this, name, { parent, attributes, kind });
+    this.spans.push(span);
+    return span;
+  }
+
+  // OTLP/JSON: { resourceSpans: [{ resource, scopeSpans: [{ scope, spans }] }] }
+  toOTLP() {
+    return {
+      resourceSpans: [
+        {
+          resource: { attributes: otlpAttributes({ "service.name": this.serviceName }) },
+          scopeSpans: [
+            {
+              scope: { name: "agents.tracing", version: "1.0.0" },
+              spans: this.spans.map((s) => ({
+                traceId: s.traceId,
+                spanId: s.spanId,
+                ...(s.parentSpanId ? { parentSpanId: s.parentSpanId } : {}),
+                name: s.name,
+                kind: SPAN_KIND[s.kind],
+                startTimeUnixNano: String(s.start),
+                endTimeUnixNano: String(s.end === null ? nowNanos() : s.end),
+                attributes: otlpAttributes(s.attributes),
+                events: s.events.map((e) => ({ name: e.name, timeUnixNano: String(e.time), attributes: otlpAttributes(e.attributes) })),
+                status: s.status,
+              })),
+            },
+          ],
+        },
+      ],
+    };
+  }
+
+  // Write every span recorded so far. Returns the file path.
+  save(filepath = path.join(TRACE_DIR, `${this.serviceName}-${new Date().toISOString().replace(/[:.]/g, "-")}.json`)) {
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, JSON.stringify(this.toOTLP(), null, 2), "utf-8");
+    console.log(`🧵 Trace saved: ${filepath} (${this.spans.length} spans)`);
+    return filepath;
+  }
+}
+
+function otlpAttributes(attributes) {
+  return Object.entries(attributes).map(([key, value]) => {
+    if (typeof value === "boolean") return { key, value: { boolValue: value } };
+    if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+    if (typeof value === "number") return { key, value: { doubleValue: value } };
+    return { key, value: { stringValue: value } };
+  });
+}
+
+/**
+ * Run fn(span) inside a new span. Nests under the active span; with no active
+ * span and no tracer it just runs fn with a no-op span.
+ *
+ * @param {string} name - Span name
+ * @param {Object} attributes - Initial attributes (objects are stored as JSON)
+ * @param {Function} fn - async (span) => result
+ * @param {Object} [options]
+ * @param {Tracer} [options.tracer] - Starts a new trace when no span is active
+ * @param {Span} [options.parent] - Explicit parent instead of the active span
+ * @param {string} [options.kind] - "internal" or "client"
+ */
+async function withSpan(name, attributes, fn, { tracer = null, parent = activeSpan(), kind = "internal" } = {}) {
+  const owner = parent ? parent.tracer : tracer;
+  if (!owner) return fn(NOOP_SPAN);
+
+  const span = owner.startSpan(name, { parent, attributes, kind });
+  try {
+    return await span.run(() => fn(span));
+  } catch (err) {
+    span.fail(err);
+    throw err;
+  } finally {
+    span.finish();
+  }
+}
+
+// TRACE=1 → a Tracer named after the demo, otherwise null
+function tracerFromEnv(name) {
+  return process.env.TRACE ? new Tracer({ serviceName: name }) : null;
+}
+
+module.exports = { Tracer, Span, withSpan, activeSpan, tracerFromEnv, NOOP_SPAN };
@@ -0,0 +1,153 @@
+// USAGE — Token counts and cost accounting for model calls
+//
+// Records prompt/completion tokens for every model call, prices them from a
+// configurable table, and summarizes by model, agent, step and tool.
+//
+// Usage:
+//   const { UsageTracker, formatUsage } = require('./usage');
+//   const usage = new UsageTracker();
+//   usage.record({ model: 'gemini-2.5-flash', usage: result.response.usageMetadata, agent: 'Judge' });
+//   console.log(formatUsage(usage.total()));
+
+// USD per 1M tokens. Approximate list prices — override with your own table.
+const DEFAULT_PRICES = {
+  "gemini-2.5-pro": { input: 1.25, output: 10.0 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash-lite": { input: 0.075, output: 0.3 },
+};
+
+// Accepts Gemini usageMetadata or an already-normalized object
+function normalizeUsage(usage) {
+  if (!usage) return { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  const promptTokens = usage.promptTokens ?? usage.promptTokenCount ?? 0;
+  const completionTokens = usage.completionTokens ?? usage.candidatesTokenCount ?? 0;
+  const totalTokens = usage.totalTokens ?? usage.totalTokenCount ?? promptTokens + completionTokens;
+  return { promptTokens, completionTokens, totalTokens };
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// UsageTracker — Per-run and cumulative usage ledger
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+class UsageTracker {
+  /**
+   * @param {Object} [prices] - { [model]: { input, output } } in USD per 1M tokens, merged over the defaults
+   */
+  constructor(prices = {}) {
+    this.prices = { ...DEFAULT_PRICES, ...prices };
+    this.records = [];
+    this.runId = 0;
+  }
+
+  // Everything recorded after this belongs to a new run
+  startRun() {
+    this.runId++;
+  }
+
+  /**
+   * @param {Object} call
+   * @param {string} call.model - Model that produced the response
+   * @param {Object} call.usage - Gemini usageMetadata (or normalized counts)
+   * @param {string} [call.agent] - Which agent made the call
+   * @param {number} [call.step] - Agent loop step the response belongs to
+   * @param {string[]} [call.tools] - Tools the response asked for (shares the cost between them)
+   */
+  record({ model, usage, agent = null, step = null, tools = [] }) {
+    const tokens = normalizeUsage(usage);
+    const cost = this.estimateCost(model, tokens);
+
+    const entry = { runId: this.runId, model, agent, step, tools, ...tokens, cost, priced: model in this.prices };
+    this.records.push(entry);
+    return entry;
+  }
+
+  // Fold in another tracker's records (e.g. a sub-agent's run) as part of the current run
+  absorb(records, { step = null } = {}) {
+    for (const r of records) this.records.push({ ...r, runId: this.runId, step });
+  }
+
+  // Usage since the last startRun()
+  lastRun() {
+    return summarize(this.records.filter((r) => r.runId === this.runId));
+  }
+
+  // Usage from run `runId` onwards (e.g. every step of a plan)
+  sinceRun(runId) {
+    return summarize(this.records.filter((r) => r.runId >= runId));
+  }
+
+  // Usage across every run
+  total() {
+    return summarize(this.records);
+  }
+
+  // Cost of a single response — handy for budgets
+  estimateCost(model, usage) {
+    const tokens = normalizeUsage(usage);
+    const price = this.prices[model];
+    return price ? (tokens.promptTokens * price.input + tokens.completionTokens * price.output) / 1e6 : 0;
+  }
+}
+
+function summarize(records) {
+  const summary = {
+    modelCalls: records.length,
+    ...emptyBucket(),
+    byModel: {},
+    byAgent: {},
+    byStep: {},
+    byTool: {},
+    unpricedModels: [],
+  };
+
+  for (const r of records) {
+    add(summary, r, 1);
+    add(bucket(summary.byModel, r.model), r, 1);
+    if (r.agent) add(bucket(summary.byAgent, r.agent), r, 1);
+    if (r.step !== null) add(bucket(summary.byStep, r.step), r, 1);
+
+    // A response that calls several tools splits its usage evenly between them
+    for (const tool of r.tools) add(bucket(summary.byTool, tool), r, 1 / r.tools.length);
+
+    if (!r.priced && !summary.unpricedModels.includes(r.model)) summary.unpricedModels.push(r.model);
+  }
+
+  return summary;
+}
+
+function emptyBucket() {
+  return { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function bucket(map, key) {
+  if (!map[key]) map[key] = { calls: 0, ...emptyBucket() };
+  return map[key];
+}
+
+function add(target, r, share) {
+  if ("calls" in target) target.calls++;
+  target.promptTokens += Math.round(r.promptTokens * share);
+  target.completionTokens += Math.round(r.completionTokens * share);
+  target.totalTokens += Math.round(r.totalTokens * share);
+  target.cost += r.cost * share;
+}
+
+// Human-readable one-screen report
+function formatUsage(summary, title = "USAGE") {
+  const money = (n) => `$${n.toFixed(6)}`;
+  const line = (label, b) =>
+    `  ${label.padEnd(28)} ${String(b.promptTokens).padStart(8)} in  ${String(b.completionTokens).padStart(8)} out  ${money(b.cost)}`;
+
+  const lines = [`📊 ${title}: ${summary.modelCalls} model call(s), ${summary.totalTokens} tokens, ${money(summary.cost)}`];
+  for (const [name, map] of [["Model", summary.byModel], ["Agent", summary.byAgent], ["Tool", summary.byTool]]) {
+    const entries = Object.entries(map);
+    if (!entries.length) continue;
+    lines.push(` By ${name}:`);
+    for (const [key, b] of entries) lines.push(line(key, b));
+  }
+  if (summary.unpricedModels.length) lines.push(`  ⚠️  No price for: ${summary.unpricedModels.join(", ")}`);
+  return lines.join("\n");
+}
+
+module.exports = { UsageTracker, DEFAULT_PRICES, normalizeUsage, formatUsage };
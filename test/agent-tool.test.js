@@ -0,0 +1,58 @@
+// agentAsTool: delegations cost the parent what they cost the sub-agent, and nesting is guarded
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { BaseAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+const { agentAsTool } = require("../agents/agent-tool");
+
+const call = (name, args = {}) => ({ functionCalls: [{ name, args }] });
+const json = (value) => JSON.stringify(value);
+const usage = (totalTokenCount) => ({ promptTokenCount: totalTokenCount, candidatesTokenCount: 0, totalTokenCount });
+
+function createAgent(name, script, options = {}) {
+  return new BaseAgent({ name, systemPrompt: `You are ${name}.`, provider: new MockProvider(script), verbose: false, retry: false, ...options });
+}
+
+// Calls the parent's current run made on a sub-agent's behalf
+const subCalls = (parent, name) => parent.usage.records.filter((r) => r.runId === parent.usage.runId && r.agent.startsWith(name));
+
+test("a planned sub-agent's every run is added to the parent's usage", async () => {
+  const helper = createAgent("Helper", [
+    { text: json({ goal: "Help", steps: [{ goal: "look", tools: [], expected: "ok" }] }), usage: usage(10) },
+    { text: json({ status: "done", result: "found it" }), usage: usage(10) },
+    { text: "Helped.", usage: usage(10) },
+  ], { planning: true });
+  const parent = createAgent("Parent", [call("helper", { task: "help" }), "Parent done."], { subAgents: [helper] });
+
+  const result = await parent.run("go");
+
+  assert.strictEqual(result.response, "Parent done.");
+  assert.strictEqual(subCalls(parent, "Helper").length, 3);
+  assert.strictEqual(result.usage.totalTokens, 30);
+});
+
+test("a sub-agent that throws still reports what it used", async () => {
+  const helper = createAgent("Helper", [{ ...call("nothing"), usage: usage(7) }, () => { throw new Error("provider down"); }]);
+  const parent = createAgent("Parent", [call("helper", { task: "help" }), "Parent done."], { subAgents: [helper] });
+
+  const result = await parent.run("go");
+
+  assert.match(parent.provider.requests[1].contents.at(-1).parts[0].functionResponse.response.error, /provider down/);
+  assert.strictEqual(subCalls(parent, "Helper").length, 1);
+  assert.strictEqual(result.usage.totalTokens, 7);
+});
+
+test("an agent can't be delegated to by itself or past maxDepth", async () => {
+  const helper = createAgent("Helper", []);
+  const tool = agentAsTool(helper, { maxDepth: 2 });
+
+  const recursive = await tool.toolFn({ task: "x" }, { agent: helper });
+  assert.match(recursive.error, /can't be called recursively/);
+
+  const top = createAgent("Top", []);
+  const middle = createAgent("Middle", []);
+  middle.callers = [top];
+  const tooDeep = await tool.toolFn({ task: "x" }, { agent: middle });
+  assert.match(tooDeep.error, /Max delegation depth \(2\)/);
+  assert.strictEqual(helper.provider.requests.length, 0);
+});
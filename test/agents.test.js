@@ -0,0 +1,84 @@
+// WeatherAgent and CurrencyAgent driven by MockProvider scripts — no API key, no network
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { WeatherAgent, CurrencyAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+
+const call = (name, args) => ({ name, args });
+
+test("WeatherAgent calls both weather tools and answers with their data", async () => {
+  const provider = new MockProvider([
+    { functionCalls: [call("get_weather", { city: "Lahore", country: "PK" }), call("get_forecast", { city: "Lahore" })] },
+    "It's 28°C and sunny in Lahore; rain is possible the day after tomorrow.",
+  ]);
+  const agent = new WeatherAgent({ provider, verbose: false });
+
+  const result = await agent.run("Weather in Lahore?");
+
+  assert.strictEqual(result.success, true);
+  assert.match(result.response, /28°C/);
+  assert.strictEqual(result.steps, 2);
+  assert.ok(provider.isDone());
+
+  // The second request carries both tool results back to the model
+  const [weather, forecast] = provider.requests[1].contents.at(-1).parts.map((p) => p.functionResponse);
+  assert.deepStrictEqual([weather.name, forecast.name], ["get_weather", "get_forecast"]);
+  assert.strictEqual(weather.response.city, "Lahore, PK");
+  assert.strictEqual(forecast.response.forecast.length, 3);
+});
+
+test("WeatherAgent sends its tools and system prompt to the provider", async () => {
+  const provider = new MockProvider(["Hi!"]);
+  await new WeatherAgent({ provider, verbose: false }).run("Hello");
+
+  const [request] = provider.requests;
+  assert.deepStrictEqual(request.tools.map((t) => t.name), ["get_weather", "get_forecast"]);
+  assert.match(request.systemPrompt, /weather assistant/);
+  assert.strictEqual(request.model, "gemini-2.5-flash");
+});
+
+test("CurrencyAgent converts with the mock rates", async () => {
+  const provider = new MockProvider([
+    { functionCalls: [call("convert_currency", { amount: 100, from: "USD", to: "PKR" })] },
+    "100 USD is 27,850 PKR.",
+  ]);
+  const agent = new CurrencyAgent({ provider, verbose: false });
+
+  const result = await agent.run("Convert 100 USD to PKR");
+
+  assert.strictEqual(result.success, true);
+  const { response } = provider.requests[1].contents.at(-1).parts[0].functionResponse;
+  assert.deepStrictEqual(response.converted, { amount: 27850, currency: "PKR" });
+  assert.strictEqual(response.rate, 278.5);
+});
+
+test("CurrencyAgent reports unknown currencies to the model instead of throwing", async () => {
+  const provider = new MockProvider([{ functionCalls: [call("get_rate", { from: "USD", to: "XYZ" })] }, "I don't know XYZ."]);
+  const result = await new CurrencyAgent({ provider, verbose: false }).run("USD to XYZ rate?");
+
+  assert.strictEqual(result.success, true);
+  const { response } = provider.requests[1].contents.at(-1).parts[0].functionResponse;
+  assert.match(response.error, /Unknown currency/);
+});
+
+test("CurrencyAgent rejects bad arguments before the tool runs", async () => {
+  const provider = new MockProvider([{ functionCalls: [call("convert_currency", { amount: "lots", from: "USD" })] }, "Sorry."]);
+  await new CurrencyAgent({ provider, verbose: false }).run("Convert lots of USD");
+
+  const { response } = provider.requests[1].contents.at(-1).parts[0].functionResponse;
+  assert.match(response.error, /Invalid arguments/);
+  assert.deepStrictEqual(response.validationErrors.map((e) => e.path).sort(), ["amount", "to"]);
+});
+
+test("one agent keeps the conversation between runs until reset()", async () => {
+  const provider = new MockProvider(["First.", "Second.", "Fresh."]);
+  const agent = new CurrencyAgent({ provider, verbose: false });
+
+  await agent.run("one");
+  await agent.run("two");
+  assert.deepStrictEqual(provider.requests[1].contents.map((c) => c.role), ["user", "model", "user"]);
+
+  agent.reset();
+  await agent.run("three");
+  assert.strictEqual(provider.requests[2].contents.length, 1);
+});
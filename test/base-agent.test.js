@@ -0,0 +1,350 @@
+// BaseAgent core paths: the tool loop, retries, budgets and stops, approval pause/resume, streaming and events, tool concurrency, middleware
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { BaseAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+const { RetryBudget } = require("../agents/retry");
+
+const call = (name, args = {}) => ({ functionCalls: [{ name, args }] });
+const usage = (totalTokenCount) => ({ promptTokenCount: totalTokenCount, candidatesTokenCount: 0, totalTokenCount });
+const transient = () => Object.assign(new Error("[503 Service Unavailable] overloaded"), { status: 503 });
+
+// One echo tool, one side-effecting tool; every test gets a fresh agent
+function createAgent(script, options = {}) {
+  const provider = new MockProvider(script);
+  const ran = [];
+  const agent = new BaseAgent({
+    name: "TestAgent",
+    systemPrompt: "You test things.",
+    tools: [
+      { name: "echo", description: "Echo text", parameters: { type: "OBJECT", properties: { text: { type: "STRING" } }, required: ["text"] } },
+      { name: "send_email", description: "Send an email", parameters: { type: "OBJECT", properties: { to: { type: "STRING" } } } },
+    ],
+    toolFns: {
+      echo: ({ text }) => (ran.push("echo"), { text }),
+      send_email: ({ to }) => (ran.push("send_email"), { sent: true, to }),
+    },
+    provider,
+    verbose: false,
+    retry: { baseDelayMs: 0, jitter: false },
+    ...options,
+  });
+  return { agent, provider, ran };
+}
+
+// ── Tool loop ──
+test("runs tool calls and feeds their results back until a text answer", async () => {
+  const { agent, provider, ran } = createAgent([call("echo", { text: "a" }), call("echo", { text: "b" }), "done"]);
+  const events = [];
+  agent.on("tool-result", ({ name, result }) => events.push([name, result.text]));
+
+  const result = await agent.run("go");
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.response, "done");
+  assert.strictEqual(result.steps, 3);
+  assert.deepStrictEqual(ran, ["echo", "echo"]);
+  assert.deepStrictEqual(events, [["echo", "a"], ["echo", "b"]]);
+  assert.deepStrictEqual(agent.history.map((c) => c.role), ["user", "model", "function", "model", "function", "model"]);
+  assert.ok(provider.isDone());
+});
+
+test("unknown tools and tool errors go back to the model as { error }", async () => {
+  const { agent, provider } = createAgent([call("nope"), "ok"], { toolFns: {} });
+  await agent.run("go");
+  assert.match(provider.requests[1].contents.at(-1).parts[0].functionResponse.response.error, /Unknown tool: "nope"/);
+});
+
+test("stops with max_steps when the model never stops calling tools", async () => {
+  const { agent } = createAgent([call("echo", { text: "1" }), call("echo", { text: "2" }), call("echo", { text: "3" })], { maxSteps: 2 });
+  const result = await agent.run("go");
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.reason, "max_steps");
+});
+
+test("a failed model call leaves no dangling turn in the history", async () => {
+  const { agent } = createAgent([() => { throw new Error("bad key"); }, "hi"], { retry: false });
+
+  await assert.rejects(agent.run("first"), /bad key/);
+  assert.deepStrictEqual(agent.history, []);
+
+  const result = await agent.run("second");
+  assert.strictEqual(result.response, "hi");
+  assert.deepStrictEqual(agent.history.map((c) => c.role), ["user", "model"]);
+});
+
+// ── Retry ──
+test("retries transient provider errors, then succeeds", async () => {
+  const { agent, provider } = createAgent([() => { throw transient(); }, () => { throw transient(); }, "recovered"]);
+  const result = await agent.run("go");
+  assert.strictEqual(result.response, "recovered");
+  assert.strictEqual(provider.requests.length, 3);
+});
+
+test("falls back to the next model once retries run out", async () => {
+  const { agent, provider } = createAgent([() => { throw transient(); }, "from fallback"], {
+    retry: { retries: 0, baseDelayMs: 0, fallbackModels: ["gemini-2.0-flash"] },
+  });
+  const result = await agent.run("go");
+  assert.strictEqual(result.response, "from fallback");
+  assert.deepStrictEqual(provider.requests.map((r) => r.model), ["gemini-2.5-flash", "gemini-2.0-flash"]);
+});
+
+test("does not retry permanent errors", async () => {
+  const { agent, provider } = createAgent([() => { throw Object.assign(new Error("[400 Bad Request]"), { status: 400 }); }, "never"]);
+  await assert.rejects(agent.run("go"), /400/);
+  assert.strictEqual(provider.requests.length, 1);
+});
+
+// A provider that streams "Hello " then fails with a 503 on the first `failures` calls;
+// failBeforeText fails them before any text goes out
+function flakyStream({ failures = 1, failBeforeText = false } = {}) {
+  const provider = {
+    calls: 0,
+    async generate(request, { onTextDelta }) {
+      provider.calls++;
+      if (provider.calls <= failures) {
+        if (!failBeforeText) onTextDelta("Hello ");
+        throw transient();
+      }
+      onTextDelta("Hello ");
+      onTextDelta("world");
+      return { parts: [{ text: "Hello world" }], usage: usage(10) };
+    },
+  };
+  return provider;
+}
+
+test("a stream that fails after sending text is not retried, so no delta is sent twice", async () => {
+  const provider = flakyStream();
+  const { agent } = createAgent([], { provider, streaming: true });
+  const deltas = [];
+  agent.on("text-delta", ({ text }) => deltas.push(text));
+
+  await assert.rejects(agent.run("go"), /503/);
+  assert.strictEqual(provider.calls, 1);
+  assert.deepStrictEqual(deltas, ["Hello "]);
+});
+
+test("a stream that fails before any text is retried", async () => {
+  const provider = flakyStream({ failBeforeText: true });
+  const { agent } = createAgent([], { provider, streaming: true });
+  const deltas = [];
+  agent.on("text-delta", ({ text }) => deltas.push(text));
+
+  const result = await agent.run("go");
+  assert.strictEqual(result.response, "Hello world");
+  assert.strictEqual(provider.calls, 2);
+  assert.deepStrictEqual(deltas, ["Hello ", "world"]);
+});
+
+test("retry.budget must be a RetryBudget, not run limits", () => {
+  assert.throws(() => createAgent([], { retry: { budget: { maxTokens: 1000 } } }), /Invalid retry\.budget.*top-level budget/);
+  assert.doesNotThrow(() => createAgent([], { retry: { budget: new RetryBudget(5) } }));
+});
+
+// ── Budgets and stops ──
+test("a token budget stops the run before more tools run", async () => {
+  const { agent, ran } = createAgent([{ ...call("echo", { text: "x" }), usage: usage(500) }, "never"], { budget: { maxTokens: 100 } });
+  const result = await agent.run("go");
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.reason, "budget_exceeded");
+  assert.strictEqual(result.limit, "maxTokens");
+  assert.deepStrictEqual(ran, []);
+});
+
+test("an aborted run returns reason aborted", async () => {
+  const controller = new AbortController();
+  const { agent } = createAgent([call("echo", { text: "x" }), "never"], {
+    toolFns: { echo: () => new Promise((resolve) => setTimeout(() => resolve({}), 200)) },
+  });
+  setTimeout(() => controller.abort(), 20);
+  const result = await agent.run("go", null, { signal: controller.signal });
+  assert.strictEqual(result.reason, "aborted");
+});
+
+test("timeoutMs stops a slow run", async () => {
+  const { agent } = createAgent([call("echo", { text: "x" }), "never"], {
+    toolFns: { echo: () => new Promise((resolve) => setTimeout(() => resolve({}), 200)) },
+  });
+  const result = await agent.run("go", null, { budget: { timeoutMs: 20 } });
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.reason, "budget_exceeded");
+  assert.strictEqual(result.limit, "timeoutMs");
+});
+
+test("a run stopped after a tool call leaves a history the next run can continue", async () => {
+  const controller = new AbortController();
+  const { agent, provider } = createAgent([call("echo", { text: "x" }), "second answer"], {
+    toolFns: { echo: () => new Promise((resolve) => setTimeout(() => resolve({}), 200)) },
+  });
+  setTimeout(() => controller.abort(), 20);
+  await agent.run("go", null, { signal: controller.signal });
+
+  // The unanswered call gets an error response instead of dangling
+  assert.deepStrictEqual(agent.history.map((c) => c.role), ["user", "model", "function"]);
+  assert.strictEqual(agent.history[2].parts[0].functionResponse.response.stopped, true);
+
+  const result = await agent.run("again");
+  assert.strictEqual(result.response, "second answer");
+  assert.deepStrictEqual(provider.requests[1].contents.map((c) => c.role), ["user", "model", "function", "user"]);
+});
+
+test("budget and max_steps stops answer the open calls too", async () => {
+  const budget = createAgent([{ ...call("echo", { text: "x" }), usage: usage(500) }], { budget: { maxTokens: 100 } });
+  await budget.agent.run("go");
+  assert.strictEqual(budget.agent.history.at(-1).role, "function");
+
+  const steps = createAgent([call("echo", { text: "1" }), call("echo", { text: "2" })], { maxSteps: 1 });
+  const result = await steps.agent.run("go");
+  assert.strictEqual(result.reason, "max_steps");
+  assert.strictEqual(steps.agent.history.at(-1).role, "function");
+});
+
+// ── Approval ──
+test("pauses for approval without an approver, then resumes when approved", async () => {
+  const { agent, ran } = createAgent([call("send_email", { to: "a@b.c" }), "Sent."], { requireApproval: ["send_email"] });
+
+  const paused = await agent.run("email a@b.c");
+  assert.strictEqual(paused.reason, "approval_required");
+  assert.deepStrictEqual(paused.pending, [{ id: "call_0", name: "send_email", args: { to: "a@b.c" } }]);
+  assert.deepStrictEqual(ran, []);
+  await assert.rejects(agent.run("another"), /waiting for tool approval/);
+
+  const result = await agent.resume({ call_0: "approve" });
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(ran, ["send_email"]);
+});
+
+test("a denied call is reported to the model and never runs", async () => {
+  const { agent, provider, ran } = createAgent([call("send_email", { to: "a@b.c" }), "Okay, not sending."], { requireApproval: ["send_email"] });
+
+  await agent.run("email a@b.c");
+  await agent.resume({ call_0: { action: "deny", reason: "not today" } });
+
+  assert.deepStrictEqual(ran, []);
+  const { response } = provider.requests[1].contents.at(-1).parts[0].functionResponse;
+  assert.strictEqual(response.denied, true);
+  assert.strictEqual(response.reason, "not today");
+});
+
+test("an approver decides inline, including edited arguments", async () => {
+  const { agent, provider } = createAgent([call("send_email", { to: "wrong@x.y" }), "Sent."], {
+    requireApproval: ["send_email"],
+    approver: async () => ({ action: "edit", args: { to: "right@x.y" } }),
+  });
+  const result = await agent.run("email");
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(provider.requests[1].contents.at(-1).parts[0].functionResponse.response.to, "right@x.y");
+});
+
+// ── Streaming and events ──
+test("events arrive in run order, with one text delta per word when streaming", async () => {
+  const { agent } = createAgent([call("echo", { text: "a" }), "All done here"], { streaming: true });
+  const events = [];
+  for (const type of ["text-delta", "step", "tool-call", "tool-result", "done"]) {
+    agent.on(type, (e) => events.push(type === "text-delta" ? `delta:${e.text}` : type === "step" ? `step:${e.step}` : type));
+  }
+
+  await agent.run("go");
+  assert.deepStrictEqual(events, ["step:1", "tool-call", "tool-result", "delta:All ", "delta:done ", "delta:here", "step:2", "done"]);
+});
+
+test("without streaming the answer still arrives as a single text delta", async () => {
+  const { agent } = createAgent(["All done here"]);
+  const deltas = [];
+  agent.on("text-delta", ({ text }) => deltas.push(text));
+
+  await agent.run("go");
+  assert.deepStrictEqual(deltas, ["All done here"]);
+});
+
+// ── Tool concurrency ──
+// Tools that take a tick and log when each call starts and ends
+function timedAgent(calls, options) {
+  const log = [];
+  let active = 0;
+  let peak = 0;
+  const timed = (name) => async ({ text, to }) => {
+    const label = `${name}:${text || to}`;
+    peak = Math.max(peak, ++active);
+    log.push(`start ${label}`);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    log.push(`end ${label}`);
+    active--;
+    return { label };
+  };
+  const { agent, provider } = createAgent([{ functionCalls: calls }, "done"], {
+    toolFns: { echo: timed("echo"), send_email: timed("send_email") },
+    ...options,
+  });
+  return { agent, provider, log, peak: () => peak };
+}
+
+const echoes = (...texts) => texts.map((text) => ({ name: "echo", args: { text } }));
+const labels = (provider) => provider.requests[1].contents.at(-1).parts.map((p) => p.functionResponse.response.label);
+
+test("parallel tool calls overlap and their results keep the call order", async () => {
+  const { agent, provider, peak } = timedAgent(echoes("a", "b", "c"), { toolConcurrency: "parallel" });
+  await agent.run("go");
+  assert.strictEqual(peak(), 3);
+  assert.deepStrictEqual(labels(provider), ["echo:a", "echo:b", "echo:c"]);
+});
+
+test("a numeric toolConcurrency caps how many calls run at once", async () => {
+  const { agent, peak } = timedAgent(echoes("a", "b", "c", "d"), { toolConcurrency: 2 });
+  await agent.run("go");
+  assert.strictEqual(peak(), 2);
+});
+
+test("serial tools wait for earlier calls and block later ones", async () => {
+  const calls = [...echoes("a", "b"), { name: "send_email", args: { to: "x" } }, ...echoes("c")];
+  const { agent, provider, log } = timedAgent(calls, { toolConcurrency: "parallel", serialTools: ["send_email"] });
+  await agent.run("go");
+
+  const at = (entry) => log.indexOf(entry);
+  assert.ok(at("start send_email:x") > Math.max(at("end echo:a"), at("end echo:b")));
+  assert.ok(at("start echo:c") > at("end send_email:x"));
+  assert.deepStrictEqual(labels(provider), ["echo:a", "echo:b", "send_email:x", "echo:c"]);
+});
+
+test("an invalid toolConcurrency is rejected up front", () => {
+  assert.throws(() => createAgent([], { toolConcurrency: 0 }), /Invalid toolConcurrency/);
+});
+
+// ── Middleware ──
+test("beforeModelCall can answer instead of the model, and later hooks are skipped", async () => {
+  const { agent, provider } = createAgent(["from the model"]);
+  const seen = [];
+  agent.use({ beforeModelCall: () => ({ parts: [{ text: "from middleware" }] }) });
+  agent.use({ beforeModelCall: () => void seen.push("second") });
+
+  const result = await agent.run("go");
+  assert.strictEqual(result.response, "from middleware");
+  assert.strictEqual(provider.requests.length, 0);
+  assert.deepStrictEqual(seen, []);
+});
+
+test("beforeToolCall can return a result so the tool never runs", async () => {
+  const { agent, provider, ran } = createAgent([call("send_email", { to: "x" }), "ok"]);
+  agent.use({ beforeToolCall: ({ name }) => (name === "send_email" ? { sent: false, dryRun: true } : undefined) });
+
+  await agent.run("go");
+  assert.deepStrictEqual(ran, []);
+  assert.deepStrictEqual(provider.requests[1].contents.at(-1).parts[0].functionResponse.response, { sent: false, dryRun: true });
+});
+
+test("after hooks replace results in order, and onError recovers from a tool error", async () => {
+  const { agent, provider } = createAgent([call("echo", { text: "a" }), call("echo", { text: "b" }), "ok"], {
+    toolFns: { echo: ({ text }) => { if (text === "b") throw new Error("boom"); return { text }; } },
+  });
+  agent.use({ afterToolCall: ({ result }) => ({ ...result, first: true }) });
+  agent.use({ afterToolCall: ({ result }) => ({ ...result, second: result.first }) });
+  agent.use({ onError: ({ stage, error }) => ({ recovered: `${stage}: ${error.message}` }) });
+  agent.use({ afterModelCall: ({ response }) => (response.parts[0].text ? { ...response, parts: [{ text: "OK!" }] } : undefined) });
+
+  const result = await agent.run("go");
+  const responses = provider.requests.slice(1).map((r) => r.contents.at(-1).parts[0].functionResponse.response);
+  assert.deepStrictEqual(responses, [{ text: "a", first: true, second: true }, { recovered: "tool: boom" }]);
+  assert.strictEqual(result.response, "OK!");
+});
@@ -0,0 +1,60 @@
+// ResponseCache: model responses by content, tool results per agent
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { BaseAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+const { ResponseCache } = require("../agents/cache");
+
+const lookup = { name: "lookup", description: "Look up an id", parameters: { type: "OBJECT", properties: { id: { type: "STRING" } } } };
+const script = () => [{ functionCalls: [{ name: "lookup", args: { id: "42" } }] }, "ok"];
+
+function createAgent(name, cache, answer) {
+  const ran = [];
+  const agent = new BaseAgent({
+    name,
+    systemPrompt: `You are ${name}.`,
+    tools: [lookup],
+    toolFns: { lookup: ({ id }) => (ran.push(id), { id, answer }) },
+    provider: new MockProvider([...script(), ...script()]),
+    cache,
+    verbose: false,
+  });
+  return { agent, ran };
+}
+
+const lastToolResult = (agent) => agent.history.at(-2).parts[0].functionResponse.response;
+
+test("a listed tool is answered from the cache on the same agent's next call", async () => {
+  const cache = new ResponseCache({ models: false, tools: { lookup: { ttlMs: 60000 } } });
+  const { agent, ran } = createAgent("Orders", cache, "order 42");
+
+  await agent.run("first");
+  await agent.run("second");
+  assert.deepStrictEqual(ran, ["42"]);
+  assert.deepStrictEqual(cache.stats().tools.lookup, { hits: 1, misses: 1 });
+});
+
+test("agents sharing a cache don't get each other's results for a same-named tool", async () => {
+  const cache = new ResponseCache({ models: false, tools: { lookup: { ttlMs: 60000 } } });
+  const orders = createAgent("Orders", cache, "order 42");
+  const users = createAgent("Users", cache, "user 42");
+
+  await orders.agent.run("look up 42");
+  await users.agent.run("look up 42");
+
+  assert.deepStrictEqual(users.ran, ["42"]);
+  assert.strictEqual(lastToolResult(users.agent).answer, "user 42");
+});
+
+test("identical model requests are served from the cache with no usage counted", async () => {
+  const cache = new ResponseCache();
+  const provider = new MockProvider([{ text: "Hi", usage: { promptTokenCount: 5, candidatesTokenCount: 1, totalTokenCount: 6 } }]);
+  const make = () => new BaseAgent({ name: "Greeter", systemPrompt: "Greet.", provider, cache, verbose: false });
+
+  await make().run("hello");
+  const result = await make().run("hello");
+
+  assert.strictEqual(result.response, "Hi");
+  assert.strictEqual(provider.requests.length, 1);
+  assert.strictEqual(cache.stats().tokensSaved, 6);
+});
@@ -0,0 +1,98 @@
+// Tool policies: tools outside the allowed capabilities are refused without running, and the model is told why
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { BaseAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+const { Skill } = require("../agents/skills");
+const { ToolPolicy, checkCapabilities } = require("../agents/capabilities");
+
+const call = (name, args = {}) => ({ functionCalls: [{ name, args }] });
+
+// Orders are read-only; a refund writes data and moves money
+function createAgent(script, options = {}) {
+  const ran = [];
+  const tool = (name) => ({ name, description: name, parameters: { type: "OBJECT", properties: {} } });
+  const orders = new Skill({
+    name: "Orders",
+    capabilities: ["read-only"],
+    toolCapabilities: { process_refund: ["writes-data", "external-side-effect"] },
+    declarations: [tool("lookup_order"), tool("process_refund")],
+    implementations: {
+      lookup_order: () => (ran.push("lookup_order"), { status: "delivered" }),
+      process_refund: () => (ran.push("process_refund"), { refunded: true }),
+    },
+  });
+  const agent = new BaseAgent({
+    name: "Support",
+    systemPrompt: "You help customers.",
+    tools: [tool("get_time")],
+    toolFns: { get_time: () => (ran.push("get_time"), { now: "noon" }) },
+    skills: [orders],
+    provider: new MockProvider(script),
+    verbose: false,
+    retry: false,
+    ...options,
+  });
+  return { agent, ran };
+}
+
+const lastResponse = (agent) => agent.provider.requests.at(-1).contents.at(-1).parts[0].functionResponse.response;
+
+test("a read-only policy refuses a writing tool: it never runs and the model gets the reason", async () => {
+  const { agent, ran } = createAgent([call("lookup_order"), call("process_refund"), "I can't refund that."], {
+    toolPolicy: { name: "guest", allow: ["read-only"] },
+  });
+  const refused = [];
+  agent.on("tool-refused", (e) => refused.push(e));
+
+  const result = await agent.run("refund ORD-1");
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(ran, ["lookup_order"]);
+  assert.deepStrictEqual(lastResponse(agent), {
+    error: 'Tool "process_refund" is not permitted under the "guest" policy: it needs writes-data, external-side-effect',
+    refused: true,
+    tool: "process_refund",
+    policy: "guest",
+    capabilities: ["writes-data", "external-side-effect"],
+    missing: ["writes-data", "external-side-effect"],
+  });
+  assert.deepStrictEqual(refused.map((e) => [e.name, e.policy]), [["process_refund", "guest"]]);
+});
+
+test("a run's own toolPolicy replaces the agent's for that run only", async () => {
+  const { agent, ran } = createAgent([call("process_refund"), "Refunded.", call("process_refund"), "No."], {
+    toolPolicy: { name: "guest", allow: ["read-only"] },
+  });
+
+  await agent.run("refund ORD-1", null, { toolPolicy: { name: "staff", allow: ["*"] } });
+  await agent.run("refund ORD-2");
+  assert.deepStrictEqual(ran, ["process_refund"]);
+  assert.strictEqual(lastResponse(agent).refused, true);
+});
+
+test("a refused call is never sent for approval", async () => {
+  const asked = [];
+  const { agent, ran } = createAgent([call("process_refund"), "No."], {
+    toolPolicy: { allow: ["read-only"] },
+    requireApproval: ["process_refund"],
+    approver: async ({ name }) => (asked.push(name), "approve"),
+  });
+
+  const result = await agent.run("refund ORD-1");
+  assert.strictEqual(result.success, true);
+  assert.deepStrictEqual(asked, []);
+  assert.deepStrictEqual(ran, []);
+});
+
+test("tools without capabilities need their name allowed, and deny wins over allow", () => {
+  const policy = new ToolPolicy({ allow: ["read-only", "get_time"], deny: ["lookup_order"] });
+  assert.deepStrictEqual(policy.check("get_time"), { allowed: true });
+  assert.strictEqual(policy.check("delegate").allowed, false);
+  assert.match(policy.check("lookup_order", ["read-only"]).reason, /lookup_order is denied/);
+  assert.strictEqual(policy.check("search", ["read-only"]).allowed, true);
+});
+
+test("unknown capabilities, or read-only mixed with writes, are rejected", () => {
+  assert.throws(() => checkCapabilities(["teleport"], "Skill x"), /unknown capability teleport/);
+  assert.throws(() => checkCapabilities(["read-only", "writes-data"], "Skill x"), /can't be combined/);
+});
@@ -0,0 +1,60 @@
+// Cassettes: record a run, replay it offline with no model or tool side effects, and catch drift
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BaseAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+const { Cassette, CassetteMismatchError } = require("../agents/cassette");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cassettes-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const call = (name, args = {}) => ({ functionCalls: [{ name, args }] });
+
+function createAgent(provider, cassette, sent) {
+  return new BaseAgent({
+    name: "Mailer",
+    systemPrompt: "You send email.",
+    tools: [{ name: "send_email", description: "Send an email", parameters: { type: "OBJECT", properties: { to: { type: "STRING" } } } }],
+    toolFns: { send_email: ({ to }) => (sent.push(to), { sent: true, to }) },
+    provider,
+    cassette,
+    verbose: false,
+    retry: false,
+  });
+}
+
+test("a replayed run gives the recorded answer without calling the model or the tools", async () => {
+  const filepath = path.join(dir, "mail.json");
+  const sent = [];
+  const recorded = await createAgent(new MockProvider([call("send_email", { to: "ana@example.com" }), "Sent."]), new Cassette(filepath, { mode: "record" }), sent).run("Email Ana");
+
+  const replaySent = [];
+  const offline = new MockProvider([]); // Any model call would throw: the script is empty
+  const cassette = new Cassette(filepath, { mode: "replay" });
+  const replayed = await createAgent(offline, cassette, replaySent).run("Email Ana");
+
+  assert.strictEqual(replayed.response, recorded.response);
+  assert.deepStrictEqual(sent, ["ana@example.com"]);
+  assert.deepStrictEqual(replaySent, []);
+  assert.strictEqual(offline.requests.length, 0);
+  cassette.assertDone();
+});
+
+test("a run that drifts from the recording fails with CassetteMismatchError", async () => {
+  const filepath = path.join(dir, "drift.json");
+  await createAgent(new MockProvider(["Hello."]), new Cassette(filepath, { mode: "record" }), []).run("Say hello");
+
+  const agent = createAgent(new MockProvider([]), new Cassette(filepath, { mode: "replay" }), []);
+  await assert.rejects(agent.run("Say goodbye"), CassetteMismatchError);
+});
+
+test("assertDone reports recorded interactions the replay never used", async () => {
+  const filepath = path.join(dir, "unused.json");
+  await createAgent(new MockProvider(["One."]), new Cassette(filepath, { mode: "record" }), []).run("First");
+
+  const cassette = new Cassette(filepath, { mode: "replay" });
+  assert.throws(() => cassette.assertDone(), /1 interaction\(s\) left unused/);
+});
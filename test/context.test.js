@@ -0,0 +1,99 @@
+// ContextManager: whole units are dropped, and summaries don't break the history send() rolls back
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { BaseAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+const { ContextManager, SUMMARY_PREFIX } = require("../agents/context");
+
+const call = (name, args = {}) => ({ functionCalls: [{ name, args }] });
+const transient = () => Object.assign(new Error("[429 Too Many Requests]"), { status: 429 });
+const text = (turn) => turn.parts.map((p) => p.text || (p.functionCall ? `call:${p.functionCall.name}` : "response")).join("");
+
+function createAgent(script, contextWindow, options = {}) {
+  const provider = new MockProvider(script);
+  const agent = new BaseAgent({
+    name: "Chatty",
+    systemPrompt: "You chat.",
+    tools: [{ name: "echo", description: "Echo text", parameters: { type: "OBJECT", properties: { text: { type: "STRING" } } } }],
+    toolFns: { echo: ({ text }) => ({ text }) },
+    provider,
+    verbose: false,
+    retry: { baseDelayMs: 0, jitter: false },
+    contextWindow,
+    ...options,
+  });
+  return { agent, provider };
+}
+
+test("sliding-window drops whole exchanges and keeps tool calls with their responses", async () => {
+  const { agent } = createAgent(
+    [call("echo", { text: "1" }), "a1", "a2", call("echo", { text: "3" }), call("echo", { text: "4" }), "a3"],
+    new ContextManager({ maxMessages: 6 })
+  );
+  await agent.run("q1");
+  await agent.run("q2");
+  await agent.run("q3");
+
+  const roles = agent.history.map((t) => t.role);
+  assert.strictEqual(roles[0], "user");
+  roles.forEach((role, i) => {
+    if (role === "function") assert.ok(agent.history[i - 1].parts.some((p) => p.functionCall), `function response at ${i} lost its call`);
+  });
+  assert.deepStrictEqual(agent.history.map(text).filter((t) => /^q/.test(t)).at(-1), "q3");
+});
+
+test("summarize-oldest puts the summary first and a failed call leaves no dangling turn", async () => {
+  const summaries = [];
+  const { agent } = createAgent(
+    ["a1", "a2", () => { throw new Error("provider down"); }],
+    new ContextManager({
+      strategy: "summarize-oldest",
+      maxMessages: 4,
+      summarize: async (turns) => (summaries.push(turns.map(text)), "q1 was answered"),
+    }),
+    { retry: false }
+  );
+  await agent.run("q1");
+  await agent.run("q2");
+  await assert.rejects(agent.run("q3"), /provider down/);
+
+  assert.deepStrictEqual(summaries, [["q1", "a1"]]);
+  assert.deepStrictEqual(agent.history.map(text), [`${SUMMARY_PREFIX}\nq1 was answered`, "q2", "a2"]);
+});
+
+test("summarize-oldest folds the earlier summary in and keeps the current exchange after it", async () => {
+  const seen = [];
+  const { agent } = createAgent(
+    ["a1", call("echo", { text: "x" }), call("echo", { text: "y" }), "a2"],
+    new ContextManager({
+      strategy: "summarize-oldest",
+      maxMessages: 4,
+      summarize: async (turns, previous) => (seen.push(previous), `summary ${seen.length}`),
+    })
+  );
+  await agent.run("q1");
+  await agent.run("q2");
+
+  assert.deepStrictEqual(seen, [null, "summary 1"]);
+  const texts = agent.history.map(text);
+  assert.strictEqual(texts.filter((t) => t.startsWith(SUMMARY_PREFIX)).length, 1);
+  assert.ok(texts.indexOf(`${SUMMARY_PREFIX}\nsummary 2`) < texts.indexOf("q2"));
+  assert.strictEqual(texts.at(-1), "a2");
+});
+
+test("the default summary goes through middleware and retries like any model call", async () => {
+  const phases = [];
+  const { agent, provider } = createAgent(
+    ["a1", "a2", () => { throw transient(); }, "q1 was answered", "a3"],
+    new ContextManager({ strategy: "summarize-oldest", maxMessages: 4 })
+  );
+  agent.use({ beforeModelCall: ({ phase }) => void phases.push(phase || "turn") });
+  await agent.run("q1");
+  await agent.run("q2");
+  const result = await agent.run("q3");
+
+  assert.strictEqual(result.response, "a3");
+  assert.deepStrictEqual(phases, ["turn", "turn", "context", "turn"]);
+  assert.deepStrictEqual(agent.history.map(text), [`${SUMMARY_PREFIX}\nq1 was answered`, "q2", "a2", "q3", "a3"]);
+  assert.ok(provider.isDone());
+});
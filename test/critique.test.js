@@ -0,0 +1,56 @@
+// Self-critique: score the answer, revise below the threshold, keep the best
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { BaseAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+
+const review = (score, suggestions = ["Add detail"]) =>
+  JSON.stringify({
+    scores: ["completeness", "correctness", "clarity"].map((criterion) => ({ criterion, score, comment: "ok" })),
+    suggestions,
+  });
+
+const createAgent = (script, critique = true) => {
+  const provider = new MockProvider(script);
+  const agent = new BaseAgent({ name: "Writer", systemPrompt: "You write.", provider, critique, verbose: false, retry: false });
+  return { agent, provider };
+};
+
+test("an answer that passes is returned with its critique", async () => {
+  const { agent, provider } = createAgent(["Final answer", review(9)]);
+  const result = await agent.run("hi");
+
+  assert.strictEqual(result.response, "Final answer");
+  assert.deepStrictEqual({ ...result.critique, reviews: undefined }, { score: 9, passed: true, revisions: 0, reviews: undefined });
+  assert.ok(provider.isDone());
+});
+
+test("a low score is revised, and the best-scored answer wins", async () => {
+  const { agent } = createAgent(["Draft", review(5), "Worse draft", review(3)], { maxRevisions: 1 });
+  const result = await agent.run("hi");
+
+  assert.strictEqual(result.response, "Draft");
+  assert.strictEqual(result.critique.revisions, 1);
+  assert.deepStrictEqual(result.critique.reviews.map((r) => r.score), [5, 3]);
+});
+
+test("a critic that never matches its schema returns the unreviewed answer instead of throwing", async () => {
+  const { agent } = createAgent(["Final answer", "not json", "still not", "nope"]);
+  const result = await agent.run("hi");
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.response, "Final answer");
+  assert.strictEqual(result.critique.score, null);
+  assert.strictEqual(result.critique.passed, false);
+  assert.match(result.critique.error, /Critique failed: Output still invalid after 3 attempt/);
+});
+
+test("a failed critique of a revision keeps the best answer scored so far", async () => {
+  const { agent } = createAgent(["Draft", review(6), "Revised", "x", "y", "z"], { maxRevisions: 1 });
+  const result = await agent.run("hi");
+
+  assert.strictEqual(result.response, "Draft");
+  assert.strictEqual(result.critique.score, 6);
+  assert.strictEqual(result.critique.revisions, 1);
+  assert.match(result.critique.error, /Critique failed/);
+});
@@ -0,0 +1,35 @@
+// Example modules as the agents CLI uses them: create() runners, offline
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { MockProvider } = require("../agents/providers");
+
+test("07: the orchestrator keeps the conversation across runs until reset()", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const provider = new MockProvider(["Plan A.", "Plan A, revised.", "Fresh start."]);
+  const orchestrator = require("../agents/07_orchestrator_pattern").create({ provider, verbose: false });
+
+  await orchestrator.run("Plan my launch");
+  await orchestrator.run("Make it cheaper");
+  assert.deepStrictEqual(provider.requests[1].contents.map((c) => c.role), ["user", "model", "user"]);
+
+  orchestrator.reset();
+  await orchestrator.run("Something else");
+  assert.strictEqual(provider.requests[2].contents.length, 1);
+});
+
+test("07: tool-using sub-agents answer from the orchestrator's provider", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const provider = new MockProvider([
+    { functionCalls: [{ name: "currency_agent", args: { task: "150000 PKR in GBP" } }] },
+    { functionCalls: [{ name: "convert_currency", args: { amount: 150000, from: "PKR", to: "GBP" } }] },
+    "150,000 PKR is about 425.49 GBP.",
+    "You'll have about £425.",
+  ]);
+  const orchestrator = require("../agents/07_orchestrator_pattern").create({ provider, verbose: false });
+
+  const result = await orchestrator.run("How much is 150,000 PKR in GBP?");
+
+  assert.strictEqual(result.response, "You'll have about £425.");
+  assert.strictEqual(provider.requests[1].systemPrompt.includes("currency conversion assistant"), true);
+  assert.ok(provider.isDone());
+});
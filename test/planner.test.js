@@ -0,0 +1,84 @@
+// Planned runs: plan, execute step by step, re-plan, and plans the model can't get right
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { BaseAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+
+const json = (value) => JSON.stringify(value);
+const plan = (...goals) => json({ goal: "Do it", steps: goals.map((goal) => ({ goal, tools: [], expected: "ok" })) });
+const step = (status, result = "ok") => json({ status, result, ...(status === "done" ? {} : { problem: "broke" }) });
+
+const transient = () => Object.assign(new Error("[429 Too Many Requests]"), { status: 429 });
+
+function createAgent(script, planning = { maxReplans: 1 }, options = { retry: false }) {
+  const provider = new MockProvider(script);
+  const agent = new BaseAgent({ name: "Planned", systemPrompt: "You plan.", provider, verbose: false, planning, ...options });
+  return { agent, provider };
+}
+
+test("plans, runs each step, then answers", async () => {
+  const { agent, provider } = createAgent([plan("first", "second"), step("done"), step("done"), "All done."]);
+  const result = await agent.runPlan("Do two things");
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.response, "All done.");
+  assert.deepStrictEqual(result.plan.steps.map((s) => s.status), ["done", "done"]);
+  assert.ok(provider.isDone());
+});
+
+test("a failed step is re-planned", async () => {
+  const { agent } = createAgent([plan("first"), step("failed"), plan("other way"), step("done"), "Done another way."]);
+  const result = await agent.runPlan("Do it");
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.plan.replans, 1);
+  assert.deepStrictEqual(result.plan.steps.map((s) => s.status), ["failed", "done"]);
+});
+
+test("a plan that never matches the schema is a failed result, not a throw", async () => {
+  const { agent } = createAgent(["not json", json({ goal: "x" }), json({ steps: [] })]);
+  const result = await agent.runPlan("Do it");
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.reason, "plan_failed");
+  assert.match(result.error, /Planning failed/);
+  assert.ok(result.validationErrors.length);
+});
+
+test("an unusable re-plan ends the plan as failed", async () => {
+  const { agent } = createAgent([plan("first"), step("failed"), "?", "?", "?"]);
+  const result = await agent.runPlan("Do it");
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.reason, "plan_failed");
+  assert.strictEqual(result.plan.status, "failed");
+});
+
+// ── Plan calls take the same path as conversation turns ──
+test("a transient error while planning is retried", async () => {
+  const { agent, provider } = createAgent([() => { throw transient(); }, plan("only"), step("done"), "Done."], undefined, {
+    retry: { baseDelayMs: 0, jitter: false },
+  });
+  const result = await agent.runPlan("Do it");
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(provider.requests.length, 4);
+});
+
+test("model middleware sees plan calls, marked with their phase", async () => {
+  const { agent } = createAgent([plan("only"), step("done"), "Done."]);
+  const phases = [];
+  agent.use({ beforeModelCall: ({ phase }) => void phases.push(phase || "turn") });
+
+  await agent.runPlan("Do it");
+  assert.deepStrictEqual(phases, ["planner", "turn", "turn"]);
+});
+
+test("an aborted signal stops planning with reason aborted", async () => {
+  const { agent, provider } = createAgent([plan("only")]);
+  const result = await agent.runPlan("Do it", null, { signal: AbortSignal.abort() });
+
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.reason, "aborted");
+  assert.strictEqual(provider.requests.length, 0);
+});
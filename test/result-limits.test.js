@@ -0,0 +1,69 @@
+// ResultLimiter: truncation strategies and paging through the full result
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { ResultLimiter } = require("../agents/result-limits");
+
+const text = Array.from({ length: 2000 }, (_, i) => `line ${i}`).join("\n");
+const rows = Array.from({ length: 300 }, (_, i) => ({ id: i, name: `row ${i}` }));
+
+// Every page of a handle, concatenated (text) or flattened (rows)
+function readAll(limiter, handle) {
+  const pages = [];
+  for (let page = 1; ; page++) {
+    const result = limiter.page({ handle, page });
+    pages.push(result);
+    if (!result.hasMore) return pages;
+  }
+}
+
+test("results under the limit pass through unchanged", () => {
+  const limiter = new ResultLimiter({ maxChars: 1000 });
+  const result = { ok: true };
+  assert.strictEqual(limiter.limit("tool", result), result);
+});
+
+test("head: the preview is page 1 and the hint points at page 2", () => {
+  const limiter = new ResultLimiter({ maxChars: 2000, strategy: "head" });
+  const { content, _truncated: note } = limiter.limit("read_file", { path: "a.txt", content: text });
+
+  assert.match(note.hint, /page: 2/);
+  const first = limiter.page({ handle: note.handle, page: 1 });
+  assert.ok(content.startsWith(first.content));
+  assert.strictEqual(first.content.length, note.shownChars);
+  assert.strictEqual(readAll(limiter, note.handle).map((p) => p.content).join(""), text);
+});
+
+test("head-tail: page 1 is exactly the head that was shown", () => {
+  const limiter = new ResultLimiter({ maxChars: 2000, strategy: "head-tail" });
+  const { content, _truncated: note } = limiter.limit("read_file", { content: text });
+
+  assert.match(note.hint, /page: 2/);
+  const head = content.split("\n…[")[0];
+  assert.strictEqual(limiter.page({ handle: note.handle, page: 1 }).content, head);
+  assert.strictEqual(limiter.page({ handle: note.handle, page: 2 }).content.slice(0, 20), text.slice(head.length, head.length + 20));
+});
+
+test("sample-rows: paging starts at page 1 and covers every row", () => {
+  const limiter = new ResultLimiter({ maxChars: 2000, strategy: "sample-rows" });
+  const { _truncated: note } = limiter.limit("run_query", { rows });
+
+  assert.match(note.hint, /page: 1 /);
+  assert.strictEqual(limiter.page({ handle: note.handle }).page, 1);
+  assert.deepStrictEqual(readAll(limiter, note.handle).flatMap((p) => p.rows), rows);
+});
+
+test("json: pruned previews point at page 1 of the raw JSON", () => {
+  const limiter = new ResultLimiter({ maxChars: 2000 });
+  const result = { items: rows };
+  const { _truncated: note } = limiter.limit("search", result);
+
+  assert.match(note.hint, /page: 1 /);
+  assert.strictEqual(readAll(limiter, note.handle).map((p) => p.content).join(""), JSON.stringify(result));
+});
+
+test("bad pages and unknown handles come back as { error }", () => {
+  const limiter = new ResultLimiter({ maxChars: 2000, strategy: "head" });
+  const { _truncated: note } = limiter.limit("read_file", { content: text });
+  assert.match(limiter.page({ handle: note.handle, page: note.pages + 1 }).error, /Page must be between 1 and/);
+  assert.match(limiter.page({ handle: "result_99" }).error, /Unknown or expired handle/);
+});
@@ -0,0 +1,50 @@
+// Session stores: save, load, list and delete conversations
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { JsonSessionStore } = require("../agents/sessions");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const session = (id, text) => ({
+  id,
+  agent: "Test",
+  history: [{ role: "user", parts: [{ text }] }],
+  createdAt: "2026-01-01T00:00:00.000Z",
+  updatedAt: new Date().toISOString(),
+});
+
+test("JsonSessionStore saves, loads, lists and deletes sessions", () => {
+  const store = new JsonSessionStore(path.join(dir, "basic"));
+  store.save("abc-123", session("abc-123", "hi"));
+
+  assert.strictEqual(store.load("abc-123").history[0].parts[0].text, "hi");
+  assert.strictEqual(store.load("missing"), null);
+  assert.deepStrictEqual(store.list().map((s) => s.id), ["abc-123"]);
+  assert.strictEqual(store.delete("abc-123"), true);
+  assert.strictEqual(store.delete("abc-123"), false);
+});
+
+test("ids that sanitize alike still get their own files", () => {
+  const store = new JsonSessionStore(path.join(dir, "ids"));
+  const ids = ["a/b", "a_b", "A_B", "a:b"];
+  ids.forEach((id) => store.save(id, session(id, `from ${id}`)));
+
+  for (const id of ids) assert.strictEqual(store.load(id).history[0].parts[0].text, `from ${id}`);
+  assert.strictEqual(new Set(ids.map((id) => store.filepath(id))).size, ids.length);
+  assert.strictEqual(path.dirname(store.filepath("../../etc/passwd")), store.dir);
+  assert.strictEqual(store.list().length, ids.length);
+});
+
+test("JsonSessionStore.list skips files that aren't sessions", () => {
+  const store = new JsonSessionStore(path.join(dir, "mixed"));
+  store.save("good", session("good", "hi"));
+  fs.writeFileSync(path.join(store.dir, "truncated.json"), '{"id": "half', "utf-8");
+  fs.writeFileSync(path.join(store.dir, "config.json"), JSON.stringify({ theme: "dark" }), "utf-8");
+  fs.writeFileSync(path.join(store.dir, "null.json"), "null", "utf-8");
+
+  assert.deepStrictEqual(store.list().map((s) => s.id), ["good"]);
+});
@@ -0,0 +1,67 @@
+// Skill directories: JSON and YAML manifests, validated at load time
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadSkill, loadSkills, SkillManifestError } = require("../agents/skill-loader");
+
+const dirs = [];
+after(() => dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+// A throwaway skill directory with the given files
+function skillDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "skill-"));
+  dirs.push(dir);
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  return dir;
+}
+
+const implementations = "module.exports = ({ greeting }) => ({ greet: ({ name }) => ({ text: `${greeting}, ${name}` }) });\n";
+
+test("loads the bundled skill.json skills", () => {
+  const skills = loadSkills(path.join(__dirname, "../agents/skills"), { context: { db: {} } });
+  assert.deepStrictEqual(skills.map((s) => s.name).sort(), ["Order Tracking", "Product Information", "Refund Processing"]);
+});
+
+test("loads a skill.yaml manifest", () => {
+  const dir = skillDir({
+    "skill.yaml": [
+      "name: Greeter",
+      "version: 1.2.0",
+      "description: Says hello",
+      "instructions:",
+      "  - Greet people by name.",
+      "  - Keep it short.",
+      "capabilities: [read-only]",
+      "tools:",
+      "  - name: greet",
+      "    description: Greet someone",
+      "    parameters:",
+      "      type: OBJECT",
+      "      properties:",
+      "        name: { type: STRING }",
+      "",
+    ].join("\n"),
+    "index.js": implementations,
+  });
+
+  const skill = loadSkill(dir, { context: { greeting: "Hi" } });
+  assert.strictEqual(skill.name, "Greeter");
+  assert.strictEqual(skill.instructions, "Greet people by name.\nKeep it short.");
+  assert.deepStrictEqual(skill.implementations.greet({ name: "Ada" }), { text: "Hi, Ada" });
+});
+
+test("a bad manifest throws a SkillManifestError listing each problem", () => {
+  const dir = skillDir({
+    "skill.yaml": "name: Bad\nversion: one\ndescription: x\ninstructions: x\nextra: true\ntools:\n  - name: bad-name\n    description: x\n",
+    "index.js": "module.exports = {};\n",
+  });
+  assert.throws(() => loadSkill(dir), (err) => {
+    assert.ok(err instanceof SkillManifestError);
+    assert.match(err.message, /extra/);
+    assert.match(err.message, /version/);
+    assert.match(err.message, /bad-name/);
+    return true;
+  });
+});
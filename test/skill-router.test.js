@@ -0,0 +1,97 @@
+// SkillRouter: each message gets only the skills it needs, and anything unclear falls back to all of them
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { BaseAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+const { Skill } = require("../agents/skills");
+const { SkillRouter } = require("../agents/skill-router");
+
+function skill(name, tool, keywords) {
+  return new Skill({
+    name,
+    instructions: `Handle ${name.toLowerCase()} questions.`,
+    keywords,
+    declarations: [{ name: tool, description: tool.replace(/_/g, " "), parameters: { type: "OBJECT", properties: {} } }],
+    implementations: { [tool]: () => ({ ok: true }) },
+  });
+}
+
+const SKILLS = () => [
+  skill("Orders", "lookup_order", ["order", "shipping", "delivery"]),
+  skill("Refunds", "process_refund", ["refund", "money", "return"]),
+  skill("Products", "search_products", ["product", "stock", "price"]),
+];
+
+function createAgent(script, skillRouting, skills = SKILLS()) {
+  return new BaseAgent({
+    name: "Support",
+    systemPrompt: "You help customers.",
+    tools: [{ name: "get_time", description: "Current time", parameters: { type: "OBJECT", properties: {} } }],
+    toolFns: { get_time: () => ({ now: "noon" }) },
+    skills,
+    skillRouting,
+    provider: new MockProvider(script),
+    verbose: false,
+    retry: false,
+  });
+}
+
+const toolNames = (request) => request.tools.map((t) => t.name);
+
+test("keyword routing sends only the matching skill, plus the agent's own tools", async () => {
+  const agent = createAgent(["Here it is."], true);
+  const routes = [];
+  agent.on("skills", (route) => routes.push(route));
+
+  await agent.run("I want a refund for my money");
+  assert.deepStrictEqual(routes.map((r) => [r.skills, r.fallback]), [[["Refunds"], false]]);
+  const [request] = agent.provider.requests;
+  assert.deepStrictEqual(toolNames(request), ["get_time", "process_refund"]);
+  assert.match(request.systemPrompt, /## Refunds/);
+  assert.doesNotMatch(request.systemPrompt, /## Orders|## Products/);
+});
+
+test("a message that matches nothing falls back to every skill", async () => {
+  const route = await new SkillRouter().route(createAgent([], true), "Hello there");
+  assert.strictEqual(route.fallback, true);
+  assert.deepStrictEqual(route.skills.map((s) => s.name), ["Orders", "Refunds", "Products"]);
+});
+
+test("with a single skill there is nothing to route, and that is not a fallback", async () => {
+  const route = await new SkillRouter().route(createAgent([], true, [SKILLS()[0]]), "Hello there");
+  assert.strictEqual(route.fallback, false);
+  assert.deepStrictEqual(route.skills.map((s) => s.name), ["Orders"]);
+});
+
+test("skills stay loaded for follow-ups until reset()", async () => {
+  const agent = createAgent(["a", "b", "c"], true);
+  const routes = [];
+  agent.on("skills", ({ skills }) => routes.push(skills));
+
+  await agent.run("Where is my order delivery?");
+  await agent.run("Is that product in stock?");
+  agent.reset();
+  await agent.run("Is that product in stock?");
+  assert.deepStrictEqual(routes, [["Orders"], ["Products", "Orders"], ["Products"]]);
+});
+
+test("the classifier's picks are used, and a failed classifier call falls back with the error", async () => {
+  const agent = createAgent([JSON.stringify({ skills: ["Products"] }), "In stock.", () => { throw new Error("router down"); }], {
+    strategy: "classifier",
+    sticky: false,
+  });
+  const routes = [];
+  agent.on("skills", ({ skills, fallback }) => routes.push([skills, fallback]));
+
+  await agent.run("Do you have the blue one?");
+  assert.strictEqual(agent.provider.requests[0].model, "gemini-2.5-flash-lite");
+
+  const route = await agent.skillRouter.route(agent, "Anything else?");
+  assert.strictEqual(route.error, "router down");
+  assert.strictEqual(route.fallback, true);
+  assert.deepStrictEqual(routes, [[["Products"], false]]);
+});
+
+test("an unknown strategy is rejected", () => {
+  assert.throws(() => new SkillRouter({ strategy: "magic" }), /Unknown skill routing strategy/);
+});
@@ -0,0 +1,21 @@
+// Every example's skillTests (the scenarios `agents test` runs), as part of npm test
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { listExamples } = require("../agents/cli");
+const { runScenarios } = require("../agents/skill-harness");
+
+for (const example of listExamples()) {
+  let module;
+  try {
+    module = require(example.file);
+  } catch {
+    continue; // Needs a package that isn't installed; `agents test` lists it as not tested
+  }
+  if (!module.skillTests) continue;
+
+  test(`${example.id}_${example.name} skill scenarios`, async () => {
+    const { failed, results } = await runScenarios(module.skillTests);
+    const failures = results.filter((r) => !r.passed).map((r) => `${r.name}: ${r.failures.join("; ")}`);
+    assert.strictEqual(failed, 0, failures.join("\n"));
+  });
+}
@@ -0,0 +1,80 @@
+// Skills: one prompt and tool list from several skills, and no tool name can be claimed twice
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { BaseAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+const { Skill, SkillRegistry, SkillConflictError } = require("../agents/skills");
+
+// A skill with one tool per name, each returning which skill ran it
+function skill(name, tools, options = {}) {
+  return new Skill({
+    name,
+    instructions: `Use ${name}.`,
+    declarations: tools.map((tool) => ({ name: tool, description: tool, parameters: { type: "OBJECT", properties: {} } })),
+    implementations: Object.fromEntries(tools.map((tool) => [tool, () => ({ from: name })])),
+    ...options,
+  });
+}
+
+test("a registry merges instructions, declarations and implementations", () => {
+  const registry = new SkillRegistry([skill("Orders", ["lookup_order"]), skill("Refunds", ["process_refund"])]);
+
+  assert.deepStrictEqual(registry.declarations().map((d) => d.name), ["lookup_order", "process_refund"]);
+  assert.deepStrictEqual(Object.keys(registry.implementations()), ["lookup_order", "process_refund"]);
+  assert.strictEqual(registry.systemPrompt("You help."), "You help.\n\nYour skills:\n\n## Orders\nUse Orders.\n\n## Refunds\nUse Refunds.");
+  assert.strictEqual(registry.skillFor("process_refund").name, "Refunds");
+});
+
+test("two skills declaring the same tool are refused instead of the later one winning", () => {
+  const registry = new SkillRegistry([skill("Orders", ["lookup_order"])]);
+
+  assert.throws(
+    () => registry.register(skill("Legacy Orders", ["lookup_order"])),
+    (err) => err instanceof SkillConflictError && err.tool === "lookup_order" && /both "Orders" and "Legacy Orders"/.test(err.message)
+  );
+  assert.deepStrictEqual(registry.list().map((s) => s.name), ["Orders"]);
+});
+
+test("a skill name, a tool declared twice or a clash with the agent's own tools is refused", () => {
+  const registry = new SkillRegistry([skill("Orders", ["lookup_order"])]);
+  assert.throws(() => registry.register(skill("Orders", ["other"])), /already registered/);
+  assert.throws(() => skill("Twice", ["a", "a"]), SkillConflictError);
+
+  assert.throws(
+    () => new BaseAgent({
+      name: "Support",
+      systemPrompt: "You help.",
+      tools: [{ name: "lookup_order", description: "Own lookup" }],
+      toolFns: { lookup_order: () => ({}) },
+      skills: [skill("Orders", ["lookup_order"])],
+      provider: new MockProvider([]),
+      verbose: false,
+    }),
+    /clashes with an existing tool/
+  );
+});
+
+test("a skill needs an implementation for every declaration, and nothing undeclared", () => {
+  assert.throws(() => skill("Broken", ["a"], { implementations: {} }), /no implementation for a/);
+  assert.throws(() => skill("Extra", ["a"], { implementations: { a: () => ({}), b: () => ({}) } }), /b implemented but not declared/);
+});
+
+test("skills added and removed between runs change the agent's prompt and tools", async () => {
+  const agent = new BaseAgent({
+    name: "Support",
+    systemPrompt: "You help.",
+    skills: [skill("Orders", ["lookup_order"])],
+    provider: new MockProvider([{ functionCalls: [{ name: "process_refund", args: {} }] }, "Refunded."]),
+    verbose: false,
+  });
+  assert.throws(() => agent.addSkill(skill("Other Orders", ["lookup_order"])), SkillConflictError);
+
+  agent.addSkill(skill("Refunds", ["process_refund"]));
+  const result = await agent.run("refund it");
+  assert.strictEqual(result.response, "Refunded.");
+  assert.match(agent.provider.requests[0].systemPrompt, /## Refunds/);
+
+  agent.removeSkill("Refunds");
+  assert.ok(!agent.tools.some((t) => t.name === "process_refund"));
+  assert.doesNotMatch(agent.systemPrompt, /## Refunds/);
+});
@@ -0,0 +1,36 @@
+// Structured output: parsing, validation and the repair loop
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { generateStructuredChat, parseStructured, StructuredOutputError } = require("../agents/structured");
+
+const SCHEMA = {
+  type: "OBJECT",
+  properties: { level: { type: "STRING", enum: ["low", "high"] }, note: { type: "STRING", nullable: true } },
+  required: ["level"],
+};
+
+test("parseStructured strips ```json fences and reports schema errors", () => {
+  assert.deepStrictEqual(parseStructured('```json\n{"level":"low"}\n```', SCHEMA), { value: { level: "low" }, errors: [] });
+  assert.strictEqual(parseStructured('{"level":"medium"}', SCHEMA).errors[0].path, "level");
+  assert.match(parseStructured("not json", SCHEMA).errors[0].message, /not valid JSON/);
+});
+
+test("generateStructuredChat sends the rejected answer and the errors back, then returns the fixed value", async () => {
+  const answers = ['{"level":"medium"}', '{"level":"high","note":null}'];
+  const seen = [];
+  const value = await generateStructuredChat(async (contents) => (seen.push(structuredClone(contents)), answers.shift()), "Rate it", SCHEMA);
+
+  assert.deepStrictEqual(value, { level: "high", note: null });
+  assert.deepStrictEqual(seen.map((c) => c.map((m) => m.role)), [["user"], ["user", "model", "user"]]);
+  assert.strictEqual(seen[1][1].parts[0].text, '{"level":"medium"}');
+  assert.match(seen[1][2].parts[0].text, /- level must be one of/);
+});
+
+test("generateStructuredChat gives up after maxAttempts with a StructuredOutputError", async () => {
+  const invalid = [];
+  await assert.rejects(
+    generateStructuredChat(async () => "{}", "Rate it", SCHEMA, { maxAttempts: 2, onInvalid: ({ attempt }) => invalid.push(attempt) }),
+    (err) => err instanceof StructuredOutputError && err.raw === "{}" && err.errors[0].path === "level"
+  );
+  assert.deepStrictEqual(invalid, [1, 2]);
+});
@@ -0,0 +1,53 @@
+// Tracing: one tree per run, sub-agents nested under the tool call that started them, readable by trace-view
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BaseAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+const { Tracer } = require("../agents/tracing");
+const { loadSpans } = require("../agents/trace-view");
+
+const call = (name, args = {}) => ({ functionCalls: [{ name, args }] });
+
+// "agent.run > agent.step > tool helper > …" for every span, from its root down
+function paths(spans) {
+  const byId = new Map(spans.map((s) => [s.spanId, s]));
+  const pathOf = (s) => (s.parentSpanId && byId.get(s.parentSpanId) ? `${pathOf(byId.get(s.parentSpanId))} > ${s.name}` : s.name);
+  return spans.map(pathOf);
+}
+
+test("a sub-agent's run nests under the parent's tool call", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const tracer = new Tracer({ serviceName: "test" });
+  const provider = new MockProvider([call("helper", { task: "look it up" }), call("lookup"), "Found.", "Parent done."]);
+  const helper = new BaseAgent({
+    name: "Helper",
+    systemPrompt: "You help.",
+    tools: [{ name: "lookup", description: "Look it up", parameters: { type: "OBJECT", properties: {} } }],
+    toolFns: { lookup: () => ({ found: true }) },
+    provider,
+    verbose: false,
+  });
+  const parent = new BaseAgent({ name: "Parent", systemPrompt: "You delegate.", provider, subAgents: [helper], tracer, verbose: false });
+
+  await parent.run("go");
+
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "trace-")), "trace.json");
+  tracer.save(file);
+  const spans = loadSpans(file);
+
+  assert.strictEqual(new Set(spans.map((s) => s.traceId)).size, 1);
+  assert.ok(spans.every((s) => s.end >= s.start));
+  assert.deepStrictEqual(paths(spans).filter((p) => p.includes("tool")), [
+    "agent.run > agent.step > tool helper",
+    "agent.run > agent.step > tool helper > agent.run",
+    "agent.run > agent.step > tool helper > agent.run > agent.step",
+    "agent.run > agent.step > tool helper > agent.run > agent.step > model.generate",
+    "agent.run > agent.step > tool helper > agent.run > agent.step > tool lookup",
+    "agent.run > agent.step > tool helper > agent.run > agent.step",
+    "agent.run > agent.step > tool helper > agent.run > agent.step > model.generate",
+  ]);
+  assert.strictEqual(spans.find((s) => s.name === "agent.run").attributes["agent.name"], "Parent");
+});
@@ -0,0 +1,83 @@
+// UsageTracker: costs from the price table, per-run windows, and the by-model/agent/step/tool breakdown
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { BaseAgent } = require("../agents/base-agent");
+const { MockProvider } = require("../agents/providers");
+const { UsageTracker, normalizeUsage } = require("../agents/usage");
+
+const usage = (promptTokenCount, candidatesTokenCount) => ({ promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount });
+
+test("costs come from the price table and unpriced models are listed", () => {
+  const tracker = new UsageTracker({ "my-model": { input: 1, output: 2 } });
+  tracker.record({ model: "my-model", usage: usage(1_000_000, 500_000), agent: "A" });
+  tracker.record({ model: "mystery", usage: usage(10, 10), agent: "A" });
+
+  const total = tracker.total();
+  assert.strictEqual(total.modelCalls, 2);
+  assert.strictEqual(total.cost, 2);
+  assert.strictEqual(total.byModel.mystery.cost, 0);
+  assert.deepStrictEqual(total.unpricedModels, ["mystery"]);
+});
+
+test("a response that calls several tools splits its usage evenly between them", () => {
+  const tracker = new UsageTracker();
+  tracker.record({ model: "gemini-2.5-flash", usage: usage(100, 20), step: 1, tools: ["search", "fetch"] });
+  tracker.record({ model: "gemini-2.5-flash", usage: usage(50, 10), step: 2, tools: ["search"] });
+
+  const { byTool, byStep } = tracker.total();
+  assert.deepStrictEqual([byTool.search.calls, byTool.search.totalTokens], [2, 120]);
+  assert.deepStrictEqual([byTool.fetch.calls, byTool.fetch.totalTokens], [1, 60]);
+  assert.deepStrictEqual(Object.keys(byStep), ["1", "2"]);
+});
+
+test("lastRun, sinceRun and total cover the right runs, and absorbed records join the current one", () => {
+  const tracker = new UsageTracker();
+  tracker.startRun();
+  tracker.record({ model: "m", usage: usage(1, 0) });
+  tracker.startRun();
+  tracker.record({ model: "m", usage: usage(2, 0) });
+  tracker.startRun();
+  tracker.record({ model: "m", usage: usage(4, 0) });
+
+  const sub = new UsageTracker();
+  sub.startRun();
+  sub.record({ model: "m", usage: usage(8, 0), agent: "Sub", step: 1 });
+  tracker.absorb(sub.records, { step: 3 });
+
+  assert.strictEqual(tracker.lastRun().totalTokens, 12);
+  assert.strictEqual(tracker.sinceRun(2).totalTokens, 14);
+  assert.strictEqual(tracker.total().totalTokens, 15);
+  assert.deepStrictEqual(tracker.lastRun().byStep, { 3: { calls: 1, promptTokens: 8, completionTokens: 0, totalTokens: 8, cost: 0 } });
+});
+
+test("normalizeUsage accepts Gemini usageMetadata, normalized counts or nothing", () => {
+  assert.deepStrictEqual(normalizeUsage(usage(3, 4)), { promptTokens: 3, completionTokens: 4, totalTokens: 7 });
+  assert.deepStrictEqual(normalizeUsage({ promptTokens: 1, completionTokens: 2 }), { promptTokens: 1, completionTokens: 2, totalTokens: 3 });
+  assert.deepStrictEqual(normalizeUsage(null), { promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+});
+
+test("an agent run reports its own usage, with each step's tool calls", async () => {
+  const agent = new BaseAgent({
+    name: "Counter",
+    systemPrompt: "You count.",
+    tools: [{ name: "count", description: "Count", parameters: { type: "OBJECT", properties: {} } }],
+    toolFns: { count: () => ({ n: 1 }) },
+    provider: new MockProvider([
+      { functionCalls: [{ name: "count", args: {} }], usage: usage(10, 5) },
+      { text: "1", usage: usage(20, 1) },
+      { text: "again", usage: usage(30, 2) },
+    ]),
+    verbose: false,
+    retry: false,
+  });
+
+  const first = await agent.run("count");
+  const second = await agent.run("again");
+
+  assert.strictEqual(first.usage.totalTokens, 36);
+  assert.strictEqual(first.usage.byTool.count.totalTokens, 15);
+  assert.deepStrictEqual(Object.keys(first.usage.byStep), ["1", "2"]);
+  assert.strictEqual(first.usage.byAgent.Counter.calls, 2);
+  assert.strictEqual(second.usage.totalTokens, 32);
+  assert.strictEqual(agent.usage.total().modelCalls, 3);
+});